@@ -1,60 +1,77 @@
 #!/usr/bin/env node
 
 import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
 import Anthropic from "@anthropic-ai/sdk";
 
-const promptFile = process.argv[2];
-const responseFile = process.argv[3];
+const MODEL = "claude-sonnet-4-6";
 
-if (!promptFile || !responseFile) {
-  console.error("Usage: claude-sonnet.js <promptFile> <responseFile>");
-  process.exit(1);
+/**
+ * Model this provider calls (part of the response cache key)
+ * @returns {string} Model name
+ */
+export function getModel() {
+  return MODEL;
 }
 
-async function main() {
-  try {
-    // Read prompt from file
-    if (!fs.existsSync(promptFile)) {
-      throw new Error(`Prompt file not found: ${promptFile}`);
-    }
-
-    const prompt = fs.readFileSync(promptFile, "utf-8");
-
-    // Initialize Anthropic client
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    if (!apiKey) {
-      throw new Error("ANTHROPIC_API_KEY environment variable not set");
-    }
-
-    const client = new Anthropic({ apiKey });
+/**
+ * Send a prompt to Claude Sonnet (loaded in-process by executeProvider)
+ * @param {string} prompt - Prompt text
+ * @param {object} [options]
+ * @param {object} [options.env] - Environment holding ANTHROPIC_API_KEY
+ * @returns {Promise<{response: string, metadata: object}>} Response text and token usage
+ */
+export async function complete(prompt, { env = process.env } = {}) {
+  // Initialize Anthropic client
+  const apiKey = env.ANTHROPIC_API_KEY;
+  if (!apiKey) {
+    throw new Error("ANTHROPIC_API_KEY environment variable not set");
+  }
 
-    // Call Claude Sonnet
-    const message = await client.messages.create({
-      model: "claude-sonnet-4-6",
-      max_tokens: 16384,
-      messages: [
-        {
-          role: "user",
-          content: prompt,
-        },
-      ],
-    });
+  const client = new Anthropic({ apiKey });
 
-    // Extract text response
-    const responseText =
-      message.content[0].type === "text" ? message.content[0].text : "";
+  // Call Claude Sonnet
+  const message = await client.messages.create({
+    model: MODEL,
+    max_tokens: 16384,
+    messages: [
+      {
+        role: "user",
+        content: prompt,
+      },
+    ],
+  });
 
-    // Write response to file
-    fs.writeFileSync(responseFile, responseText, "utf-8");
+  // Extract text response
+  const responseText =
+    message.content[0].type === "text" ? message.content[0].text : "";
 
-    // Write metadata
-    const metadata = {
+  return {
+    response: responseText,
+    metadata: {
       input_tokens: message.usage.input_tokens,
       output_tokens: message.usage.output_tokens,
+      total_tokens: message.usage.input_tokens + message.usage.output_tokens,
       model: message.model,
       stop_reason: message.stop_reason,
-    };
+    },
+  };
+}
 
+// Run as a script: file-based contract (prompt file in, response file out)
+async function main(promptFile, responseFile) {
+  try {
+    // Read prompt from file
+    if (!fs.existsSync(promptFile)) {
+      throw new Error(`Prompt file not found: ${promptFile}`);
+    }
+
+    const prompt = fs.readFileSync(promptFile, "utf-8");
+    const { response, metadata } = await complete(prompt);
+
+    // Write response and metadata
+    fs.writeFileSync(responseFile, response, "utf-8");
     fs.writeFileSync(
       responseFile + ".meta.json",
       JSON.stringify(metadata, null, 2),
@@ -67,4 +84,14 @@ async function main() {
   }
 }
 
-main();
+if (
+  process.argv[1] &&
+  path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+  const [promptFile, responseFile] = process.argv.slice(2);
+  if (!promptFile || !responseFile) {
+    console.error("Usage: claude-sonnet.js <promptFile> <responseFile>");
+    process.exit(1);
+  }
+  main(promptFile, responseFile);
+}
@@ -1,17 +1,57 @@
 #!/usr/bin/env node
 
 import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
 import { GoogleGenerativeAI } from "@google/generative-ai";
 
-const promptFile = process.argv[2];
-const responseFile = process.argv[3];
+const MODEL = "gemini-2.5-flash";
 
-if (!promptFile || !responseFile) {
-  console.error("Usage: gemini-flash.js <promptFile> <responseFile>");
-  process.exit(1);
+/**
+ * Model this provider calls (part of the response cache key)
+ * @returns {string} Model name
+ */
+export function getModel() {
+  return MODEL;
 }
 
-async function main() {
+/**
+ * Send a prompt to Gemini Flash (loaded in-process by executeProvider)
+ * @param {string} prompt - Prompt text
+ * @param {object} [options]
+ * @param {object} [options.env] - Environment holding GOOGLE_API_KEY
+ * @returns {Promise<{response: string, metadata: object}>} Response text and token usage
+ */
+export async function complete(prompt, { env = process.env } = {}) {
+  // Initialize Google Generative AI client
+  const apiKey = env.GOOGLE_API_KEY;
+  if (!apiKey) {
+    throw new Error("GOOGLE_API_KEY environment variable not set");
+  }
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const model = genAI.getGenerativeModel({ model: MODEL });
+
+  // Call Gemini Flash
+  const result = await model.generateContent(prompt);
+  const response = result.response;
+
+  // Token info when available
+  const metadata = { model: MODEL };
+  if (response.usageMetadata) {
+    metadata.input_tokens = response.usageMetadata.promptTokenCount;
+    // Thinking tokens are billed as output
+    metadata.output_tokens =
+      (response.usageMetadata.candidatesTokenCount ?? 0) +
+      (response.usageMetadata.thoughtsTokenCount ?? 0);
+    metadata.total_tokens = response.usageMetadata.totalTokenCount;
+  }
+
+  return { response: response.text(), metadata };
+}
+
+// Run as a script: file-based contract (prompt file in, response file out)
+async function main(promptFile, responseFile) {
   try {
     // Read prompt from file
     if (!fs.existsSync(promptFile)) {
@@ -19,31 +59,10 @@ async function main() {
     }
 
     const prompt = fs.readFileSync(promptFile, "utf-8");
+    const { response, metadata } = await complete(prompt);
 
-    // Initialize Google Generative AI client
-    const apiKey = process.env.GOOGLE_API_KEY;
-    if (!apiKey) {
-      throw new Error("GOOGLE_API_KEY environment variable not set");
-    }
-
-    const genAI = new GoogleGenerativeAI(apiKey);
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-
-    // Call Gemini Flash
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    const responseText = response.text();
-
-    // Write response to file
-    fs.writeFileSync(responseFile, responseText, "utf-8");
-
-    // Write metadata if token info available
-    const metadata = {};
-    if (response.usageMetadata) {
-      metadata.input_tokens = response.usageMetadata.promptTokenCount;
-      metadata.output_tokens = response.usageMetadata.candidatesTokenCount;
-    }
-
+    // Write response and metadata
+    fs.writeFileSync(responseFile, response, "utf-8");
     fs.writeFileSync(
       responseFile + ".meta.json",
       JSON.stringify(metadata, null, 2),
@@ -56,4 +75,14 @@ async function main() {
   }
 }
 
-main();
+if (
+  process.argv[1] &&
+  path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+  const [promptFile, responseFile] = process.argv.slice(2);
+  if (!promptFile || !responseFile) {
+    console.error("Usage: gemini-flash.js <promptFile> <responseFile>");
+    process.exit(1);
+  }
+  main(promptFile, responseFile);
+}
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Ollama's default; llama.cpp server, vLLM and LM Studio listen elsewhere
+const DEFAULT_BASE_URL = "http://localhost:11434/v1";
+
+// Context overflow as worded by OpenAI, vLLM and llama.cpp server
+const CONTEXT_EXCEEDED_PATTERN =
+  /context length|context size|context window|too many tokens/i;
+
+/**
+ * Model this provider calls (part of the response cache key)
+ * @param {object} [options]
+ * @param {object} [options.env] - Environment holding OPENAI_COMPATIBLE_MODEL
+ * @returns {string|null} Model name
+ */
+export function getModel({ env = process.env } = {}) {
+  return env.OPENAI_COMPATIBLE_MODEL || null;
+}
+
+/**
+ * Send a prompt to an OpenAI-compatible chat completions endpoint (Ollama,
+ * llama.cpp server, vLLM, LM Studio). Loaded in-process by executeProvider.
+ * @param {string} prompt - Prompt text
+ * @param {object} [options]
+ * @param {object} [options.env] - Environment holding the OPENAI_COMPATIBLE_* settings
+ * @returns {Promise<{response: string, metadata: object}>} Response text and token usage
+ */
+export async function complete(prompt, { env = process.env } = {}) {
+  const baseUrl = (env.OPENAI_COMPATIBLE_BASE_URL || DEFAULT_BASE_URL).replace(
+    /\/+$/,
+    "",
+  );
+  const model = env.OPENAI_COMPATIBLE_MODEL;
+  if (!model) {
+    throw new Error("OPENAI_COMPATIBLE_MODEL environment variable not set");
+  }
+
+  let extraHeaders = {};
+  if (env.OPENAI_COMPATIBLE_HEADERS) {
+    try {
+      extraHeaders = JSON.parse(env.OPENAI_COMPATIBLE_HEADERS);
+    } catch (error) {
+      throw new Error(
+        `OPENAI_COMPATIBLE_HEADERS is not a JSON object: ${error.message}`,
+      );
+    }
+  }
+
+  // Local servers usually need no key; hosted gateways take a bearer token
+  const headers = {
+    "Content-Type": "application/json",
+    ...(env.OPENAI_COMPATIBLE_API_KEY
+      ? { Authorization: `Bearer ${env.OPENAI_COMPATIBLE_API_KEY}` }
+      : {}),
+    ...extraHeaders,
+  };
+
+  // Call the chat completions endpoint
+  let res;
+  try {
+    res = await fetch(`${baseUrl}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [
+          {
+            role: "user",
+            content: prompt,
+          },
+        ],
+        stream: false,
+      }),
+    });
+  } catch (error) {
+    // fetch reports "fetch failed"; the cause says why (ECONNREFUSED, ...)
+    throw new Error(
+      `Could not reach ${baseUrl}: ${error.cause?.message ?? error.message}`,
+    );
+  }
+
+  const text = await res.text();
+  let body = {};
+  try {
+    body = JSON.parse(text);
+  } catch {
+    // Reported below with the raw text
+  }
+
+  if (!res.ok) {
+    const detail =
+      body.error?.message ??
+      (typeof body.error === "string" ? body.error : text.slice(0, 500));
+    // The enricher splits a batch when the prompt is too long
+    const error = new Error(
+      CONTEXT_EXCEEDED_PATTERN.test(detail)
+        ? `prompt is too long for ${model}: ${detail}`
+        : `OpenAI-compatible API error: ${res.status} ${res.statusText}${detail ? ` - ${detail}` : ""}`,
+    );
+    error.status = res.status;
+    throw error;
+  }
+
+  // Extract text response
+  const choice = body.choices?.[0];
+  if (!choice) {
+    throw new Error(`No choices in response from ${baseUrl}`);
+  }
+  const responseText = choice.message?.content ?? "";
+
+  // Token usage as the other providers report it
+  const metadata = {
+    model: body.model ?? model,
+    stop_reason: choice.finish_reason ?? null,
+  };
+  if (body.usage) {
+    metadata.input_tokens = body.usage.prompt_tokens;
+    metadata.output_tokens = body.usage.completion_tokens;
+    metadata.total_tokens =
+      body.usage.total_tokens ??
+      body.usage.prompt_tokens + body.usage.completion_tokens;
+  }
+
+  return { response: responseText, metadata };
+}
+
+// Run as a script: file-based contract (prompt file in, response file out)
+async function main(promptFile, responseFile) {
+  try {
+    // Read prompt from file
+    if (!fs.existsSync(promptFile)) {
+      throw new Error(`Prompt file not found: ${promptFile}`);
+    }
+
+    const prompt = fs.readFileSync(promptFile, "utf-8");
+    const { response, metadata } = await complete(prompt);
+
+    // Write response and metadata
+    fs.writeFileSync(responseFile, response, "utf-8");
+    fs.writeFileSync(
+      responseFile + ".meta.json",
+      JSON.stringify(metadata, null, 2),
+      "utf-8",
+    );
+  } catch (error) {
+    // Write error to response file
+    fs.writeFileSync(responseFile, `Error: ${error.message}`, "utf-8");
+    process.exit(1);
+  }
+}
+
+if (
+  process.argv[1] &&
+  path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+  const [promptFile, responseFile] = process.argv.slice(2);
+  if (!promptFile || !responseFile) {
+    console.error("Usage: openai-compatible.js <promptFile> <responseFile>");
+    process.exit(1);
+  }
+  main(promptFile, responseFile);
+}
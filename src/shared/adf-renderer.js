@@ -0,0 +1,158 @@
+// Atlassian Document Format (ADF) is the JSON rich-text format of Jira Cloud
+// descriptions, comments and worklog comments. These helpers turn it into
+// plain text that keeps what a reader needs: who was mentioned, which links
+// and statuses were referenced, and the structure of lists, tables and code.
+
+// Nodes rendered as their own lines
+const BLOCK_NODES = new Set([
+  "paragraph",
+  "heading",
+  "bulletList",
+  "orderedList",
+  "taskList",
+  "decisionList",
+  "codeBlock",
+  "blockquote",
+  "panel",
+  "table",
+  "rule",
+  "mediaSingle",
+  "mediaGroup",
+  "blockCard",
+  "embedCard",
+  "expand",
+  "nestedExpand",
+  "layoutSection",
+  "layoutColumn",
+]);
+
+function renderChildren(node, depth) {
+  const children = Array.isArray(node.content) ? node.content : [];
+  const parts = [];
+  let inline = "";
+  for (const child of children) {
+    if (BLOCK_NODES.has(child.type)) {
+      if (inline) parts.push(inline);
+      inline = "";
+      const text = renderNode(child, depth);
+      if (text) parts.push(text);
+    } else {
+      inline += renderNode(child, depth);
+    }
+  }
+  if (inline) parts.push(inline);
+  return parts.join("\n");
+}
+
+function renderText(node) {
+  let text = node.text || "";
+  for (const mark of node.marks || []) {
+    if (mark.type === "code") {
+      text = `\`${text}\``;
+    } else if (
+      mark.type === "link" &&
+      mark.attrs?.href &&
+      mark.attrs.href !== text
+    ) {
+      text = `${text} (${mark.attrs.href})`;
+    }
+  }
+  return text;
+}
+
+function renderList(node, depth, marker) {
+  const indent = "  ".repeat(depth);
+  return (node.content || [])
+    .map((item, i) => {
+      const [first = "", ...rest] = renderChildren(item, depth + 1).split("\n");
+      const prefix = typeof marker === "function" ? marker(item, i) : marker;
+      return [`${indent}${prefix}${first}`, ...rest].join("\n");
+    })
+    .join("\n");
+}
+
+function renderTable(node, depth) {
+  return (node.content || [])
+    .map((row) =>
+      (row.content || [])
+        .map((cell) => renderChildren(cell, depth).replace(/\n+/g, " ").trim())
+        .join(" | "),
+    )
+    .map((line) => `| ${line} |`)
+    .join("\n");
+}
+
+function renderNode(node, depth) {
+  if (!node) return "";
+  const attrs = node.attrs || {};
+
+  switch (node.type) {
+    case "text":
+      return renderText(node);
+    case "hardBreak":
+      return "\n";
+    case "mention": {
+      const name = attrs.text || attrs.displayName || "someone";
+      return name.startsWith("@") ? name : `@${name}`;
+    }
+    case "emoji":
+      return attrs.text || attrs.shortName || "";
+    case "status":
+      return `[${attrs.text || ""}]`;
+    case "date":
+      return attrs.timestamp
+        ? new Date(Number(attrs.timestamp)).toISOString().slice(0, 10)
+        : "";
+    case "inlineCard":
+    case "blockCard":
+    case "embedCard":
+      return attrs.url || attrs.data?.url || "";
+    case "media":
+    case "mediaInline":
+      return attrs.alt ? `[attachment: ${attrs.alt}]` : "[attachment]";
+    case "rule":
+      return "---";
+    case "codeBlock":
+      return `\`\`\`${attrs.language || ""}\n${renderChildren(node, depth)}\n\`\`\``;
+    case "blockquote":
+      return renderChildren(node, depth)
+        .split("\n")
+        .map((line) => `> ${line}`)
+        .join("\n");
+    case "bulletList":
+      return renderList(node, depth, "- ");
+    case "orderedList":
+      return renderList(node, depth, (_, i) => `${(attrs.order ?? 1) + i}. `);
+    case "taskList":
+      return renderList(node, depth, (item) =>
+        item.attrs?.state === "DONE" ? "[x] " : "[ ] ",
+      );
+    case "decisionList":
+      return renderList(node, depth, "Decision: ");
+    case "table":
+      return renderTable(node, depth);
+    case "expand":
+    case "nestedExpand": {
+      const body = renderChildren(node, depth);
+      return attrs.title ? `${attrs.title}\n${body}` : body;
+    }
+    default:
+      return renderChildren(node, depth);
+  }
+}
+
+/**
+ * Render an ADF document (or any ADF node) as plain text. Mentions become
+ * "@name", inline cards their URL, status lozenges "[DONE]", table rows
+ * "| a | b |", and code blocks stay fenced; every block starts a new line.
+ * @param {object|string|null} adf - ADF node, or a string returned as is
+ * @returns {string} Plain text
+ */
+export function renderAdf(adf) {
+  if (!adf) return "";
+  if (typeof adf === "string") return adf;
+  return renderNode(adf, 0)
+    .replace(/[ \t]+$/gm, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
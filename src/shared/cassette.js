@@ -0,0 +1,78 @@
+import fs from "fs";
+import path from "path";
+import { createHash } from "crypto";
+
+// "record" saves prompt→response pairs to the cassette directory; "replay"
+// serves them without calling the provider
+export const CASSETTE_MODES = ["off", "record", "replay"];
+
+/**
+ * Normalise a prompt so recordings survive cosmetic changes: line endings,
+ * trailing spaces and surrounding blank lines do not change the key
+ * @param {string} prompt - Prompt text
+ * @returns {string} Normalised prompt
+ */
+export function normalizePrompt(prompt) {
+  return prompt
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map((line) => line.trimEnd())
+    .join("\n")
+    .trim();
+}
+
+/**
+ * Cassette key of a prompt: SHA-256 of the normalised text
+ * @param {string} prompt - Prompt text
+ * @returns {string} Hex digest
+ */
+export function cassetteKey(prompt) {
+  return createHash("sha256").update(normalizePrompt(prompt)).digest("hex");
+}
+
+function cassettePath(dir, key) {
+  return path.join(dir, `${key}.json`);
+}
+
+/**
+ * Read the recording of a prompt
+ * @param {string} dir - Cassette directory
+ * @param {string} prompt - Prompt text
+ * @returns {{response: string, metadata: object}|null} Recorded response, or null when the prompt was never recorded
+ */
+export function readCassette(dir, prompt) {
+  const file = cassettePath(dir, cassetteKey(prompt));
+  if (!fs.existsSync(file)) return null;
+  let entry;
+  try {
+    entry = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (error) {
+    throw new Error(`Failed to read cassette ${file}: ${error.message}`);
+  }
+  return { response: entry.response, metadata: entry.metadata ?? {} };
+}
+
+/**
+ * Record a prompt→response pair, one file per prompt so recordings diff and
+ * merge cleanly when checked in. The prompt is stored alongside for review.
+ * @param {string} dir - Cassette directory
+ * @param {string} providerName - Provider that produced the response
+ * @param {string} prompt - Prompt text
+ * @param {{response: string, metadata: object}} result - Provider result
+ */
+export function writeCassette(dir, providerName, prompt, result) {
+  const key = cassetteKey(prompt);
+  const entry = {
+    key,
+    provider: providerName,
+    prompt: normalizePrompt(prompt),
+    response: result.response,
+    metadata: result.metadata ?? {},
+  };
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    cassettePath(dir, key),
+    JSON.stringify(entry, null, 2) + "\n",
+    "utf-8",
+  );
+}
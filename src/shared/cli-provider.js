@@ -1,14 +1,46 @@
 import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
-import { spawnSync } from "child_process";
+import { fileURLToPath, pathToFileURL } from "url";
+import { spawn } from "child_process";
 import { randomUUID } from "crypto";
 import readline from "readline";
+import { createLimiter, createRateLimiter } from "./concurrency.js";
+import {
+  CASSETTE_MODES,
+  cassetteKey,
+  normalizePrompt,
+  readCassette,
+  writeCassette,
+} from "./cassette.js";
+import { openResponseCache, responseCacheKey } from "./response-cache.js";
+import {
+  appendLedgerEntry,
+  costOf,
+  createCostLedger,
+  formatCost,
+  normalizeUsage,
+} from "./cost.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const projectRoot = path.join(__dirname, "../../");
 
+const DEFAULT_CONCURRENCY = 4;
+const MAX_RETRIES = 3;
+const RETRY_DELAYS_MS = [5000, 15000, 30000];
+const RATE_LIMIT_DELAY_MS = 70000;
+// Providers exporting complete() are loaded into this process; any other
+// script runs as a child process with a prompt file and a response file
+const IN_PROCESS_PATTERN = /^export\s+(?:async\s+)?function\s+complete\s*\(/m;
+const DEFAULT_CASSETTE_DIR = "cassettes";
+// Exit status of a step stopped by --max-cost; run-all resumes from it
+export const BUDGET_EXIT_CODE = 2;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let providerSettings = null;
+const providerModules = new Map();
+
 /**
  * List available providers from cli-providers/ directory
  * @returns {string[]} Array of provider names (without extension)
@@ -81,18 +113,247 @@ export async function promptProviderSelection(providers, defaultIndex = null) {
 }
 
 /**
- * Execute provider with file-based contract
- * @param {string} providerName - Name of provider to execute
- * @param {string} prompt - Prompt text to send to provider
- * @returns {Promise<{response: string, metadata: object}>} Provider response and metadata
- * @throws {Error} If provider execution fails
+ * Provider settings read once from config.json: the env holding API keys,
+ * the concurrency and rate limiters shared by every provider call, and the
+ * cassette mode (AI_CASSETTE and AI_CASSETTE_DIR override ai.cassette),
+ * the response cache and the cost ledger of this run
+ * @returns {{env: object, concurrency: number, limit: Function, rateLimiter: object, cassette: {mode: string, dir: string}|null, responseCache: object|null, cacheHits: number, ledger: object}}
  */
-export async function executeProvider(providerName, prompt) {
-  const providers = listProviders();
-  if (!providers.includes(providerName)) {
-    throw new Error(`Provider '${providerName}' not found in cli-providers/`);
+function getProviderSettings() {
+  if (providerSettings) return providerSettings;
+
+  // Inject API keys from config.json into the provider env (env var takes precedence if already set)
+  const env = { ...process.env };
+  let ai = {};
+  try {
+    const configPath = path.join(projectRoot, "config.json");
+    const configContent = fs.readFileSync(configPath, "utf-8");
+    ai = JSON.parse(configContent).ai ?? {};
+  } catch {
+    // Config read failure is non-fatal; provider will surface missing key error
+  }
+  if (ai.anthropic_api_key && !env.ANTHROPIC_API_KEY) {
+    env.ANTHROPIC_API_KEY = ai.anthropic_api_key;
+  }
+  if (ai.gemini_api_key && !env.GOOGLE_API_KEY) {
+    env.GOOGLE_API_KEY = ai.gemini_api_key;
   }
+  // Settings for cli-providers/openai-compatible.js
+  const compatible = ai.openai_compatible ?? {};
+  const compatibleEnv = {
+    OPENAI_COMPATIBLE_BASE_URL: compatible.base_url,
+    OPENAI_COMPATIBLE_MODEL: compatible.model,
+    OPENAI_COMPATIBLE_API_KEY: compatible.api_key,
+    OPENAI_COMPATIBLE_HEADERS:
+      compatible.headers && JSON.stringify(compatible.headers),
+  };
+  for (const [name, value] of Object.entries(compatibleEnv)) {
+    if (value && !env[name]) env[name] = value;
+  }
+
+  const cassetteMode = process.env.AI_CASSETTE || ai.cassette?.mode || "off";
+  if (!CASSETTE_MODES.includes(cassetteMode)) {
+    console.error(
+      `AI_CASSETTE must be one of: ${CASSETTE_MODES.join(", ")} (got "${cassetteMode}")`,
+    );
+    process.exit(1);
+  }
+  const cassette =
+    cassetteMode === "off"
+      ? null
+      : {
+          mode: cassetteMode,
+          dir: path.resolve(
+            projectRoot,
+            process.env.AI_CASSETTE_DIR ||
+              ai.cassette?.dir ||
+              DEFAULT_CASSETTE_DIR,
+          ),
+        };
+  if (cassette) {
+    const shownDir = path.relative(projectRoot, cassette.dir);
+    console.log(
+      `AI responses: ${cassette.mode === "record" ? "recording to" : "replaying from"} ${shownDir.startsWith("..") ? cassette.dir : shownDir}`,
+    );
+  }
+
+  const concurrency = ai.concurrency ?? DEFAULT_CONCURRENCY;
+  providerSettings = {
+    env,
+    concurrency,
+    limit: createLimiter(concurrency),
+    rateLimiter: createRateLimiter(ai.requests_per_minute ?? null),
+    cassette,
+    responseCache: null,
+    cacheHits: 0,
+    ledger: createCostLedger({ pricing: ai.pricing ?? {} }),
+  };
+
+  // Print and keep the ledger of every step run that called a provider
+  const startedAt = new Date().toISOString();
+  process.on("exit", () => {
+    const summary = providerSettings.ledger.summary();
+    if (summary.calls + summary.cached_calls === 0) return;
+    console.log(
+      `AI usage: ${summary.calls} call${summary.calls === 1 ? "" : "s"}${summary.cached_calls > 0 ? ` (+${summary.cached_calls} from cache)` : ""}, ${summary.input_tokens.toLocaleString()} input + ${summary.output_tokens.toLocaleString()} output tokens, ${formatCost(summary.cost_usd)}${summary.max_cost !== null ? ` of ${formatCost(summary.max_cost)} budget` : ""}`,
+    );
+    try {
+      appendLedgerEntry({
+        step: path.basename(process.argv[1] ?? "", ".js"),
+        started_at: startedAt,
+        finished_at: new Date().toISOString(),
+        ...summary,
+      });
+    } catch (error) {
+      console.warn(`Warning: Failed to write cost ledger: ${error.message}`);
+    }
+  });
+
+  // AI_RESPONSE_CACHE=off skips the cache for one run
+  if (
+    ai.response_cache?.enabled !== false &&
+    process.env.AI_RESPONSE_CACHE !== "off"
+  ) {
+    const responseCache = openResponseCache(ai);
+    responseCache.prune();
+    providerSettings.responseCache = responseCache;
+    process.on("exit", () => {
+      const hits = providerSettings.cacheHits;
+      if (hits > 0) {
+        console.log(
+          `AI response cache: ${hits} call${hits === 1 ? "" : "s"} answered from cache/responses`,
+        );
+      }
+    });
+  }
+  return providerSettings;
+}
+
+/**
+ * Number of provider calls that run at once (ai.concurrency, default 4).
+ * Steps use it to size their work pools.
+ * @returns {number} Concurrency limit
+ */
+export function getProviderConcurrency() {
+  return getProviderSettings().concurrency;
+}
+
+/**
+ * Cap the dollars this run may spend on provider calls (the --max-cost flag).
+ * A call whose estimated cost would take the run past the cap is refused:
+ * executeProvider throws an error with `budgetExceeded` set, and so does
+ * every later call. Responses from the cache cost nothing and still pass.
+ * @param {string|number|undefined} maxCost - Budget in USD; undefined for none
+ * @returns {number|null} Budget in USD, or null for none
+ */
+export function setCostBudget(maxCost) {
+  if (maxCost === undefined || maxCost === null) return null;
+  const amount = Number(maxCost);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    console.error(
+      `--max-cost must be a positive amount in USD (got "${maxCost}")`,
+    );
+    process.exit(1);
+  }
+  getProviderSettings().ledger.setBudget(amount);
+  console.log(`AI budget: ${formatCost(amount)} for this run`);
+  return amount;
+}
+
+/**
+ * Price token usage on a provider the way the run's ledger will: by the
+ * model the provider calls, from the built-in list prices and ai.pricing.
+ * Steps use it to show what a run is expected to cost before starting.
+ * @param {string} providerName - Provider name (filename without .js)
+ * @param {{input_tokens: number, output_tokens: number}} usage - Expected usage
+ * @returns {Promise<number|null>} Cost in USD, or null when the model has no price
+ */
+export async function estimateProviderCost(providerName, usage) {
+  const { env, ledger } = getProviderSettings();
+  const providerModule = await loadProviderModule(
+    path.join(projectRoot, `cli-providers/${providerName}.js`),
+  );
+  const model = providerModule?.getModel?.({ env }) ?? null;
+  const price = ledger.priceOf(model, providerName);
+  return price ? costOf(usage, price) : null;
+}
+
+/**
+ * Stop the step with BUDGET_EXIT_CODE if --max-cost refused a call. Steps
+ * call it once the calls in flight have finished and their results are
+ * saved, so a re-run resumes where this one stopped.
+ */
+export function exitIfBudgetReached() {
+  const { ledger } = getProviderSettings();
+  if (!ledger.isExhausted()) return;
+  const { cost_usd, max_cost } = ledger.summary();
+  console.error(
+    `\nAI budget of ${formatCost(max_cost)} reached (${formatCost(cost_usd)} spent); stopped before the next call would exceed it.`,
+  );
+  console.error(
+    "Progress saved. Re-run to resume, with a higher --max-cost to go further.",
+  );
+  process.exit(BUDGET_EXIT_CODE);
+}
+
+/**
+ * Load a provider module that exports complete(), once per process
+ * @param {string} providerScript - Absolute path to the provider script
+ * @returns {Promise<object|null>} Module, or null for file-contract scripts
+ */
+function loadProviderModule(providerScript) {
+  if (!providerModules.has(providerScript)) {
+    const source = fs.readFileSync(providerScript, "utf-8");
+    providerModules.set(
+      providerScript,
+      IN_PROCESS_PATTERN.test(source)
+        ? import(pathToFileURL(providerScript).href)
+        : Promise.resolve(null),
+    );
+  }
+  return providerModules.get(providerScript);
+}
+
+// Every prompt in the pipeline asks for JSON; a reply that does not parse is
+// requested again on the next run instead of being served from the cache
+function isCacheableResponse(response) {
+  try {
+    JSON.parse(response.replace(/```(?:json)?/g, "").trim());
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Token counts under the same names whichever provider answered
+function withUsage({ response, metadata }) {
+  return { response, metadata: { ...metadata, ...normalizeUsage(metadata) } };
+}
+
+/**
+ * Run a provider script as a child process without blocking other calls
+ * @returns {Promise<{status: number|null, stdout: string, stderr: string}>}
+ */
+function runProviderScript(providerScript, args, env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn("node", [providerScript, ...args], {
+      stdio: ["inherit", "pipe", "pipe"],
+      env,
+    });
+    let stdout = "";
+    let stderr = "";
+    child.stdout.setEncoding("utf-8").on("data", (chunk) => (stdout += chunk));
+    child.stderr.setEncoding("utf-8").on("data", (chunk) => (stderr += chunk));
+    child.on("error", reject);
+    child.on("close", (status) => resolve({ status, stdout, stderr }));
+  });
+}
 
+/**
+ * One attempt against a file-contract provider script
+ * @returns {function(): Promise<{response: string, metadata: object}>} Attempt function
+ */
+function createScriptAttempt(providerScript, prompt, env) {
   // Generate UUID for this prompt
   const uuid = randomUUID();
   const promptsDir = path.join(projectRoot, "cache/prompts");
@@ -112,106 +373,213 @@ export async function executeProvider(providerName, prompt) {
     throw new Error(`Failed to write prompt file: ${error.message}`);
   }
 
-  // Execute provider script
-  const providerScript = path.join(
-    projectRoot,
-    `cli-providers/${providerName}.js`,
-  );
+  return async () => {
+    if (fs.existsSync(responseFile)) fs.unlinkSync(responseFile);
 
-  // Inject API keys from config.json into the child process env (env var takes precedence if already set)
-  const childEnv = { ...process.env };
-  try {
-    const configPath = path.join(projectRoot, "config.json");
-    const configContent = fs.readFileSync(configPath, "utf-8");
-    const config = JSON.parse(configContent);
-    if (config.ai?.anthropic_api_key && !childEnv.ANTHROPIC_API_KEY) {
-      childEnv.ANTHROPIC_API_KEY = config.ai.anthropic_api_key;
+    let result;
+    try {
+      result = await runProviderScript(
+        providerScript,
+        [promptFile, responseFile],
+        env,
+      );
+    } catch (error) {
+      throw Object.assign(
+        new Error(`Provider spawn failed: ${error.message}`),
+        { retryable: false },
+      );
     }
-    if (config.ai?.gemini_api_key && !childEnv.GOOGLE_API_KEY) {
-      childEnv.GOOGLE_API_KEY = config.ai.gemini_api_key;
+
+    if (result.status !== 0) {
+      let detail = (result.stderr || result.stdout || "").trim();
+      if (!detail && fs.existsSync(responseFile)) {
+        detail = fs.readFileSync(responseFile, "utf-8").trim();
+      }
+      throw new Error(detail || `exit status ${result.status}`);
+    }
+
+    // Read response file
+    if (!fs.existsSync(responseFile)) {
+      throw Object.assign(new Error("Provider did not write response file"), {
+        retryable: false,
+      });
+    }
+
+    let response;
+    let metadata = {};
+
+    try {
+      response = fs.readFileSync(responseFile, "utf-8");
+    } catch (error) {
+      throw Object.assign(
+        new Error(`Failed to read response file: ${error.message}`),
+        { retryable: false },
+      );
     }
-  } catch {
-    // Config read failure is non-fatal; provider will surface missing key error
-  }
 
-  const MAX_RETRIES = 3;
-  const RETRY_DELAYS_MS = [5000, 15000, 30000];
-  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    // Read metadata file if it exists
+    const metaFile = responseFile + ".meta.json";
+    if (fs.existsSync(metaFile)) {
+      try {
+        const metaContent = fs.readFileSync(metaFile, "utf-8");
+        metadata = JSON.parse(metaContent);
+      } catch (error) {
+        console.warn(`Warning: Failed to read metadata file: ${error.message}`);
+      }
+    }
 
+    return { response, metadata };
+  };
+}
+
+/**
+ * Run a provider attempt, retrying failures with backoff. Rate-limit errors
+ * (HTTP 429) pause every call sharing the rate limiter.
+ * @param {function(): Promise<{response: string, metadata: object}>} runAttempt - One provider call
+ * @param {object} rateLimiter - Shared rate limiter
+ * @returns {Promise<{response: string, metadata: object}>} Provider response and metadata
+ */
+async function runWithRetries(runAttempt, rateLimiter) {
   let lastError;
+  let isRateLimit = false;
   for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
     if (attempt > 0) {
-      const isRateLimit =
-        lastError &&
-        (lastError.includes("429") || lastError.includes("rate_limit"));
       const delay = isRateLimit
-        ? 70000
+        ? RATE_LIMIT_DELAY_MS
         : (RETRY_DELAYS_MS[attempt - 1] ?? 10000);
       process.stdout.write(
         `\nProvider failed (attempt ${attempt}/${MAX_RETRIES}), retrying in ${delay / 1000}s...\n  Reason: ${lastError}\n`,
       );
       await sleep(delay);
-      if (fs.existsSync(responseFile)) fs.unlinkSync(responseFile);
     }
 
-    const result = spawnSync(
-      "node",
-      [providerScript, promptFile, responseFile],
-      {
-        encoding: "utf-8",
-        stdio: ["inherit", "pipe", "pipe"],
-        env: childEnv,
-      },
-    );
-
-    if (result.error) {
-      throw new Error(`Provider spawn failed: ${result.error.message}`);
+    await rateLimiter.wait();
+    try {
+      return await runAttempt();
+    } catch (error) {
+      if (error.retryable === false) throw error;
+      lastError = error.message;
+      isRateLimit =
+        error.status === 429 ||
+        lastError.includes("429") ||
+        lastError.includes("rate_limit");
+      // Every call would hit the same limit; hold them all back
+      if (isRateLimit) rateLimiter.pause(RATE_LIMIT_DELAY_MS);
     }
 
-    if (result.status === 0) break;
-
-    let detail = (result.stderr || result.stdout || "").trim();
-    if (!detail && fs.existsSync(responseFile)) {
-      detail = fs.readFileSync(responseFile, "utf-8").trim();
+    if (lastError.includes("prompt is too long")) {
+      throw new Error(`Prompt too long: ${lastError}`);
     }
+  }
 
-    lastError = detail || `exit status ${result.status}`;
+  throw new Error(
+    `Provider failed after ${MAX_RETRIES} retr${MAX_RETRIES === 1 ? "y" : "ies"}: ${lastError}`,
+  );
+}
 
-    if (detail.includes("prompt is too long")) {
-      throw new Error(`Prompt too long: ${lastError}`);
-    }
+/**
+ * Execute a provider: in-process through its complete() export, or as a
+ * script with the file-based contract. Calls share the ai.concurrency limit
+ * and the ai.requests_per_minute rate limit, so steps may start many at once.
+ * In cassette record mode each response is also saved; in replay mode it is
+ * served from the cassette and the provider is never called. Responses are
+ * cached by provider, model and prompt, so an identical prompt is answered
+ * from cache/responses (metadata.cached is then true). Every call is counted
+ * in the run's cost ledger and checked against --max-cost (see
+ * setCostBudget); metadata always carries input_tokens, output_tokens and
+ * total_tokens, whatever shape the provider reported them in.
+ * @param {string} providerName - Name of provider to execute
+ * @param {string} prompt - Prompt text to send to provider
+ * @returns {Promise<{response: string, metadata: object}>} Provider response and metadata
+ * @throws {Error} If provider execution fails, or with `budgetExceeded` set when --max-cost refuses the call
+ */
+export async function executeProvider(providerName, prompt) {
+  const providers = listProviders();
+  if (!providers.includes(providerName)) {
+    throw new Error(`Provider '${providerName}' not found in cli-providers/`);
+  }
 
-    if (attempt === MAX_RETRIES) {
-      throw new Error(
-        `Provider failed after ${MAX_RETRIES} retr${MAX_RETRIES === 1 ? "y" : "ies"}: ${lastError}`,
+  const providerScript = path.join(
+    projectRoot,
+    `cli-providers/${providerName}.js`,
+  );
+  const settings = getProviderSettings();
+  const { env, limit, rateLimiter, cassette, responseCache, ledger } = settings;
+
+  if (cassette?.mode === "replay") {
+    const recorded = readCassette(cassette.dir, prompt);
+    if (!recorded) {
+      // Steps report provider errors per item and carry on; a prompt the
+      // recordings do not cover must stop the run instead
+      console.error(
+        `\nNo recorded response for prompt ${cassetteKey(prompt)} in ${cassette.dir}. Re-record with AI_CASSETTE=record.\n  Prompt starts: ${normalizePrompt(prompt).slice(0, 200)}`,
       );
+      process.exit(1);
     }
+    ledger.recordCached(null, providerName);
+    return withUsage(recorded);
   }
 
-  // Read response file
-  if (!fs.existsSync(responseFile)) {
-    throw new Error("Provider did not write response file");
-  }
-
-  let response;
-  let metadata = {};
-
-  try {
-    response = fs.readFileSync(responseFile, "utf-8");
-  } catch (error) {
-    throw new Error(`Failed to read response file: ${error.message}`);
+  const providerModule = await loadProviderModule(providerScript);
+  const model = providerModule?.getModel?.({ env }) ?? null;
+  const cacheKey = responseCache
+    ? responseCacheKey(providerName, model, prompt)
+    : null;
+
+  const cached = responseCache?.get(cacheKey);
+  if (cached) {
+    settings.cacheHits++;
+    ledger.recordCached(model, providerName);
+    if (cassette?.mode === "record") {
+      writeCassette(cassette.dir, providerName, prompt, cached);
+    }
+    return withUsage({
+      response: cached.response,
+      metadata: { ...cached.metadata, cached: true },
+    });
   }
 
-  // Read metadata file if it exists
-  const metaFile = responseFile + ".meta.json";
-  if (fs.existsSync(metaFile)) {
+  const runAttempt = providerModule
+    ? async () => {
+        const result = await providerModule.complete(prompt, { env });
+        return {
+          response: result?.response ?? "",
+          metadata: result?.metadata ?? {},
+        };
+      }
+    : createScriptAttempt(providerScript, prompt, env);
+
+  const result = await limit(async () => {
+    const held = await ledger.admit(model, providerName, prompt);
+    if (held === null) {
+      throw Object.assign(
+        new Error(
+          `AI budget of ${formatCost(ledger.summary().max_cost)} reached`,
+        ),
+        { budgetExceeded: true },
+      );
+    }
     try {
-      const metaContent = fs.readFileSync(metaFile, "utf-8");
-      metadata = JSON.parse(metaContent);
+      const answer = await runWithRetries(runAttempt, rateLimiter);
+      ledger.record(model, providerName, answer.metadata, held);
+      return answer;
     } catch (error) {
-      console.warn(`Warning: Failed to read metadata file: ${error.message}`);
+      ledger.release(held);
+      throw error;
     }
-  }
+  });
 
-  return { response, metadata };
+  if (responseCache && isCacheableResponse(result.response)) {
+    responseCache.set(cacheKey, {
+      provider: providerName,
+      model,
+      prompt: normalizePrompt(prompt),
+      response: result.response,
+      metadata: result.metadata,
+    });
+  }
+  if (cassette?.mode === "record") {
+    writeCassette(cassette.dir, providerName, prompt, result);
+  }
+  return withUsage(result);
 }
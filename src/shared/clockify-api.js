@@ -0,0 +1,113 @@
+export const CLOCKIFY_BASE_URL = "https://api.clockify.me/api/v1";
+
+// Joins tag names in the Tags column, as Clockify's CSV export does; names
+// may themselves contain a bare ","
+export const CLOCKIFY_TAG_SEPARATOR = ", ";
+
+const RATE_LIMIT_DELAY_MS = 125; // 8 req/sec → 1000/8 = 125 ms
+const TIME_ENTRIES_PAGE_SIZE = 200;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Call the Clockify REST API
+ * @param {string} apiPath - Path relative to the API base URL (e.g. "/user")
+ * @param {string} apiKey - Clockify API key
+ * @param {object} options - Request options
+ * @param {string} options.method - HTTP method (default GET)
+ * @param {object} options.body - JSON body to send
+ * @returns {Promise<any>} Parsed JSON response ({} for 204)
+ * @throws {Error} If the response status is not OK
+ */
+export async function fetchClockify(
+  apiPath,
+  apiKey,
+  { method = "GET", body } = {},
+) {
+  await sleep(RATE_LIMIT_DELAY_MS);
+
+  const url = CLOCKIFY_BASE_URL + apiPath;
+  const options = {
+    method,
+    headers: {
+      "X-Api-Key": apiKey,
+      "Content-Type": "application/json",
+    },
+  };
+
+  if (body) {
+    options.body = JSON.stringify(body);
+  }
+
+  const res = await fetch(url, options);
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new Error(
+      `Clockify API error: ${res.status} ${res.statusText} - ${url}${text ? ` - ${text}` : ""}`,
+    );
+  }
+  if (res.status === 204) return {};
+  return res.json();
+}
+
+/**
+ * Fetch the user that owns the API key
+ * @param {string} apiKey - Clockify API key
+ * @returns {Promise<{id: string, name: string}>} Authenticated user
+ */
+export async function fetchCurrentUser(apiKey) {
+  return fetchClockify("/user", apiKey);
+}
+
+/**
+ * Fetch all finished time entries of a user in a date range, following pagination
+ * @param {string} apiKey - Clockify API key
+ * @param {string} workspaceId - Clockify workspace ID
+ * @param {string} userId - Clockify user ID
+ * @param {object} range - Date range
+ * @param {string} range.start - ISO 8601 start timestamp (inclusive)
+ * @param {string} range.end - ISO 8601 end timestamp (inclusive)
+ * @param {function} onPage - Optional callback receiving the running entry count after each page
+ * @returns {Promise<Array>} Time entries sorted by start time (running timers excluded)
+ */
+export async function fetchTimeEntries(
+  apiKey,
+  workspaceId,
+  userId,
+  { start, end },
+  onPage = null,
+) {
+  const entries = [];
+  let page = 1;
+
+  while (true) {
+    const queryParams = new URLSearchParams({
+      start,
+      end,
+      hydrated: "true",
+      page: String(page),
+      "page-size": String(TIME_ENTRIES_PAGE_SIZE),
+    });
+
+    const data = await fetchClockify(
+      `/workspaces/${workspaceId}/user/${userId}/time-entries?${queryParams}`,
+      apiKey,
+    );
+
+    const pageEntries = Array.isArray(data) ? data : [];
+    entries.push(...pageEntries);
+    if (onPage) onPage(entries.length);
+
+    if (pageEntries.length < TIME_ENTRIES_PAGE_SIZE) {
+      break;
+    }
+
+    page++;
+  }
+
+  return entries
+    .filter((e) => e.timeInterval?.start && e.timeInterval?.end)
+    .sort((a, b) => a.timeInterval.start.localeCompare(b.timeInterval.start));
+}
@@ -0,0 +1,112 @@
+/**
+ * Convert a gitignore-style glob to a regular expression. A pattern without a
+ * slash matches at any depth, a trailing slash matches everything below a
+ * directory, a leading slash anchors to the repository root, and `**`, `*`,
+ * `?` and `{a,b}` work as usual.
+ * @param {string} glob - Glob pattern (e.g. "*.snap", "src/generated/")
+ * @param {object} [options] - Options
+ * @param {boolean} [options.ignoreCase=false] - Match case-insensitively
+ * @returns {RegExp} Regular expression matching whole paths
+ */
+export function globToRegExp(glob, { ignoreCase = false } = {}) {
+  let pattern = glob.trim().replace(/\\/g, "/");
+  if (pattern.startsWith("/")) {
+    pattern = pattern.slice(1);
+  } else if (!pattern.replace(/\/$/, "").includes("/")) {
+    pattern = `**/${pattern}`;
+  }
+  if (pattern.endsWith("/")) pattern += "**";
+
+  let source = "";
+  let inBraces = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      // "**/" spans zero or more directories; a bare "**" spans anything
+      if (pattern[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      source += "(?:";
+      inBraces = true;
+    } else if (char === "}" && inBraces) {
+      source += ")";
+      inBraces = false;
+    } else if (char === "," && inBraces) {
+      source += "|";
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, ignoreCase ? "i" : "");
+}
+
+/**
+ * Build the noise filter for commit records from `github.ignore_paths` (globs
+ * for files whose lines and modules should not count) and `github.bot_authors`
+ * (case-insensitive globs matched against commit author names and emails)
+ * @param {object} githubConfig - The `github` section of config.json
+ * @returns {{isIgnoredPath: function(string): boolean, isBotCommit: function(object): boolean, filterDetail: function(object): object}} Filter
+ */
+export function createCommitFilter(githubConfig = {}) {
+  const ignorePatterns = (githubConfig.ignore_paths ?? []).map((g) =>
+    globToRegExp(g),
+  );
+  const botPatterns = (githubConfig.bot_authors ?? []).map((g) =>
+    globToRegExp(`/${g.replace(/^\//, "")}`, { ignoreCase: true }),
+  );
+
+  function isIgnoredPath(filePath) {
+    const normalized = (filePath || "").replace(/\\/g, "/");
+    return ignorePatterns.some((p) => p.test(normalized));
+  }
+
+  return {
+    isIgnoredPath,
+
+    /**
+     * Whether a GitHub-style commit was authored by a configured bot
+     * @param {object} commit - Commit shaped like an Octokit listing item
+     * @returns {boolean} True for bot commits
+     */
+    isBotCommit(commit) {
+      const { name, email } = commit.commit?.author ?? {};
+      return botPatterns.some(
+        (p) => (!!name && p.test(name)) || (!!email && p.test(email)),
+      );
+    },
+
+    /**
+     * Split a commit detail into counted files and ignored ones
+     * @param {{files: Array<{filename: string, additions: number, deletions: number}>}} detail - Commit detail from a source adapter
+     * @returns {{files: object[], lines_added: number, lines_removed: number, excluded: {files_changed: string[], lines_added: number, lines_removed: number}}} Detail without ignored files, plus their totals
+     */
+    filterDetail(detail) {
+      const kept = [];
+      const excluded = { files_changed: [], lines_added: 0, lines_removed: 0 };
+      for (const file of detail.files ?? []) {
+        if (isIgnoredPath(file.filename)) {
+          excluded.files_changed.push(file.filename);
+          excluded.lines_added += file.additions || 0;
+          excluded.lines_removed += file.deletions || 0;
+        } else {
+          kept.push(file);
+        }
+      }
+      return {
+        files: kept,
+        lines_added: kept.reduce((sum, f) => sum + (f.additions || 0), 0),
+        lines_removed: kept.reduce((sum, f) => sum + (f.deletions || 0), 0),
+        excluded,
+      };
+    },
+  };
+}
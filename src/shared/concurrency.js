@@ -0,0 +1,86 @@
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Create a limiter that runs at most `concurrency` async functions at a time
+ * @param {number} concurrency - Maximum number of functions running at once
+ * @returns {function(function(): Promise<*>): Promise<*>} Runs a function once a slot is free and resolves with its result
+ */
+export function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  function next() {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  return (fn) =>
+    new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+}
+
+/**
+ * Map items through an async function, running at most `concurrency` at a time
+ * @param {Array} items - Items to map
+ * @param {number} concurrency - Maximum number of calls running at once
+ * @param {function(*, number): Promise<*>} fn - Called with each item and its index
+ * @returns {Promise<Array>} Results in the order of `items`
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+/**
+ * Create a rate limiter shared by every caller: starts are spaced evenly to
+ * stay under `requestsPerMinute`, and pause() holds all callers back (after a
+ * 429 from the API)
+ * @param {number|null} requestsPerMinute - Start limit, or null for no spacing
+ * @returns {{wait: function(): Promise<void>, pause: function(number): void}}
+ */
+export function createRateLimiter(requestsPerMinute = null) {
+  const interval = requestsPerMinute ? 60000 / requestsPerMinute : 0;
+  let nextStart = 0;
+  let pausedUntil = 0;
+
+  return {
+    async wait() {
+      // Re-check after sleeping: another caller may have taken the slot or
+      // paused everyone in the meantime
+      while (true) {
+        const now = Date.now();
+        const start = Math.max(nextStart, pausedUntil);
+        if (start <= now) {
+          nextStart = now + interval;
+          return;
+        }
+        await sleep(start - now);
+      }
+    },
+
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+  };
+}
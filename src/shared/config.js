@@ -1,11 +1,19 @@
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { CASSETTE_MODES } from "./cassette.js";
+import { TRACKERS } from "./trackers/names.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const projectRoot = path.join(__dirname, "../../");
 
+// Hosts with a source adapter in src/shared/sources/
+const REPOSITORY_HOSTS = ["github", "gitlab", "bitbucket"];
+
+// Jira Cloud (REST API v3, Basic auth) or Server / Data Center (v2, PAT)
+const JIRA_DEPLOYMENTS = ["cloud", "datacenter"];
+
 /**
  * Validate configuration structure
  * @param {object} config - Configuration object to validate
@@ -16,23 +24,37 @@ export function validateConfig(config) {
     throw new Error("Configuration must be an object");
   }
 
+  // Validate the ticket trackers; Jira's dates are the default range for all
+  if (config.trackers !== undefined) {
+    if (
+      !Array.isArray(config.trackers) ||
+      config.trackers.length === 0 ||
+      config.trackers.some((t) => !TRACKERS.includes(t))
+    ) {
+      throw new Error(
+        `trackers must be a non-empty array of: ${TRACKERS.join(", ")}`,
+      );
+    }
+  }
+  const trackers = config.trackers ?? ["jira"];
+  const usesJira = trackers.includes("jira");
+  // Data Center authenticates with a personal access token and searches by
+  // currentUser(), so it needs no account email
+  const usesJiraEmail = usesJira && config.jira?.deployment !== "datacenter";
+
   const requiredFields = {
-    github: [
-      "personal_access_token",
-      "repo_owner",
-      "repo_name",
-      "date_from",
-      "date_to",
-    ],
-    jira: [
-      "base_url",
-      "api_token",
-      "user_email",
-      "project_keys",
-      "date_from",
-      "date_to",
-    ],
-    clockify: ["input_csv", "output_mirrored", "output_standardized"],
+    github: ["date_from", "date_to"],
+    jira: usesJira
+      ? [
+          "base_url",
+          "api_token",
+          ...(usesJiraEmail ? ["user_email"] : []),
+          "project_keys",
+          "date_from",
+          "date_to",
+        ]
+      : ["date_from", "date_to"],
+    clockify: ["output_mirrored", "output_standardized"],
   };
 
   for (const [section, fields] of Object.entries(requiredFields)) {
@@ -47,6 +69,59 @@ export function validateConfig(config) {
     }
   }
 
+  // Validate GitHub repositories; a local clone needs no API credentials
+  const usesRepositoryList = config.github.repositories !== undefined;
+  if (usesRepositoryList) {
+    if (
+      !Array.isArray(config.github.repositories) ||
+      config.github.repositories.length === 0
+    ) {
+      throw new Error("github.repositories must be a non-empty array");
+    }
+  }
+  getRepositories(config).forEach((repo, i) => {
+    const prefix = usesRepositoryList ? `github.repositories[${i}]` : "github";
+    if (repo.source !== "api" && repo.source !== "local") {
+      throw new Error(`${prefix}.source must be "api" or "local"`);
+    }
+    if (!REPOSITORY_HOSTS.includes(repo.host)) {
+      throw new Error(
+        `${prefix}.host must be one of: ${REPOSITORY_HOSTS.join(", ")}`,
+      );
+    }
+    const fields =
+      repo.source === "local"
+        ? { local_path: repo.local_path }
+        : {
+            personal_access_token: repo.personal_access_token,
+            [usesRepositoryList ? "owner" : "repo_owner"]: repo.owner,
+            [usesRepositoryList ? "name" : "repo_name"]: repo.name,
+          };
+    for (const [field, value] of Object.entries(fields)) {
+      if (!value) {
+        throw new Error(`Missing required field: ${prefix}.${field}`);
+      }
+    }
+    const rules = repo.modules.rules ?? [];
+    if (
+      !Array.isArray(rules) ||
+      rules.some((r) => typeof r?.pattern !== "string" || !r.module)
+    ) {
+      throw new Error(
+        `${prefix}.modules.rules must be an array of {pattern, module}`,
+      );
+    }
+  });
+
+  // Validate Clockify input source; the CSV path is only needed for CSV input
+  const clockifySource = config.clockify.source ?? "csv";
+  if (clockifySource !== "csv" && clockifySource !== "api") {
+    throw new Error('clockify.source must be "csv" or "api"');
+  }
+  if (clockifySource === "csv" && !("input_csv" in config.clockify)) {
+    throw new Error("Missing required field: clockify.input_csv");
+  }
+
   // Validate date formats (ISO 8601: YYYY-MM-DD)
   const datePattern = /^\d{4}-\d{2}-\d{2}$/;
   if (!datePattern.test(config.github.date_from)) {
@@ -71,20 +146,269 @@ export function validateConfig(config) {
   }
 
   // Validate project_keys is an array
-  if (!Array.isArray(config.jira.project_keys)) {
+  if (usesJira && !Array.isArray(config.jira.project_keys)) {
     throw new Error("jira.project_keys must be an array");
   }
 
-  if (config.jira.project_keys.length === 0) {
+  if (usesJira && config.jira.project_keys.length === 0) {
     throw new Error("jira.project_keys must not be empty");
   }
 
+  if (
+    config.jira.deployment !== undefined &&
+    !JIRA_DEPLOYMENTS.includes(config.jira.deployment)
+  ) {
+    throw new Error(
+      `jira.deployment must be one of: ${JIRA_DEPLOYMENTS.join(", ")}`,
+    );
+  }
+
+  if (
+    config.jira.story_points_field !== undefined &&
+    !/^customfield_\d+$/.test(config.jira.story_points_field)
+  ) {
+    throw new Error(
+      'jira.story_points_field must be a custom field ID like "customfield_10016"',
+    );
+  }
+
+  if (trackers.includes("linear")) {
+    if (!config.linear?.api_key) {
+      throw new Error("Missing required field: linear.api_key");
+    }
+    const teamKeys = config.linear.team_keys;
+    if (
+      teamKeys !== undefined &&
+      (!Array.isArray(teamKeys) || teamKeys.some((k) => typeof k !== "string"))
+    ) {
+      throw new Error("linear.team_keys must be an array of strings");
+    }
+  }
+
+  if (trackers.includes("github")) {
+    const only = config.github_issues?.repositories;
+    if (
+      only !== undefined &&
+      (!Array.isArray(only) || only.some((id) => typeof id !== "string"))
+    ) {
+      throw new Error("github_issues.repositories must be an array of strings");
+    }
+    const hasApiRepo = getRepositories(config).some(
+      (repo) => repo.source === "api" && repo.host === "github",
+    );
+    if (!hasApiRepo) {
+      throw new Error(
+        'The "github" tracker needs a GitHub repository with source "api"',
+      );
+    }
+  }
+
   // Validate developer_emails if present
   if (config.github.developer_emails !== undefined) {
     if (!Array.isArray(config.github.developer_emails)) {
       throw new Error("github.developer_emails must be an array");
     }
   }
+
+  // Validate ignore globs and bot authors if present
+  for (const field of ["ignore_paths", "bot_authors"]) {
+    const value = config.github[field];
+    if (
+      value !== undefined &&
+      (!Array.isArray(value) || value.some((v) => typeof v !== "string"))
+    ) {
+      throw new Error(`github.${field} must be an array of strings`);
+    }
+  }
+
+  // Validate the ticket grammar if present
+  if (config.tickets !== undefined) {
+    const { jira, linear, denylist } = config.tickets;
+    const prefixLists = {
+      "tickets.jira.prefixes": jira?.prefixes,
+      "tickets.linear.team_keys": linear?.team_keys,
+      "tickets.denylist": denylist,
+    };
+    for (const [field, value] of Object.entries(prefixLists)) {
+      if (
+        value !== undefined &&
+        (!Array.isArray(value) || value.some((v) => typeof v !== "string"))
+      ) {
+        throw new Error(`${field} must be an array of strings`);
+      }
+    }
+  }
+
+  // Validate the calendar import if present
+  if (config.calendar !== undefined) {
+    const { ics_files: icsFiles, emails } = config.calendar;
+    if (
+      !Array.isArray(icsFiles) ||
+      icsFiles.some((f) => typeof f !== "string")
+    ) {
+      throw new Error("calendar.ics_files must be an array of paths");
+    }
+    if (
+      emails !== undefined &&
+      (!Array.isArray(emails) || emails.some((e) => typeof e !== "string"))
+    ) {
+      throw new Error("calendar.emails must be an array of strings");
+    }
+    for (const field of ["date_from", "date_to"]) {
+      const value = config.calendar[field];
+      if (value !== undefined && !datePattern.test(value)) {
+        throw new Error(
+          `Invalid date format for calendar.${field}. Use ISO 8601 (YYYY-MM-DD)`,
+        );
+      }
+    }
+  }
+
+  // Validate the diff budget for commit summaries if present
+  if (config.github.diff_max_chars !== undefined) {
+    if (
+      !Number.isInteger(config.github.diff_max_chars) ||
+      config.github.diff_max_chars <= 0
+    ) {
+      throw new Error("github.diff_max_chars must be a positive integer");
+    }
+  }
+
+  // Validate the provider call limits if present
+  if (config.ai?.concurrency !== undefined) {
+    if (
+      !Number.isInteger(config.ai.concurrency) ||
+      config.ai.concurrency <= 0
+    ) {
+      throw new Error("ai.concurrency must be a positive integer");
+    }
+  }
+  if (config.ai?.requests_per_minute !== undefined) {
+    if (
+      typeof config.ai.requests_per_minute !== "number" ||
+      config.ai.requests_per_minute <= 0
+    ) {
+      throw new Error("ai.requests_per_minute must be a positive number");
+    }
+  }
+  if (config.ai?.openai_compatible !== undefined) {
+    const compatible = config.ai.openai_compatible;
+    if (
+      compatible.base_url !== undefined &&
+      !/^https?:\/\/\S+$/.test(compatible.base_url)
+    ) {
+      throw new Error(
+        "ai.openai_compatible.base_url must be an http(s) URL, e.g. http://localhost:11434/v1",
+      );
+    }
+    for (const field of ["model", "api_key"]) {
+      if (
+        compatible[field] !== undefined &&
+        typeof compatible[field] !== "string"
+      ) {
+        throw new Error(`ai.openai_compatible.${field} must be a string`);
+      }
+    }
+    const { headers } = compatible;
+    if (
+      headers !== undefined &&
+      (typeof headers !== "object" ||
+        headers === null ||
+        Array.isArray(headers) ||
+        Object.values(headers).some((v) => typeof v !== "string"))
+    ) {
+      throw new Error(
+        "ai.openai_compatible.headers must be an object of header names to string values",
+      );
+    }
+  }
+  if (config.ai?.response_cache !== undefined) {
+    const responseCache = config.ai.response_cache;
+    if (
+      responseCache.enabled !== undefined &&
+      typeof responseCache.enabled !== "boolean"
+    ) {
+      throw new Error("ai.response_cache.enabled must be true or false");
+    }
+    for (const field of ["ttl_days", "max_mb"]) {
+      const value = responseCache[field];
+      if (value !== undefined && (typeof value !== "number" || value <= 0)) {
+        throw new Error(`ai.response_cache.${field} must be a positive number`);
+      }
+    }
+  }
+  if (config.ai?.cassette !== undefined) {
+    const { mode, dir } = config.ai.cassette;
+    if (mode !== undefined && !CASSETTE_MODES.includes(mode)) {
+      throw new Error(
+        `ai.cassette.mode must be one of: ${CASSETTE_MODES.join(", ")}`,
+      );
+    }
+    if (dir !== undefined && (typeof dir !== "string" || dir === "")) {
+      throw new Error("ai.cassette.dir must be a directory path");
+    }
+  }
+  if (config.ai?.pricing !== undefined) {
+    const { pricing } = config.ai;
+    if (typeof pricing !== "object" || pricing === null) {
+      throw new Error(
+        "ai.pricing must map model names to { input, output } prices",
+      );
+    }
+    for (const [model, price] of Object.entries(pricing)) {
+      for (const side of ["input", "output"]) {
+        const value = price?.[side];
+        if (typeof value !== "number" || value < 0) {
+          throw new Error(
+            `ai.pricing["${model}"].${side} must be a price in USD per million tokens`,
+          );
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Normalise the configured GitHub repositories into one list.
+ * `github.repositories` wins; otherwise the single-repo settings
+ * (repo_owner, repo_name, source, local_path) become a one-item list.
+ * Per-repo settings fall back to the github-level ones.
+ * @param {object} config - Configuration object
+ * @returns {Array<{id: string, owner: string, name: string, host: string, base_url: string|null, source: string, main_branch: string, personal_access_token: string, username: string|undefined, local_path: string|null, modules: object}>} Repositories; `id` is "owner/name" (or the clone's directory name)
+ */
+export function getRepositories(config) {
+  const github = config.github ?? {};
+  const entries =
+    Array.isArray(github.repositories) && github.repositories.length > 0
+      ? github.repositories
+      : [
+          {
+            owner: github.repo_owner,
+            name: github.repo_name,
+            local_path: github.local_path,
+          },
+        ];
+
+  return entries.map((entry) => {
+    const localPath = entry.local_path
+      ? path.resolve(projectRoot, entry.local_path)
+      : null;
+    const name = entry.name || (localPath ? path.basename(localPath) : "");
+    return {
+      id: entry.owner ? `${entry.owner}/${name}` : name,
+      owner: entry.owner,
+      name,
+      host: entry.host ?? github.host ?? "github",
+      base_url: entry.base_url ?? github.base_url ?? null,
+      source: entry.source ?? github.source ?? "api",
+      main_branch: entry.main_branch ?? github.main_branch ?? "develop",
+      personal_access_token:
+        entry.personal_access_token ?? github.personal_access_token,
+      username: entry.username ?? github.username,
+      local_path: localPath,
+      modules: entry.modules ?? github.modules ?? {},
+    };
+  });
 }
 
 /**
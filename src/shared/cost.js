@@ -0,0 +1,324 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.join(__dirname, "../../");
+
+// One line per step run: calls, tokens and dollars by model
+export const COST_LEDGER_PATH = path.join(
+  projectRoot,
+  "cache/cost-ledger.ndjson",
+);
+
+// List prices in USD per million tokens for the models the bundled providers
+// call; ai.pricing in config.json adds or overrides entries
+export const MODEL_PRICING = {
+  "claude-haiku-4-5-20251001": { input: 1, output: 5 },
+  "claude-sonnet-4-6": { input: 3, output: 15 },
+  "claude-opus-4-6": { input: 5, output: 25 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+};
+
+// Reply length assumed for a model before any of its calls has finished
+const DEFAULT_OUTPUT_TOKENS = 1000;
+// Rough prompt size in tokens, as the enricher estimates batch prompts
+const CHARS_PER_TOKEN = 4;
+
+const toCount = (value) =>
+  typeof value === "number" && Number.isFinite(value) ? value : null;
+
+/**
+ * Token usage from provider metadata, whichever shape the provider wrote:
+ * input_tokens/output_tokens (bundled providers), usage.prompt_tokens/
+ * completion_tokens (OpenAI), usageMetadata.promptTokenCount/
+ * candidatesTokenCount (Gemini), or a bare total_tokens/token_count
+ * @param {object} metadata - Provider metadata
+ * @returns {{input_tokens: number, output_tokens: number, total_tokens: number}}
+ */
+export function normalizeUsage(metadata) {
+  const meta = metadata && typeof metadata === "object" ? metadata : {};
+  const usage = meta.usage ?? {};
+  const gemini = meta.usageMetadata ?? {};
+  const input =
+    toCount(meta.input_tokens) ??
+    toCount(usage.input_tokens) ??
+    toCount(usage.prompt_tokens) ??
+    toCount(gemini.promptTokenCount);
+  const output =
+    toCount(meta.output_tokens) ??
+    toCount(usage.output_tokens) ??
+    toCount(usage.completion_tokens) ??
+    toCount(gemini.candidatesTokenCount);
+  const total =
+    toCount(meta.total_tokens) ??
+    toCount(usage.total_tokens) ??
+    toCount(gemini.totalTokenCount) ??
+    toCount(meta.token_count);
+
+  if (input === null && output === null) {
+    // Only a total is known; count it as output, the dearer side, so a
+    // budget is never underestimated
+    return {
+      input_tokens: 0,
+      output_tokens: total ?? 0,
+      total_tokens: total ?? 0,
+    };
+  }
+  return {
+    input_tokens: input ?? 0,
+    output_tokens: output ?? 0,
+    total_tokens: total ?? (input ?? 0) + (output ?? 0),
+  };
+}
+
+/**
+ * Cost of one call in USD
+ * @param {{input_tokens: number, output_tokens: number}} usage - Normalised usage
+ * @param {{input: number, output: number}} price - USD per million tokens
+ * @returns {number} Cost in USD
+ */
+export function costOf(usage, price) {
+  return (
+    (usage.input_tokens * price.input + usage.output_tokens * price.output) /
+    1_000_000
+  );
+}
+
+/**
+ * Format a USD amount; sub-cent amounts keep four decimals
+ * @param {number} usd - Amount in USD
+ * @returns {string} e.g. "$1.25" or "$0.0042"
+ */
+export function formatCost(usd) {
+  return `$${usd.toFixed(usd > 0 && usd < 0.01 ? 4 : 2)}`;
+}
+
+/**
+ * Per-run record of AI calls, tokens and dollars, with an optional budget.
+ * Calls are admitted against the budget before they are sent: the estimate
+ * of every call in flight is held until its real usage is recorded, so
+ * concurrent calls cannot overshoot it together. A call that only fits once
+ * the calls in flight have settled waits for them; a call that does not fit
+ * at all is refused, and so is every later one, so the run stops at one
+ * point.
+ * @param {object} options
+ * @param {object} [options.pricing] - Extra or overriding prices, keyed by model or provider name
+ * @param {number|null} [options.maxCost] - Budget in USD, or null for none
+ * @returns {object} Ledger with setBudget, priceOf, admit, release, record, recordCached, isExhausted and summary
+ */
+export function createCostLedger({ pricing = {}, maxCost = null } = {}) {
+  const prices = { ...MODEL_PRICING, ...pricing };
+  const totals = {
+    calls: 0,
+    cached_calls: 0,
+    input_tokens: 0,
+    output_tokens: 0,
+    cost_usd: 0,
+  };
+  // model → {calls, cached_calls, input_tokens, output_tokens, cost_usd}
+  const models = new Map();
+  const unpriced = new Set();
+  let budget = maxCost;
+  let reserved = 0;
+  let inFlight = 0;
+  let exhausted = false;
+  // admit() calls waiting for calls in flight to settle
+  let waiting = [];
+
+  function settle(held) {
+    reserved -= held;
+    inFlight--;
+    const wake = waiting;
+    waiting = [];
+    for (const resolve of wake) resolve();
+  }
+
+  function priceOf(model, providerName) {
+    return prices[model] ?? prices[providerName] ?? null;
+  }
+
+  function priceFor(model, providerName) {
+    const price = priceOf(model, providerName);
+    if (price) return price;
+    const name = model ?? providerName;
+    if (!unpriced.has(name)) {
+      unpriced.add(name);
+      if (budget !== null) {
+        console.warn(
+          `Warning: No price for model ${name}; its calls count as $0 against --max-cost. Add it to ai.pricing in config.json.`,
+        );
+      }
+    }
+    return { input: 0, output: 0 };
+  }
+
+  function modelTotals(model, providerName) {
+    const name = model ?? providerName;
+    if (!models.has(name)) {
+      models.set(name, {
+        calls: 0,
+        cached_calls: 0,
+        input_tokens: 0,
+        output_tokens: 0,
+        cost_usd: 0,
+      });
+    }
+    return models.get(name);
+  }
+
+  function add(entry, usage, cost) {
+    entry.input_tokens += usage.input_tokens;
+    entry.output_tokens += usage.output_tokens;
+    entry.cost_usd += cost;
+  }
+
+  return {
+    /**
+     * @param {number|null} maxCostUsd - Budget in USD, or null for none
+     */
+    setBudget(maxCostUsd) {
+      budget = maxCostUsd;
+    },
+
+    /**
+     * Price of a model, falling back to its provider name
+     * @param {string|null} model - Model the provider calls
+     * @param {string} providerName - Provider name (price key for script providers)
+     * @returns {{input: number, output: number}|null} USD per million tokens, or null when unpriced
+     */
+    priceOf,
+
+    /**
+     * Hold the estimated cost of a call against the budget
+     * @param {string|null} model - Model the provider calls
+     * @param {string} providerName - Provider name (price key for script providers)
+     * @param {string} prompt - Prompt text
+     * @returns {Promise<number|null>} Amount held (pass it to record or release), or null when the call would exceed the budget
+     */
+    async admit(model, providerName, prompt) {
+      for (;;) {
+        if (exhausted) return null;
+        const previous = modelTotals(model, providerName);
+        const estimate = costOf(
+          {
+            input_tokens: Math.ceil(prompt.length / CHARS_PER_TOKEN),
+            output_tokens:
+              previous.calls > 0
+                ? previous.output_tokens / previous.calls
+                : DEFAULT_OUTPUT_TOKENS,
+          },
+          priceFor(model, providerName),
+        );
+        if (
+          budget === null ||
+          totals.cost_usd + reserved + estimate <= budget
+        ) {
+          reserved += estimate;
+          inFlight++;
+          return estimate;
+        }
+        if (inFlight === 0) {
+          exhausted = true;
+          return null;
+        }
+        await new Promise((resolve) => waiting.push(resolve));
+      }
+    },
+
+    /**
+     * Give back the amount held for a call that failed
+     * @param {number} held - Amount returned by admit
+     */
+    release(held) {
+      settle(held);
+    },
+
+    /**
+     * Record a call the provider answered
+     * @param {string|null} model - Model the provider calls
+     * @param {string} providerName - Provider name
+     * @param {object} metadata - Provider metadata
+     * @param {number} held - Amount returned by admit
+     * @returns {number} Cost of the call in USD
+     */
+    record(model, providerName, metadata, held) {
+      const usage = normalizeUsage(metadata);
+      const cost = costOf(usage, priceFor(model, providerName));
+      const entry = modelTotals(model, providerName);
+      entry.calls++;
+      totals.calls++;
+      add(entry, usage, cost);
+      add(totals, usage, cost);
+      settle(held);
+      return cost;
+    },
+
+    /**
+     * Record a call answered without the provider (response cache or
+     * cassette); it costs nothing
+     * @param {string|null} model - Model the provider calls
+     * @param {string} providerName - Provider name
+     */
+    recordCached(model, providerName) {
+      modelTotals(model, providerName).cached_calls++;
+      totals.cached_calls++;
+    },
+
+    /**
+     * @returns {boolean} Whether a call was refused for the budget
+     */
+    isExhausted() {
+      return exhausted;
+    },
+
+    /**
+     * @returns {{max_cost: number|null, budget_reached: boolean, calls: number, cached_calls: number, input_tokens: number, output_tokens: number, cost_usd: number, models: object}}
+     */
+    summary() {
+      const rounded = (entry) => ({
+        ...entry,
+        cost_usd: Math.round(entry.cost_usd * 1e6) / 1e6,
+      });
+      return {
+        max_cost: budget,
+        budget_reached: exhausted,
+        ...rounded(totals),
+        models: Object.fromEntries(
+          [...models].map(([name, entry]) => [name, rounded(entry)]),
+        ),
+      };
+    },
+  };
+}
+
+/**
+ * Append one run's ledger to cache/cost-ledger.ndjson
+ * @param {object} entry - Ledger summary plus step and timestamps
+ */
+export function appendLedgerEntry(entry) {
+  fs.mkdirSync(path.dirname(COST_LEDGER_PATH), { recursive: true });
+  fs.appendFileSync(COST_LEDGER_PATH, JSON.stringify(entry) + "\n", "utf-8");
+}
+
+/**
+ * Runs recorded in cache/cost-ledger.ndjson, oldest first
+ * @returns {object[]} Ledger entries
+ */
+export function readLedgerEntries() {
+  if (!fs.existsSync(COST_LEDGER_PATH)) return [];
+  return fs
+    .readFileSync(COST_LEDGER_PATH, "utf-8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        // A line cut short by a crash; skip it
+        return [];
+      }
+    });
+}
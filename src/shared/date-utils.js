@@ -1,6 +1,7 @@
 import {
   parse,
   format,
+  isValid,
   isSameDay,
   addHours,
   differenceInDays,
@@ -8,6 +9,28 @@ import {
   endOfDay,
 } from "date-fns";
 
+// Canonical formats written to cache/clockify-cleaned.csv and the output CSVs
+export const CLOCKIFY_DATE_FORMAT = "MM/dd/yyyy";
+export const CLOCKIFY_TIME_FORMAT = "hh:mm a";
+
+// Candidate export formats, in order of preference when more than one fits
+export const CLOCKIFY_DATE_FORMATS = [
+  "MM/dd/yyyy",
+  "dd/MM/yyyy",
+  "dd.MM.yyyy",
+  "yyyy-MM-dd",
+  "dd-MM-yyyy",
+  "MM-dd-yyyy",
+  "yyyy/MM/dd",
+];
+export const CLOCKIFY_TIME_FORMATS = [
+  "hh:mm a",
+  "hh:mm:ss a",
+  "HH:mm",
+  "HH:mm:ss",
+];
+export const CLOCKIFY_DURATION_FORMATS = ["hh:mm", "decimal"];
+
 /**
  * Parse Clockify date format (MM/DD/YYYY) and time (hh:mm AM/PM) as local time
  * @param {string} dateStr - Date in MM/DD/YYYY format
@@ -20,7 +43,134 @@ export function parseClockifyDate(dateStr, timeStr) {
   }
 
   const dateTimeStr = `${dateStr} ${timeStr}`;
-  return parse(dateTimeStr, "MM/dd/yyyy hh:mm a", new Date());
+  return parse(
+    dateTimeStr,
+    `${CLOCKIFY_DATE_FORMAT} ${CLOCKIFY_TIME_FORMAT}`,
+    new Date(),
+  );
+}
+
+/**
+ * Parse a Clockify duration in either h:mm[:ss] or decimal-hours form
+ * @param {string} durationStr - Duration string (e.g. "1:30", "01:30:00", "1.5", "1,5")
+ * @param {string} durationFormat - "hh:mm" or "decimal"
+ * @returns {number} Duration in hours, or NaN if the string does not match the format
+ */
+export function parseClockifyDuration(durationStr, durationFormat) {
+  const value = (durationStr ?? "").toString().trim();
+
+  if (durationFormat === "hh:mm") {
+    const match = value.match(/^(\d+):([0-5]?\d)(?::([0-5]?\d))?$/);
+    if (!match) return NaN;
+    const [, h, m, sec = "0"] = match;
+    return parseInt(h, 10) + parseInt(m, 10) / 60 + parseInt(sec, 10) / 3600;
+  }
+
+  if (durationFormat === "decimal") {
+    if (!/^\d+(?:[.,]\d+)?$/.test(value)) return NaN;
+    return parseFloat(value.replace(",", "."));
+  }
+
+  throw new Error(`Unknown duration format: ${durationFormat}`);
+}
+
+/**
+ * Format a duration in hours as HH:mm:ss, the Clockify detailed export layout
+ * @param {number} hours - Duration in hours
+ * @returns {string} Formatted duration string
+ */
+export function formatClockifyDuration(hours) {
+  const totalSeconds = Math.round(hours * 3600);
+  const h = Math.floor(totalSeconds / 3600);
+  const m = Math.floor((totalSeconds % 3600) / 60);
+  const sec = totalSeconds % 60;
+  return [h, m, sec].map((n) => n.toString().padStart(2, "0")).join(":");
+}
+
+function pickFormat(values, candidates, test) {
+  let best = null;
+  let bestCount = -1;
+  for (const candidate of candidates) {
+    const count = values.filter((v) => test(v, candidate)).length;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Detect the date, time and duration formats of Clockify export rows.
+ * Each format is the candidate that parses the most values; ties go to the
+ * earlier candidate, so all-ambiguous dates (day <= 12) fall back to MM/dd/yyyy.
+ * @param {object[]} rows - Parsed CSV rows with Start/End Date/Time and Duration (h)
+ * @param {object} overrides - Formats to use instead of detecting (dateFormat, timeFormat, durationFormat)
+ * @returns {{dateFormat: string, timeFormat: string, durationFormat: string}} Detected formats
+ */
+export function detectClockifyFormats(rows, overrides = {}) {
+  const dates = rows.flatMap((r) => [r["Start Date"], r["End Date"]]);
+  const times = rows.flatMap((r) => [r["Start Time"], r["End Time"]]);
+  const durations = rows.map((r) => r["Duration (h)"]);
+  const fits = (value, fmt) => isValid(parse(value ?? "", fmt, new Date()));
+
+  return {
+    dateFormat:
+      overrides.dateFormat ?? pickFormat(dates, CLOCKIFY_DATE_FORMATS, fits),
+    timeFormat:
+      overrides.timeFormat ?? pickFormat(times, CLOCKIFY_TIME_FORMATS, fits),
+    durationFormat:
+      overrides.durationFormat ??
+      pickFormat(
+        durations,
+        CLOCKIFY_DURATION_FORMATS,
+        (v, fmt) => !isNaN(parseClockifyDuration(v, fmt)),
+      ),
+  };
+}
+
+/**
+ * Rewrite a Clockify export row into the canonical date, time and duration formats
+ * @param {object} row - Parsed CSV row
+ * @param {{dateFormat: string, timeFormat: string, durationFormat: string}} formats - Source formats
+ * @returns {object} Copy of the row with Start/End Date/Time and Duration (h) normalised
+ * @throws {Error} Naming the first field that does not match its format
+ */
+export function normalizeClockifyRow(row, formats) {
+  const { dateFormat, timeFormat, durationFormat } = formats;
+
+  const parseField = (dateField, timeField) => {
+    const date = parse(
+      `${row[dateField] ?? ""} ${row[timeField] ?? ""}`,
+      `${dateFormat} ${timeFormat}`,
+      new Date(),
+    );
+    if (!isValid(date)) {
+      throw new Error(
+        `"${row[dateField]} ${row[timeField]}" does not match ${dateField}/${timeField} format "${dateFormat} ${timeFormat}"`,
+      );
+    }
+    return date;
+  };
+
+  const start = parseField("Start Date", "Start Time");
+  const end = parseField("End Date", "End Time");
+
+  const hours = parseClockifyDuration(row["Duration (h)"], durationFormat);
+  if (isNaN(hours)) {
+    throw new Error(
+      `"${row["Duration (h)"]}" does not match Duration (h) format "${durationFormat}"`,
+    );
+  }
+
+  return {
+    ...row,
+    "Start Date": formatClockifyDate(start),
+    "Start Time": formatClockifyTime(start),
+    "End Date": formatClockifyDate(end),
+    "End Time": formatClockifyTime(end),
+    "Duration (h)": formatClockifyDuration(hours),
+  };
 }
 
 /**
@@ -121,7 +271,7 @@ export function formatClockifyDate(date) {
     throw new Error("Argument must be a Date object");
   }
 
-  return format(date, "MM/dd/yyyy");
+  return format(date, CLOCKIFY_DATE_FORMAT);
 }
 
 /**
@@ -134,5 +284,5 @@ export function formatClockifyTime(date) {
     throw new Error("Argument must be a Date object");
   }
 
-  return format(date, "hh:mm a");
+  return format(date, CLOCKIFY_TIME_FORMAT);
 }
@@ -0,0 +1,211 @@
+// Files whose diffs say nothing about the work: lockfiles, build output,
+// minified bundles and vendored code
+const SKIPPED_FILE_RULES = [
+  {
+    reason: "lockfile",
+    pattern:
+      /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|bun\.lockb|composer\.lock|Gemfile\.lock|Cargo\.lock|poetry\.lock|Pipfile\.lock|go\.sum|packages\.lock\.json|Podfile\.lock)$/,
+  },
+  { reason: "minified", pattern: /\.min\.(js|css|mjs)$|\.map$/ },
+  {
+    reason: "generated",
+    pattern:
+      /(^|\/)(dist|build|out|coverage|generated|__generated__)\/|\.generated\.|\.g\.dart$|\.pb\.go$|_pb2\.py$|\.snap$/,
+  },
+  {
+    reason: "vendored",
+    pattern:
+      /(^|\/)(vendor|vendors|node_modules|third_party|bower_components)\//,
+  },
+];
+
+const SOURCE_FILE_PATTERN =
+  /\.(js|jsx|mjs|cjs|ts|tsx|vue|svelte|py|rb|go|java|kt|kts|scala|cs|fs|php|swift|m|mm|rs|c|cc|cpp|h|hpp|dart|ex|exs|erl|clj|sql|sh)$/;
+const TEST_FILE_PATTERN =
+  /(^|\/)(__tests__|tests?|spec)\/|\.(test|spec)\.[^/]+$|_test\.(go|py)$/;
+
+// A single hunk may use at most this share of the budget so one large
+// change cannot crowd out the rest of the commit
+const MAX_HUNK_SHARE = 0.4;
+
+/**
+ * Why a file's diff should be left out of prompts
+ * @param {string} filename - Path of the changed file
+ * @returns {string|null} "lockfile", "minified", "generated", "vendored", or null to keep it
+ */
+export function getSkipReason(filename) {
+  const rule = SKIPPED_FILE_RULES.find((r) => r.pattern.test(filename));
+  return rule ? rule.reason : null;
+}
+
+// Lower ranks are included first: source, then tests, then everything else
+function filePriority(filename) {
+  if (!SOURCE_FILE_PATTERN.test(filename)) return 2;
+  return TEST_FILE_PATTERN.test(filename) ? 1 : 0;
+}
+
+function splitHunks(patch) {
+  const hunks = [];
+  for (const line of patch.split("\n")) {
+    if (line.startsWith("@@") || hunks.length === 0) hunks.push([]);
+    hunks[hunks.length - 1].push(line);
+  }
+  return hunks.map((lines) => lines.join("\n").trimEnd()).filter(Boolean);
+}
+
+const TRUNCATED_MARKER = "\n… (hunk truncated)";
+
+// Cut at a line boundary so the model never sees half a line; the marker
+// counts towards maxChars
+function truncateHunk(hunk, maxChars) {
+  const cut = hunk.slice(0, Math.max(0, maxChars - TRUNCATED_MARKER.length));
+  const lastNewline = cut.lastIndexOf("\n");
+  return `${lastNewline > 0 ? cut.slice(0, lastNewline) : cut}${TRUNCATED_MARKER}`;
+}
+
+// "[diff skipped: 2 files]"
+function fileCountNote(label, names) {
+  return `[${label}: ${names.length} file${names.length === 1 ? "" : "s"}]`;
+}
+
+// "[diff skipped: a, b]", or just the count when the names do not fit
+function fileListNote(label, names, maxChars) {
+  const listed = `[${label}: ${names.join(", ")}]`;
+  return listed.length <= maxChars ? listed : fileCountNote(label, names);
+}
+
+// Fill the budget breadth first: hunk 0 of every file, then hunk 1, ...
+// Returns the file sections plus the list of files that got no hunk.
+function fillBudget(candidates, budget, maxHunkChars) {
+  const selected = new Map(candidates.map((c) => [c.filename, []]));
+  let remaining = budget;
+
+  const maxHunks = Math.max(0, ...candidates.map((c) => c.hunks.length));
+  for (let i = 0; i < maxHunks && remaining > 0; i++) {
+    for (const file of candidates) {
+      const hunk = file.hunks[i];
+      if (!hunk) continue;
+      const header = i === 0 ? `--- ${file.filename}\n`.length : 0;
+      const hunkBudget = Math.min(remaining - header, maxHunkChars);
+      const fits = hunk.length <= hunkBudget;
+      // Stop once not even the truncation marker fits
+      if (!fits && hunkBudget <= TRUNCATED_MARKER.length) {
+        remaining = 0;
+        break;
+      }
+      const text = fits ? hunk : truncateHunk(hunk, hunkBudget);
+      selected.get(file.filename).push(text);
+      remaining -= header + text.length + 1;
+    }
+  }
+
+  const sections = [];
+  const omitted = [];
+  for (const file of candidates) {
+    const hunks = selected.get(file.filename);
+    if (hunks.length === 0) {
+      omitted.push(file.filename);
+      continue;
+    }
+    const more = file.hunks.length - hunks.length;
+    sections.push(
+      `--- ${file.filename}\n${hunks.join("\n")}${more > 0 ? `\n… (${more} more hunk${more === 1 ? "" : "s"})` : ""}`,
+    );
+  }
+  return { sections, omitted };
+}
+
+/**
+ * Split `git diff` / `git show` output into per-file patches
+ * @param {string} text - Unified diff with "diff --git" file headers
+ * @returns {Array<{filename: string, patch: string}>} Patches (hunks only, without file headers)
+ */
+export function splitUnifiedDiff(text) {
+  const files = [];
+  for (const chunk of (text || "").split(/^diff --git /m).slice(1)) {
+    const lines = chunk.split("\n");
+    const newPath = lines.find((l) => l.startsWith("+++ "));
+    const header = lines[0].match(/^a\/(.*) b\/(.*)$/);
+    let filename = header ? header[2] : lines[0];
+    if (newPath && newPath !== "+++ /dev/null") {
+      filename = newPath.slice(4).replace(/^b\//, "");
+    }
+    const firstHunk = lines.findIndex((l) => l.startsWith("@@"));
+    files.push({
+      filename,
+      patch: firstHunk === -1 ? "" : lines.slice(firstHunk).join("\n"),
+    });
+  }
+  return files;
+}
+
+/**
+ * Build a trimmed unified diff for a prompt. Noise files are dropped, source
+ * files come first, and every file gets its first hunk before any file gets a
+ * second, until the character budget is spent.
+ * @param {Array<{filename: string, patch: string}>} files - Per-file patches
+ * @param {number} maxChars - Character budget for the returned diff, notes included
+ * @returns {string} Trimmed diff, with a note listing skipped and omitted files ("" if nothing to show)
+ */
+export function trimDiff(files, maxChars) {
+  const skipped = [];
+  const candidates = [];
+  for (const file of files) {
+    const reason = getSkipReason(file.filename);
+    if (reason) {
+      skipped.push(`${file.filename} (${reason})`);
+    } else if (file.patch) {
+      candidates.push({ ...file, hunks: splitHunks(file.patch) });
+    }
+  }
+  candidates.sort(
+    (a, b) => filePriority(a.filename) - filePriority(b.filename),
+  );
+
+  const maxHunkChars = Math.min(
+    maxChars,
+    Math.max(200, Math.floor(maxChars * MAX_HUNK_SHARE)),
+  );
+  const skippedNote =
+    skipped.length > 0 ? fileListNote("diff skipped", skipped, maxChars) : null;
+  const render = ({ sections, omitted }) => {
+    const notes = skippedNote ? [skippedNote] : [];
+    if (omitted.length > 0) {
+      const used = [...sections, ...notes].reduce(
+        (sum, text) => sum + text.length + 1,
+        0,
+      );
+      notes.unshift(
+        fileListNote("diff omitted for budget", omitted, maxChars - used),
+      );
+    }
+    return [...sections, ...notes].join("\n");
+  };
+
+  // The "more hunks" lines and the omitted and skipped notes are part of the
+  // output too: whatever they add past maxChars comes off the hunk budget,
+  // until the whole diff fits
+  let budget = maxChars - (skippedNote ? skippedNote.length + 1 : 0);
+  let output = render(fillBudget(candidates, budget, maxHunkChars));
+  while (output.length > maxChars && budget > 0) {
+    budget -= output.length - maxChars;
+    output = render(fillBudget(candidates, budget, maxHunkChars));
+  }
+  // A tiny budget: no hunk fits, the notes shrink to file counts, and a
+  // note that still does not fit is left out
+  if (output.length > maxChars) {
+    const { omitted } = fillBudget(candidates, budget, maxHunkChars);
+    const notes = [
+      ...(omitted.length > 0
+        ? [fileCountNote("diff omitted for budget", omitted)]
+        : []),
+      ...(skipped.length > 0 ? [fileCountNote("diff skipped", skipped)] : []),
+    ];
+    output = "";
+    for (const note of notes) {
+      const next = output ? `${output}\n${note}` : note;
+      if (next.length <= maxChars) output = next;
+    }
+  }
+  return output;
+}
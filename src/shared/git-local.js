@@ -0,0 +1,242 @@
+import { execFileSync } from "child_process";
+
+// Field and record separators for `git log --format`; they never appear in commit text
+const FIELD_SEP = "\x1f";
+const RECORD_SEP = "\x1e";
+const LOG_FORMAT = `${RECORD_SEP}%H${FIELD_SEP}%P${FIELD_SEP}%an${FIELD_SEP}%ae${FIELD_SEP}%aI${FIELD_SEP}%cI${FIELD_SEP}%B${FIELD_SEP}`;
+
+// GitHub's default merge commit subject: "Merge pull request #123 from owner/branch"
+const MERGE_PR_PATTERN = /^Merge pull request #(\d+) from (\S+)/;
+
+/**
+ * Run a git command in a local repository
+ * @param {string} repoPath - Path to the local clone
+ * @param {string[]} args - git arguments
+ * @returns {string} stdout
+ * @throws {Error} If git is missing or the command fails
+ */
+export function runGit(repoPath, args) {
+  try {
+    return execFileSync("git", ["-C", repoPath, ...args], {
+      encoding: "utf-8",
+      maxBuffer: 512 * 1024 * 1024,
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+  } catch (error) {
+    const detail = (error.stderr || error.message || "").toString().trim();
+    throw new Error(`git ${args[0]} failed in ${repoPath}: ${detail}`);
+  }
+}
+
+/**
+ * Resolve the path git reports for a renamed file to its new path
+ * ("src/{old => new}/a.js" → "src/new/a.js", "old.js => new.js" → "new.js")
+ * @param {string} filePath - Path as printed by --numstat
+ * @returns {string} New path
+ */
+function resolveRenamedPath(filePath) {
+  if (filePath.includes("{") && filePath.includes(" => ")) {
+    return filePath
+      .replace(/\{[^{}]* => ([^{}]*)\}/, "$1")
+      .replace(/\/{2,}/g, "/");
+  }
+  if (filePath.includes(" => ")) {
+    return filePath.split(" => ").pop();
+  }
+  return filePath;
+}
+
+function parseNumstat(text) {
+  const files = [];
+  for (const line of text.split("\n")) {
+    const match = line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
+    if (!match) continue;
+    // Binary files report "-" for both counts
+    files.push({
+      filename: resolveRenamedPath(match[3]),
+      additions: match[1] === "-" ? 0 : parseInt(match[1], 10),
+      deletions: match[2] === "-" ? 0 : parseInt(match[2], 10),
+    });
+  }
+  return files;
+}
+
+/**
+ * Read commits with per-file line stats from `git log --numstat`
+ * @param {string} repoPath - Path to the local clone
+ * @param {string[]} revArgs - Revision range and filters passed to git log
+ * @returns {Array<{sha: string, parents: string[], author_name: string, author_email: string, author_date: string, committer_date: string, message: string, files: Array<{filename: string, additions: number, deletions: number}>}>} Commits, newest first
+ */
+export function readGitLog(repoPath, revArgs) {
+  const output = runGit(repoPath, [
+    "log",
+    `--format=${LOG_FORMAT}`,
+    "--numstat",
+    ...revArgs,
+  ]);
+
+  return output
+    .split(RECORD_SEP)
+    .filter((chunk) => chunk.trim())
+    .map((chunk) => {
+      const [
+        sha,
+        parents,
+        name,
+        email,
+        date,
+        committedDate,
+        message,
+        numstat = "",
+      ] = chunk.split(FIELD_SEP);
+      return {
+        sha,
+        parents: parents ? parents.split(" ") : [],
+        author_name: name,
+        author_email: email,
+        author_date: date,
+        committer_date: committedDate,
+        message: message.trim(),
+        files: parseNumstat(numstat),
+      };
+    });
+}
+
+/**
+ * Shape a local commit like an Octokit commit listing item, so callers that
+ * read `commit.commit.author.email` / `.message` work unchanged
+ * @param {object} localCommit - Commit from readGitLog
+ * @returns {{sha: string, commit: {message: string, author: {name: string, email: string, date: string}}}} GitHub-style commit
+ */
+export function toGitHubCommit(localCommit) {
+  return {
+    sha: localCommit.sha,
+    commit: {
+      message: localCommit.message,
+      author: {
+        name: localCommit.author_name,
+        email: localCommit.author_email,
+        date: localCommit.author_date,
+      },
+    },
+  };
+}
+
+/**
+ * Summarise a local commit's file list and line stats in the shape
+ * github-summarizer stores under `commit_details`
+ * @param {object} localCommit - Commit from readGitLog
+ * @returns {{files: object[], lines_added: number, lines_removed: number}} Commit detail
+ */
+export function toCommitDetail(localCommit) {
+  return {
+    files: localCommit.files,
+    lines_added: localCommit.files.reduce((sum, f) => sum + f.additions, 0),
+    lines_removed: localCommit.files.reduce((sum, f) => sum + f.deletions, 0),
+  };
+}
+
+/**
+ * List commits on a branch within a date range
+ * @param {string} repoPath - Path to the local clone
+ * @param {object} options - Query options
+ * @param {string} options.branch - Branch or ref to walk (e.g. "develop" or "origin/develop")
+ * @param {string} options.since - Start date (YYYY-MM-DD, inclusive)
+ * @param {string} options.until - End date (YYYY-MM-DD, inclusive)
+ * @returns {Array} Commits from readGitLog (merge commits excluded)
+ */
+export function listLocalCommits(repoPath, { branch, since, until }) {
+  return readGitLog(repoPath, [
+    "--no-merges",
+    `--since=${since}T00:00:00Z`,
+    `--until=${until}T23:59:59Z`,
+    branch,
+  ]);
+}
+
+/**
+ * Rebuild merged pull requests from GitHub merge commits on a branch.
+ * The PR's commits are those reachable from the merge's second parent but not
+ * its first. Squash and rebase merges leave no merge commit and are not found;
+ * their commits are picked up as direct commits instead.
+ * @param {string} repoPath - Path to the local clone
+ * @param {object} options - Query options
+ * @param {string} options.branch - Branch or ref the PRs were merged into
+ * @param {string} options.since - Start date (YYYY-MM-DD, inclusive)
+ * @param {string} options.until - End date (YYYY-MM-DD, inclusive)
+ * @returns {Array<{pr: object, details: object}>} PRs shaped like Octokit `pulls.get`, with details shaped like fetchPRDetails output
+ */
+export function listLocalMergedPRs(repoPath, { branch, since, until }) {
+  const merges = readGitLog(repoPath, [
+    "--merges",
+    "--first-parent",
+    `--since=${since}T00:00:00Z`,
+    `--until=${until}T23:59:59Z`,
+    branch,
+  ]);
+
+  const results = [];
+  for (const merge of merges) {
+    const [subject, ...bodyLines] = merge.message.split("\n");
+    const match = subject.match(MERGE_PR_PATTERN);
+    if (!match || merge.parents.length < 2) continue;
+
+    const body = bodyLines.join("\n").trim();
+    const [base, head] = merge.parents;
+    const prCommits = readGitLog(repoPath, [
+      "--no-merges",
+      "--reverse",
+      `${base}..${head}`,
+    ]);
+
+    // PR-level file list: per-file totals across all PR commits
+    const filesByName = new Map();
+    for (const c of prCommits) {
+      for (const f of c.files) {
+        const existing = filesByName.get(f.filename) ?? {
+          filename: f.filename,
+          additions: 0,
+          deletions: 0,
+        };
+        existing.additions += f.additions;
+        existing.deletions += f.deletions;
+        filesByName.set(f.filename, existing);
+      }
+    }
+
+    results.push({
+      pr: {
+        number: parseInt(match[1], 10),
+        // The PR title is the first body line of GitHub's merge commit
+        title: body.split("\n")[0] || subject,
+        merged_at: merge.committer_date,
+        merge_commit_sha: merge.sha,
+        body,
+        head: { ref: match[2].replace(/^[^/]+\//, "") },
+      },
+      details: {
+        commits: prCommits.map(toGitHubCommit),
+        files: Array.from(filesByName.values()),
+        reviewCount: 0,
+        commit_details: Object.fromEntries(
+          prCommits.map((c) => [c.sha, toCommitDetail(c)]),
+        ),
+      },
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Read the configured git user email of a local repository
+ * @param {string} repoPath - Path to the local clone
+ * @returns {string|null} Email, or null if not configured
+ */
+export function getLocalUserEmail(repoPath) {
+  try {
+    return runGit(repoPath, ["config", "user.email"]).trim() || null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,562 @@
+// iCalendar (.ics, RFC 5545) reading for calendar exports from Google
+// Calendar, Outlook and Apple Calendar: unfolds and unescapes properties,
+// resolves TZID times (IANA names, or the file's own VTIMEZONE rules for
+// Windows names like "W. Europe Standard Time") and expands recurring events
+// so a daily standup yields one occurrence per day.
+
+const DAY_MS = 86400000;
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+// Upper bound on recurrence periods walked per event
+const MAX_RECURRENCE_PERIODS = 20000;
+
+// ============================================================================
+// Lines, properties and components
+// ============================================================================
+
+function unfold(text) {
+  return text
+    .replace(/\r\n?/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n")
+    .filter((line) => line.trim());
+}
+
+// NAME;PARAM=a;PARAM="b:c":value — colons inside quoted parameters are not
+// the value separator
+function parseProperty(line) {
+  let inQuotes = false;
+  let split = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ":" && !inQuotes) {
+      split = i;
+      break;
+    }
+  }
+  if (split === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, split).split(";");
+  const params = {};
+  for (const raw of rawParams) {
+    const eq = raw.indexOf("=");
+    if (eq === -1) continue;
+    params[raw.slice(0, eq).toUpperCase()] = raw
+      .slice(eq + 1)
+      .replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(split + 1) };
+}
+
+function parseComponents(text) {
+  const root = { type: "ROOT", props: [], children: [] };
+  const stack = [root];
+  for (const line of unfold(text)) {
+    const prop = parseProperty(line);
+    if (!prop) continue;
+    const current = stack[stack.length - 1];
+    if (prop.name === "BEGIN") {
+      const component = {
+        type: prop.value.toUpperCase(),
+        props: [],
+        children: [],
+      };
+      current.children.push(component);
+      stack.push(component);
+    } else if (prop.name === "END") {
+      if (stack.length > 1) stack.pop();
+    } else {
+      current.props.push(prop);
+    }
+  }
+  return root;
+}
+
+function findAll(component, type) {
+  return component.children.flatMap((child) =>
+    child.type === type ? [child] : findAll(child, type),
+  );
+}
+
+function prop(component, name) {
+  return component.props.find((p) => p.name === name) ?? null;
+}
+
+function props(component, name) {
+  return component.props.filter((p) => p.name === name);
+}
+
+function unescapeText(value) {
+  return (value || "").replace(/\\([nN,;\\])/g, (_, c) =>
+    c === "n" || c === "N" ? "\n" : c,
+  );
+}
+
+// ORGANIZER / ATTENDEE: CN parameter and a mailto: value
+function parsePerson(p) {
+  return {
+    name: p.params.CN ?? null,
+    email: p.value.replace(/^mailto:/i, "").toLowerCase() || null,
+    partstat: (p.params.PARTSTAT ?? "NEEDS-ACTION").toUpperCase(),
+  };
+}
+
+// ============================================================================
+// Wall-clock times and time zones
+// ============================================================================
+
+// Wall-clock times are kept as Dates whose UTC fields hold the local time,
+// so calendar arithmetic never crosses a DST change
+function wallDate(y, m, d, h = 0, mi = 0, s = 0) {
+  return new Date(Date.UTC(y, m - 1, d, h, mi, s));
+}
+
+function parseDateValue(value) {
+  const match = value.match(
+    /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/,
+  );
+  if (!match) return null;
+  const [, y, m, d, h, mi, s, utc] = match;
+  return {
+    wall: wallDate(+y, +m, +d, +(h ?? 0), +(mi ?? 0), +(s ?? 0)),
+    allDay: h === undefined,
+    utc: utc === "Z",
+  };
+}
+
+function isIanaZone(name) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: name });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Offset (local - UTC) of an IANA zone at an instant, in milliseconds
+function ianaOffset(timeZone, instantMs) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(instantMs));
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  const local = Date.UTC(
+    get("year"),
+    get("month") - 1,
+    get("day"),
+    get("hour"),
+    get("minute"),
+    get("second"),
+  );
+  return local - Math.floor(instantMs / 1000) * 1000;
+}
+
+function parseOffset(value) {
+  const match = (value || "").match(/^([+-])(\d{2})(\d{2})/);
+  if (!match) return 0;
+  const ms = (+match[2] * 60 + +match[3]) * 60000;
+  return match[1] === "-" ? -ms : ms;
+}
+
+function parseRule(value) {
+  return Object.fromEntries(
+    (value || "")
+      .split(";")
+      .filter(Boolean)
+      .map((part) => {
+        const [key, val = ""] = part.split("=");
+        return [key.toUpperCase(), val];
+      }),
+  );
+}
+
+// "2TU" → {n: 2, day: 2}; "SU" → {n: 0, day: 0}
+function parseByDay(list) {
+  return (list || "")
+    .split(",")
+    .filter(Boolean)
+    .map((entry) => {
+      const match = entry.match(/^([+-]?\d+)?([A-Z]{2})$/);
+      return match
+        ? {
+            n: match[1] ? parseInt(match[1], 10) : 0,
+            day: WEEKDAYS.indexOf(match[2]),
+          }
+        : null;
+    })
+    .filter((entry) => entry && entry.day !== -1);
+}
+
+function daysInMonth(y, m) {
+  return new Date(Date.UTC(y, m, 0)).getUTCDate();
+}
+
+// Day of month of the nth weekday (n < 0 counts from the end)
+function nthWeekday(y, m, n, day) {
+  if (n > 0) {
+    const first = new Date(Date.UTC(y, m - 1, 1)).getUTCDay();
+    const date = 1 + ((day - first + 7) % 7) + (n - 1) * 7;
+    return date <= daysInMonth(y, m) ? date : null;
+  }
+  const last = daysInMonth(y, m);
+  const lastDay = new Date(Date.UTC(y, m - 1, last)).getUTCDay();
+  const date = last - ((lastDay - day + 7) % 7) + (n + 1) * 7;
+  return date >= 1 ? date : null;
+}
+
+// A VTIMEZONE without an IANA name: the offset is that of the latest
+// STANDARD or DAYLIGHT onset before the wall-clock time
+function vtimezoneOffsetAt(vtimezone, wall) {
+  const year = wall.getUTCFullYear();
+  let best = null;
+  for (const part of vtimezone.children) {
+    if (part.type !== "STANDARD" && part.type !== "DAYLIGHT") continue;
+    const start = parseDateValue(prop(part, "DTSTART")?.value || "");
+    if (!start) continue;
+    const offset = parseOffset(prop(part, "TZOFFSETTO")?.value);
+    const rule = parseRule(prop(part, "RRULE")?.value);
+    const onsets = [start.wall];
+    if (rule.FREQ === "YEARLY" && rule.BYMONTH) {
+      const [byDay] = parseByDay(rule.BYDAY);
+      for (const y of [year - 1, year]) {
+        const m = parseInt(rule.BYMONTH, 10);
+        const d = byDay
+          ? nthWeekday(y, m, byDay.n || 1, byDay.day)
+          : start.wall.getUTCDate();
+        if (d) {
+          onsets.push(
+            wallDate(
+              y,
+              m,
+              d,
+              start.wall.getUTCHours(),
+              start.wall.getUTCMinutes(),
+            ),
+          );
+        }
+      }
+    }
+    for (const onset of onsets) {
+      if (
+        onset <= wall &&
+        onset >= start.wall &&
+        (!best || onset > best.onset)
+      ) {
+        best = { onset, offset };
+      }
+    }
+  }
+  return best?.offset ?? null;
+}
+
+/**
+ * Resolve a TZID to a function turning wall-clock Dates into instants.
+ * Returns null when the zone is unknown (the time is then read as local).
+ */
+function createZoneResolver(vtimezones) {
+  const cache = new Map();
+  return function resolveZone(tzid) {
+    if (cache.has(tzid)) return cache.get(tzid);
+    const vtimezone = vtimezones.get(tzid);
+    // Mozilla-style prefixes: "/mozilla.org/20050126_1/Europe/Berlin"
+    const candidates = [
+      tzid,
+      tzid.match(/([A-Za-z_]+\/[A-Za-z_+-]+)$/)?.[1],
+      vtimezone && prop(vtimezone, "X-LIC-LOCATION")?.value,
+    ].filter(Boolean);
+    const iana = candidates.find(isIanaZone);
+
+    let toInstant = null;
+    if (iana) {
+      toInstant = (wall) => {
+        const guess = wall.getTime();
+        const first = guess - ianaOffset(iana, guess);
+        return new Date(guess - ianaOffset(iana, first));
+      };
+    } else if (vtimezone) {
+      toInstant = (wall) => {
+        const offset = vtimezoneOffsetAt(vtimezone, wall);
+        return offset === null ? null : new Date(wall.getTime() - offset);
+      };
+    }
+    cache.set(tzid, toInstant);
+    return toInstant;
+  };
+}
+
+// ============================================================================
+// Events and recurrence
+// ============================================================================
+
+function parseDuration(value) {
+  const match = (value || "").match(
+    /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/,
+  );
+  if (!match) return null;
+  const [, sign, w, d, h, m, s] = match.map((v) => v ?? 0);
+  const ms = ((+w * 7 + +d) * 86400 + +h * 3600 + +m * 60 + +s) * 1000;
+  return sign === "-" ? -ms : ms;
+}
+
+// Wall-clock start times of a recurring event, in order, until the COUNT or
+// UNTIL of the rule or `limit` (a wall-clock bound past the range)
+function expandRule(rule, start, untilWall, limit) {
+  const interval = Math.max(1, parseInt(rule.INTERVAL || "1", 10));
+  const count = rule.COUNT ? parseInt(rule.COUNT, 10) : Infinity;
+  const byDay = parseByDay(rule.BYDAY);
+  const byMonthDay = (rule.BYMONTHDAY || "")
+    .split(",")
+    .filter(Boolean)
+    .map((d) => parseInt(d, 10));
+  const byMonth = (rule.BYMONTH || "")
+    .split(",")
+    .filter(Boolean)
+    .map((m) => parseInt(m, 10));
+  const time = [
+    start.getUTCHours(),
+    start.getUTCMinutes(),
+    start.getUTCSeconds(),
+  ];
+
+  // Candidate dates of the period `p` periods after the start
+  function periodDates(p) {
+    const y = start.getUTCFullYear();
+    const m = start.getUTCMonth() + 1;
+    switch (rule.FREQ) {
+      case "DAILY": {
+        // "Every weekday" is FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR
+        const date = new Date(start.getTime() + p * interval * DAY_MS);
+        const skip =
+          byDay.length > 0 && !byDay.some((b) => b.day === date.getUTCDay());
+        return [skip ? null : date];
+      }
+      case "WEEKLY": {
+        // Weeks start on Monday unless WKST says otherwise
+        const weekStart = WEEKDAYS.indexOf(rule.WKST || "MO");
+        const offset = (start.getUTCDay() - weekStart + 7) % 7;
+        const week =
+          start.getTime() - offset * DAY_MS + p * interval * 7 * DAY_MS;
+        const days =
+          byDay.length > 0 ? byDay.map((b) => b.day) : [start.getUTCDay()];
+        return days
+          .map((day) => new Date(week + ((day - weekStart + 7) % 7) * DAY_MS))
+          .sort((a, b) => a - b);
+      }
+      case "MONTHLY": {
+        const first = new Date(Date.UTC(y, m - 1 + p * interval, 1));
+        return monthDates(first.getUTCFullYear(), first.getUTCMonth() + 1);
+      }
+      case "YEARLY": {
+        const year = y + p * interval;
+        const months = byMonth.length > 0 ? byMonth : [m];
+        return months.flatMap((month) =>
+          byDay.length > 0 || byMonthDay.length > 0
+            ? monthDates(year, month)
+            : [wallDate(year, month, start.getUTCDate())].filter(
+                (d) => d.getUTCMonth() + 1 === month,
+              ),
+        );
+      }
+      default:
+        return [];
+    }
+  }
+
+  function monthDates(y, m) {
+    const days = [];
+    for (const d of byMonthDay) {
+      const date = d > 0 ? d : daysInMonth(y, m) + d + 1;
+      if (date >= 1 && date <= daysInMonth(y, m)) days.push(date);
+    }
+    for (const b of byDay) {
+      if (b.n !== 0) {
+        const date = nthWeekday(y, m, b.n, b.day);
+        if (date) days.push(date);
+      } else {
+        for (let n = 1; n <= 5; n++) {
+          const date = nthWeekday(y, m, n, b.day);
+          if (date) days.push(date);
+        }
+      }
+    }
+    if (days.length === 0 && start.getUTCDate() <= daysInMonth(y, m)) {
+      days.push(start.getUTCDate());
+    }
+    return [...new Set(days)]
+      .sort((a, b) => a - b)
+      .map((d) => wallDate(y, m, d));
+  }
+
+  const starts = [];
+  let emitted = 0;
+  for (let p = 0; p < MAX_RECURRENCE_PERIODS; p++) {
+    const dates = periodDates(p);
+    if (dates.length === 0) break;
+    for (const date of dates.filter(Boolean)) {
+      const occurrence = new Date(
+        Date.UTC(
+          date.getUTCFullYear(),
+          date.getUTCMonth(),
+          date.getUTCDate(),
+          ...time,
+        ),
+      );
+      if (occurrence < start) continue;
+      if (emitted >= count || (untilWall && occurrence > untilWall)) {
+        return starts;
+      }
+      if (occurrence > limit) return starts;
+      starts.push(occurrence);
+      emitted++;
+    }
+  }
+  return starts;
+}
+
+/**
+ * Read the events of an .ics file that overlap a date range. Recurring events
+ * are expanded into one event per occurrence, honouring EXDATE and moved or
+ * cancelled occurrences (RECURRENCE-ID).
+ * @param {string} text - Contents of an .ics file
+ * @param {{from: Date, to: Date}} range - Instants the events must overlap
+ * @returns {{events: object[], warnings: string[]}} Events as {uid, occurrence_id, title, description, location, status, transparent, all_day, start, end, organizer, attendees: [{name, email, partstat}]} with start/end as Dates
+ */
+export function readIcsEvents(text, { from, to }) {
+  const root = parseComponents(text);
+  const warnings = new Set();
+  const vtimezones = new Map(
+    findAll(root, "VTIMEZONE").map((tz) => [prop(tz, "TZID")?.value, tz]),
+  );
+  const resolveZone = createZoneResolver(vtimezones);
+
+  // Turn a DTSTART/DTEND/EXDATE/RECURRENCE-ID property into a resolver from
+  // wall-clock time to instant, honouring its TZID
+  function timing(p) {
+    const parsed = p && parseDateValue(p.value.split(",")[0]);
+    if (!parsed) return null;
+    const tzid = p.params.TZID;
+    let toInstant;
+    if (parsed.utc) {
+      toInstant = (wall) => new Date(wall.getTime());
+    } else if (tzid && !parsed.allDay) {
+      const zone = resolveZone(tzid);
+      if (!zone)
+        warnings.add(`Unknown time zone "${tzid}"; read as local time`);
+      toInstant = (wall) =>
+        zone?.(wall) ??
+        new Date(
+          wall.getUTCFullYear(),
+          wall.getUTCMonth(),
+          wall.getUTCDate(),
+          wall.getUTCHours(),
+          wall.getUTCMinutes(),
+          wall.getUTCSeconds(),
+        );
+    } else {
+      // Floating times and all-day dates are the reader's local time
+      toInstant = (wall) =>
+        new Date(
+          wall.getUTCFullYear(),
+          wall.getUTCMonth(),
+          wall.getUTCDate(),
+          wall.getUTCHours(),
+          wall.getUTCMinutes(),
+          wall.getUTCSeconds(),
+        );
+    }
+    return { ...parsed, toInstant };
+  }
+
+  const vevents = findAll(root, "VEVENT");
+  // Moved or cancelled occurrences, by UID and original start instant
+  const overridden = new Set();
+  for (const vevent of vevents) {
+    const recurrenceId = timing(prop(vevent, "RECURRENCE-ID"));
+    if (recurrenceId) {
+      const uid = prop(vevent, "UID")?.value;
+      overridden.add(
+        `${uid}|${recurrenceId.toInstant(recurrenceId.wall).getTime()}`,
+      );
+    }
+  }
+
+  const events = [];
+  for (const vevent of vevents) {
+    const uid = prop(vevent, "UID")?.value ?? null;
+    const start = timing(prop(vevent, "DTSTART"));
+    if (!start) continue;
+    const endProp = timing(prop(vevent, "DTEND"));
+    const startInstant = start.toInstant(start.wall);
+    const durationMs = endProp
+      ? endProp.toInstant(endProp.wall) - startInstant
+      : (parseDuration(prop(vevent, "DURATION")?.value) ??
+        (start.allDay ? DAY_MS : 0));
+
+    const base = {
+      uid,
+      title: unescapeText(prop(vevent, "SUMMARY")?.value).trim(),
+      description: unescapeText(prop(vevent, "DESCRIPTION")?.value).trim(),
+      location: unescapeText(prop(vevent, "LOCATION")?.value).trim(),
+      status: (prop(vevent, "STATUS")?.value || "CONFIRMED").toUpperCase(),
+      transparent:
+        prop(vevent, "TRANSP")?.value?.toUpperCase() === "TRANSPARENT",
+      all_day: start.allDay,
+      organizer: prop(vevent, "ORGANIZER")
+        ? parsePerson(prop(vevent, "ORGANIZER"))
+        : null,
+      attendees: props(vevent, "ATTENDEE").map(parsePerson),
+    };
+
+    const rrule = prop(vevent, "RRULE");
+    let startInstants = [startInstant];
+    if (rrule && !prop(vevent, "RECURRENCE-ID")) {
+      const rule = parseRule(rrule.value);
+      const until = rule.UNTIL ? parseDateValue(rule.UNTIL) : null;
+      // UNTIL in UTC is converted to the event's wall clock; a date is inclusive
+      const untilWall = until
+        ? until.utc
+          ? new Date(
+              until.wall.getTime() +
+                (start.wall.getTime() - startInstant.getTime()),
+            )
+          : until.allDay
+            ? new Date(until.wall.getTime() + DAY_MS - 1000)
+            : until.wall
+        : null;
+      const limit = new Date(to.getTime() + 2 * DAY_MS);
+      const excluded = new Set(
+        props(vevent, "EXDATE").flatMap((p) =>
+          p.value.split(",").map((value) => {
+            const ex = timing({ ...p, value });
+            return ex ? ex.toInstant(ex.wall).getTime() : null;
+          }),
+        ),
+      );
+      startInstants = expandRule(rule, start.wall, untilWall, limit)
+        .map((wall) => start.toInstant(wall))
+        .filter(
+          (instant) =>
+            !excluded.has(instant.getTime()) &&
+            !overridden.has(`${uid}|${instant.getTime()}`),
+        );
+    }
+
+    for (const instant of startInstants) {
+      const end = new Date(instant.getTime() + durationMs);
+      if (end <= from || instant >= to) continue;
+      events.push({
+        ...base,
+        occurrence_id: `${uid}|${instant.toISOString()}`,
+        start: instant,
+        end,
+      });
+    }
+  }
+
+  return { events, warnings: [...warnings] };
+}
@@ -1,4 +1,13 @@
 import path from "path";
+import { globToRegExp } from "./commit-filter.js";
+
+// Where GitHub, GitLab and Bitbucket look for a CODEOWNERS file, in order
+const CODEOWNERS_PATHS = [
+  "CODEOWNERS",
+  ".github/CODEOWNERS",
+  ".gitlab/CODEOWNERS",
+  "docs/CODEOWNERS",
+];
 
 /**
  * Extract module name from file path
@@ -72,3 +81,194 @@ export function extractModules(filePaths) {
 
   return Array.from(modules);
 }
+
+// "a/b/c.js" → ["a/b/c.js", "a/b", "a"]: a glob naming a directory covers
+// every file below it, as in .gitignore and CODEOWNERS
+function pathAndParents(filePath) {
+  const segments = filePath.split("/");
+  return segments.map((_, i) =>
+    segments.slice(0, segments.length - i).join("/"),
+  );
+}
+
+/**
+ * Read workspace package globs from a root package.json (`workspaces` as an
+ * array or `{packages: [...]}`) and pnpm-workspace.yaml (`packages:` list)
+ * @param {object} files - Root files, null when missing
+ * @param {string|null} files.packageJson - Contents of package.json
+ * @param {string|null} files.pnpmWorkspace - Contents of pnpm-workspace.yaml
+ * @returns {string[]} Workspace globs (e.g. "packages/*"); "!" marks exclusions
+ */
+export function parseWorkspaceGlobs({ packageJson, pnpmWorkspace }) {
+  const globs = [];
+  if (packageJson) {
+    try {
+      const { workspaces } = JSON.parse(packageJson);
+      globs.push(
+        ...(Array.isArray(workspaces)
+          ? workspaces
+          : (workspaces?.packages ?? [])),
+      );
+    } catch {
+      // Not valid JSON; no workspaces from package.json
+    }
+  }
+  if (pnpmWorkspace) {
+    // Only the `packages:` list matters, so no YAML parser is needed
+    let inPackages = false;
+    for (const line of pnpmWorkspace.split("\n")) {
+      if (/^packages\s*:/.test(line)) {
+        inPackages = true;
+      } else if (/^\S/.test(line)) {
+        inPackages = false;
+      } else if (inPackages) {
+        const item = line.match(/^\s*-\s*(['"]?)([^'"#]+?)\1\s*(#.*)?$/);
+        if (item) globs.push(item[2]);
+      }
+    }
+  }
+  return [...new Set(globs.map((g) => g.trim().replace(/\/+$/, "")))];
+}
+
+/**
+ * Parse a CODEOWNERS file into ownership rules
+ * @param {string} text - CODEOWNERS contents
+ * @returns {Array<{pattern: RegExp, owners: string[]}>} Rules in file order (the last match wins)
+ */
+export function parseCodeowners(text) {
+  const rules = [];
+  for (const rawLine of text.split("\n")) {
+    const line = rawLine.replace(/(^|\s)#.*$/, "").trim();
+    // GitLab section headers ("[Section]") carry no paths
+    if (!line || line.startsWith("[")) continue;
+    const [pattern, ...owners] = line.split(/\s+/);
+    rules.push({ pattern: globToRegExp(pattern), owners });
+  }
+  return rules;
+}
+
+/**
+ * Build a module mapper for one repository. A file's module comes from the
+ * first matching rule, else the workspace package containing it (named after
+ * its directory), else extractModule. With CODEOWNERS rules the owning team
+ * is appended, e.g. "billing-service (@acme/payments)".
+ * @param {object} [options] - Mapping sources
+ * @param {Array<{pattern: string, module: string}>} [options.rules] - Ordered glob → module rules from config
+ * @param {string[]} [options.workspaces] - Workspace globs from parseWorkspaceGlobs
+ * @param {Array<{pattern: RegExp, owners: string[]}>} [options.codeowners] - Rules from parseCodeowners
+ * @returns {{extractModule: function(string): string, extractModules: function(string[]): string[]}} Mapper
+ */
+export function createModuleMapper({
+  rules = [],
+  workspaces = [],
+  codeowners = [],
+} = {}) {
+  const moduleRules = rules.map((r) => ({
+    pattern: globToRegExp(r.pattern),
+    module: r.module,
+  }));
+  const workspacePatterns = workspaces
+    .filter((g) => !g.startsWith("!"))
+    .map((g) => globToRegExp(`/${g}`));
+  const workspaceExclusions = workspaces
+    .filter((g) => g.startsWith("!"))
+    .map((g) => globToRegExp(`/${g.slice(1)}`));
+
+  function baseModule(filePath) {
+    const candidates = pathAndParents(filePath);
+    const rule = moduleRules.find((r) =>
+      candidates.some((c) => r.pattern.test(c)),
+    );
+    if (rule) return rule.module;
+
+    // Parent directories only, deepest first, so nested workspaces win
+    const packageDir = candidates
+      .slice(1)
+      .find(
+        (dir) =>
+          workspacePatterns.some((p) => p.test(dir)) &&
+          !workspaceExclusions.some((p) => p.test(dir)),
+      );
+    if (packageDir) return path.posix.basename(packageDir);
+
+    return extractModule(filePath);
+  }
+
+  function mapModule(filePath) {
+    if (!filePath || typeof filePath !== "string") {
+      throw new Error("filePath must be a non-empty string");
+    }
+    const normalizedPath = filePath.replace(/\\/g, "/").replace(/^\/+/, "");
+    const module = baseModule(normalizedPath);
+
+    const candidates = pathAndParents(normalizedPath);
+    const owner = codeowners.findLast((r) =>
+      candidates.some((c) => r.pattern.test(c)),
+    );
+    return owner?.owners.length > 0
+      ? `${module} (${owner.owners.join(" ")})`
+      : module;
+  }
+
+  return {
+    extractModule: mapModule,
+
+    extractModules(filePaths) {
+      if (!Array.isArray(filePaths)) {
+        throw new Error("filePaths must be an array");
+      }
+      const modules = new Set();
+      for (const filePath of filePaths) {
+        try {
+          modules.add(mapModule(filePath));
+        } catch {
+          // Skip invalid paths
+        }
+      }
+      return Array.from(modules);
+    },
+  };
+}
+
+/**
+ * Build the module mapper for a repository from its `modules` settings,
+ * reading workspace manifests and CODEOWNERS from its main branch. Files that
+ * cannot be read are skipped with a warning, leaving the config rules.
+ * @param {object} repo - Repository from getRepositories
+ * @param {object} adapter - Source adapter for the repository
+ * @returns {Promise<{extractModule: function(string): string, extractModules: function(string[]): string[]}>} Mapper
+ */
+export async function loadModuleMapper(repo, adapter) {
+  const settings = repo.modules ?? {};
+  const ref = repo.main_branch;
+  let workspaces = [];
+  let codeowners = [];
+
+  try {
+    if (settings.workspaces !== false) {
+      workspaces = parseWorkspaceGlobs({
+        packageJson: await adapter.readFile("package.json", ref),
+        pnpmWorkspace: await adapter.readFile("pnpm-workspace.yaml", ref),
+      });
+    }
+    if (settings.codeowners) {
+      for (const codeownersPath of CODEOWNERS_PATHS) {
+        const text = await adapter.readFile(codeownersPath, ref);
+        if (text !== null) {
+          codeowners = parseCodeowners(text);
+          break;
+        }
+      }
+    }
+  } catch (error) {
+    console.warn(
+      `Warning: Could not read module layout for ${repo.id}: ${error.message}`,
+    );
+  }
+
+  return createModuleMapper({
+    rules: settings.rules ?? [],
+    workspaces,
+    codeowners,
+  });
+}
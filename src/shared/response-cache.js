@@ -0,0 +1,217 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createHash } from "crypto";
+import { normalizePrompt } from "./cassette.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.join(__dirname, "../../");
+
+export const RESPONSE_CACHE_DIR = path.join(projectRoot, "cache/responses");
+const DEFAULT_TTL_DAYS = 30;
+const DEFAULT_MAX_MB = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Cache key of a provider call: SHA-256 of provider, model and normalised
+ * prompt. The model is null for script providers, which cannot report it.
+ * @param {string} providerName - Provider name
+ * @param {string|null} model - Model the provider calls
+ * @param {string} prompt - Prompt text
+ * @returns {string} Hex digest
+ */
+export function responseCacheKey(providerName, model, prompt) {
+  return createHash("sha256")
+    .update(JSON.stringify([providerName, model, normalizePrompt(prompt)]))
+    .digest("hex");
+}
+
+/**
+ * Content-addressed store of provider responses, one JSON file per call.
+ * Entries expire `ttlDays` after they were written; past `maxMb` the oldest
+ * are removed first.
+ * @param {object} options
+ * @param {string} options.dir - Cache directory
+ * @param {number|null} options.ttlDays - Lifetime of an entry, or null to keep entries until evicted
+ * @param {number|null} options.maxMb - Size limit of the directory, or null for no limit
+ * @returns {object} Cache with get, set, list, prune and stats
+ */
+export function createResponseCache({ dir, ttlDays = null, maxMb = null }) {
+  const ttlMs = ttlDays === null ? null : ttlDays * DAY_MS;
+  const maxBytes = maxMb === null ? null : maxMb * 1024 * 1024;
+  // key → {size, mtimeMs}; read from disk on first use
+  let index = null;
+
+  const entryPath = (key) => path.join(dir, `${key}.json`);
+  const isExpired = (mtimeMs) => ttlMs !== null && Date.now() - mtimeMs > ttlMs;
+
+  function loadIndex() {
+    if (index) return index;
+    index = new Map();
+    if (!fs.existsSync(dir)) return index;
+    for (const file of fs.readdirSync(dir)) {
+      if (!file.endsWith(".json")) continue;
+      const { size, mtimeMs } = fs.statSync(path.join(dir, file));
+      index.set(file.slice(0, -".json".length), { size, mtimeMs });
+    }
+    return index;
+  }
+
+  function remove(key) {
+    fs.rmSync(entryPath(key), { force: true });
+    loadIndex().delete(key);
+  }
+
+  function totalBytes() {
+    let total = 0;
+    for (const { size } of loadIndex().values()) total += size;
+    return total;
+  }
+
+  // Drop expired entries, then the oldest until the directory fits maxBytes
+  function enforceLimits() {
+    let removed = 0;
+    for (const [key, { mtimeMs }] of loadIndex()) {
+      if (isExpired(mtimeMs)) {
+        remove(key);
+        removed++;
+      }
+    }
+    if (maxBytes !== null) {
+      let total = totalBytes();
+      const oldestFirst = [...loadIndex()].sort(
+        (a, b) => a[1].mtimeMs - b[1].mtimeMs,
+      );
+      for (const [key, { size }] of oldestFirst) {
+        if (total <= maxBytes) break;
+        remove(key);
+        total -= size;
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  function read(key) {
+    try {
+      return JSON.parse(fs.readFileSync(entryPath(key), "utf-8"));
+    } catch {
+      // Unreadable entries count as misses and are written again
+      return null;
+    }
+  }
+
+  return {
+    dir,
+
+    /**
+     * @param {string} key - Cache key (see responseCacheKey)
+     * @returns {object|null} Stored entry, or null on a miss
+     */
+    get(key) {
+      const stat = loadIndex().get(key);
+      if (!stat) return null;
+      if (isExpired(stat.mtimeMs)) {
+        remove(key);
+        return null;
+      }
+      return read(key);
+    },
+
+    /**
+     * Store a response; the entry keeps the prompt so it can be inspected
+     * @param {string} key - Cache key (see responseCacheKey)
+     * @param {{provider: string, model: string|null, prompt: string, response: string, metadata: object}} entry
+     */
+    set(key, entry) {
+      fs.mkdirSync(dir, { recursive: true });
+      const json = JSON.stringify(
+        { key, ...entry, created_at: new Date().toISOString() },
+        null,
+        2,
+      );
+      fs.writeFileSync(entryPath(key), json, "utf-8");
+      loadIndex().set(key, {
+        size: Buffer.byteLength(json),
+        mtimeMs: Date.now(),
+      });
+      if (maxBytes !== null && totalBytes() > maxBytes) enforceLimits();
+    },
+
+    /**
+     * Entries without their prompt and response text, newest first
+     * @returns {Array<{key: string, provider: string, model: string|null, created_at: string, size: number, prompt_preview: string}>}
+     */
+    list() {
+      return [...loadIndex()]
+        .sort((a, b) => b[1].mtimeMs - a[1].mtimeMs)
+        .map(([key, { size }]) => {
+          const entry = read(key) ?? {};
+          return {
+            key,
+            provider: entry.provider ?? "?",
+            model: entry.model ?? null,
+            created_at: entry.created_at ?? null,
+            size,
+            prompt_preview: (entry.prompt ?? "")
+              .replace(/\s+/g, " ")
+              .slice(0, 80),
+          };
+        });
+    },
+
+    /**
+     * Remove entries: expired and over-limit ones by default, or every entry
+     * matching the filters
+     * @param {object} [filters]
+     * @param {boolean} [filters.all] - Remove every entry
+     * @param {number} [filters.olderThanDays] - Remove entries written before this many days ago
+     * @param {string} [filters.provider] - Only entries from this provider
+     * @returns {number} Number of entries removed
+     */
+    prune({ all = false, olderThanDays = null, provider = null } = {}) {
+      if (!all && olderThanDays === null && provider === null) {
+        return enforceLimits();
+      }
+      let removed = 0;
+      const cutoff =
+        olderThanDays === null ? null : Date.now() - olderThanDays * DAY_MS;
+      for (const [key, { mtimeMs }] of [...loadIndex()]) {
+        if (cutoff !== null && mtimeMs >= cutoff) continue;
+        if (provider !== null && read(key)?.provider !== provider) continue;
+        remove(key);
+        removed++;
+      }
+      return removed;
+    },
+
+    /**
+     * @returns {{entries: number, bytes: number, oldest: number|null, newest: number|null}}
+     */
+    stats() {
+      let oldest = null;
+      let newest = null;
+      for (const { mtimeMs } of loadIndex().values()) {
+        if (oldest === null || mtimeMs < oldest) oldest = mtimeMs;
+        if (newest === null || mtimeMs > newest) newest = mtimeMs;
+      }
+      return { entries: loadIndex().size, bytes: totalBytes(), oldest, newest };
+    },
+  };
+}
+
+/**
+ * Open the response cache in cache/responses with the ai.response_cache
+ * limits (30 days and 500 MB by default)
+ * @param {object} [aiConfig] - The `ai` section of config.json
+ * @returns {object} Response cache (see createResponseCache)
+ */
+export function openResponseCache(aiConfig = {}) {
+  const settings = aiConfig.response_cache ?? {};
+  return createResponseCache({
+    dir: RESPONSE_CACHE_DIR,
+    ttlDays: settings.ttl_days ?? DEFAULT_TTL_DAYS,
+    maxMb: settings.max_mb ?? DEFAULT_MAX_MB,
+  });
+}
@@ -0,0 +1,267 @@
+import {
+  summarizeFileStats,
+  fetchJson,
+  fetchText,
+  isDeveloperCommit,
+  isWithinDateRange,
+} from "./common.js";
+import { splitUnifiedDiff } from "../diff-trimmer.js";
+
+export const BITBUCKET_DEFAULT_URL = "https://api.bitbucket.org/2.0";
+const BITBUCKET_PAGE_SIZE = 100;
+const BITBUCKET_PR_PAGE_SIZE = 50;
+
+// Bitbucket only exposes the raw author string: "Jane Doe <jane@example.com>"
+function parseAuthorEmail(raw) {
+  const match = (raw || "").match(/<([^>]+)>/);
+  return match ? match[1] : null;
+}
+
+function parseAuthorName(raw) {
+  return (raw || "").replace(/<[^>]*>/, "").trim() || null;
+}
+
+function toGitHubCommit(commit) {
+  return {
+    sha: commit.hash,
+    commit: {
+      message: commit.message,
+      author: {
+        name:
+          commit.author?.user?.display_name ??
+          parseAuthorName(commit.author?.raw),
+        email: parseAuthorEmail(commit.author?.raw),
+        date: commit.date,
+      },
+    },
+  };
+}
+
+function toFileStat(entry) {
+  return {
+    filename: (entry.new ?? entry.old)?.path,
+    status: entry.status,
+    additions: entry.lines_added ?? 0,
+    deletions: entry.lines_removed ?? 0,
+  };
+}
+
+/**
+ * Source adapter for Bitbucket Cloud (API 2.0). owner is the workspace and
+ * name the repository slug. Authenticates with username + app password when
+ * username is set, otherwise with the token as a Bearer access token.
+ * @param {object} repo - Repository from getRepositories
+ * @returns {object} Source adapter (see createSourceAdapter)
+ */
+export function createBitbucketAdapter(repo) {
+  const apiBase = (repo.base_url || BITBUCKET_DEFAULT_URL).replace(/\/+$/, "");
+  const repoPath = `/repositories/${encodeURIComponent(repo.owner)}/${encodeURIComponent(repo.name)}`;
+  const headers = {
+    Authorization: repo.username
+      ? `Basic ${Buffer.from(`${repo.username}:${repo.personal_access_token}`).toString("base64")}`
+      : `Bearer ${repo.personal_access_token}`,
+  };
+
+  async function get(url) {
+    const { data } = await fetchJson(url, { headers, label: "Bitbucket" });
+    return data;
+  }
+
+  // Bitbucket pages carry the absolute URL of the next page in `next`
+  async function getAll(url) {
+    const items = [];
+    let next = url;
+    while (next) {
+      const data = await get(next);
+      items.push(...(data.values ?? []));
+      next = data.next;
+    }
+    return items;
+  }
+
+  async function getCommitDetail(sha) {
+    const entries = await getAll(
+      `${apiBase}${repoPath}/diffstat/${sha}?pagelen=${BITBUCKET_PAGE_SIZE}`,
+    );
+    return summarizeFileStats(entries.map(toFileStat));
+  }
+
+  return {
+    async listCommits({ branch, since, until }, onPage = null) {
+      // The commits endpoint has no date filter; it walks newest first, so
+      // stop once a page ends before the start of the range
+      const rangeStart = new Date(since + "T00:00:00Z");
+      const commits = [];
+      let next = `${apiBase}${repoPath}/commits/${encodeURIComponent(branch)}?pagelen=${BITBUCKET_PAGE_SIZE}`;
+      let page = 0;
+      while (next) {
+        const data = await get(next);
+        const values = data.values ?? [];
+        commits.push(
+          ...values.filter((c) => isWithinDateRange(c.date, since, until)),
+        );
+        page++;
+        if (onPage) onPage(page);
+        const last = values[values.length - 1];
+        next = last && new Date(last.date) < rangeStart ? null : data.next;
+      }
+      return commits.map(toGitHubCommit);
+    },
+
+    getCommitDetail,
+
+    async getCommitPatches(sha) {
+      const diff = await fetchText(`${apiBase}${repoPath}/diff/${sha}`, {
+        headers,
+        label: "Bitbucket",
+      });
+      return splitUnifiedDiff(diff);
+    },
+
+    async listMergedPRs({ since, until }, onProgress = null) {
+      const query = new URLSearchParams({
+        state: "MERGED",
+        q: `updated_on >= ${since}T00:00:00+00:00`,
+        pagelen: String(BITBUCKET_PR_PAGE_SIZE),
+      });
+      const pullRequests = await getAll(
+        `${apiBase}${repoPath}/pullrequests?${query}`,
+      );
+
+      const prs = [];
+      for (const pr of pullRequests) {
+        // PRs carry no merge timestamp and only a short merge hash; the merge
+        // commit provides both
+        let mergedAt = pr.updated_on;
+        let mergeSha = pr.merge_commit?.hash ?? null;
+        if (mergeSha) {
+          const mergeCommit = await get(
+            `${apiBase}${repoPath}/commit/${mergeSha}`,
+          );
+          mergedAt = mergeCommit.date;
+          mergeSha = mergeCommit.hash;
+        }
+        if (!isWithinDateRange(mergedAt, since, until)) continue;
+
+        prs.push({
+          number: pr.id,
+          title: pr.title,
+          body: pr.description ?? "",
+          merged_at: mergedAt,
+          merge_commit_sha: mergeSha,
+          head: { ref: pr.source?.branch?.name },
+        });
+        if (onProgress) onProgress(prs.length);
+      }
+      return prs;
+    },
+
+    async getPRDetails(pr, developerEmails = []) {
+      const prPath = `${apiBase}${repoPath}/pullrequests/${pr.number}`;
+      // PR commits come newest first; GitHub lists PR commits oldest first
+      const commits = (
+        await getAll(`${prPath}/commits?pagelen=${BITBUCKET_PAGE_SIZE}`)
+      )
+        .map(toGitHubCommit)
+        .reverse();
+      const files = (
+        await getAll(`${prPath}/diffstat?pagelen=${BITBUCKET_PAGE_SIZE}`)
+      ).map(toFileStat);
+      const { participants = [] } = await get(prPath);
+
+      const commit_details = {};
+      for (const commit of commits) {
+        if (isDeveloperCommit(commit, developerEmails)) {
+          commit_details[commit.sha] = await getCommitDetail(commit.sha);
+        }
+      }
+
+      return {
+        commits,
+        files,
+        reviewCount: participants.filter((p) => p.approved).length,
+        commit_details,
+      };
+    },
+
+    async listReviews({ since, until }, onProgress = null) {
+      const me = await get(`${apiBase}/user`);
+      const query = new URLSearchParams({
+        q: `updated_on >= ${since}T00:00:00+00:00`,
+        pagelen: String(BITBUCKET_PR_PAGE_SIZE),
+      });
+      for (const state of ["OPEN", "MERGED", "DECLINED", "SUPERSEDED"]) {
+        query.append("state", state);
+      }
+      const pullRequests = await getAll(
+        `${apiBase}${repoPath}/pullrequests?${query}`,
+      );
+
+      const reviewed = [];
+      for (const pr of pullRequests) {
+        if (pr.author?.account_id === me.account_id) continue;
+
+        const prPath = `${apiBase}${repoPath}/pullrequests/${pr.id}`;
+        const comments = (
+          await getAll(`${prPath}/comments?pagelen=${BITBUCKET_PAGE_SIZE}`)
+        )
+          .filter(
+            (c) =>
+              !c.deleted &&
+              c.user?.account_id === me.account_id &&
+              isWithinDateRange(c.created_on, since, until),
+          )
+          .map((c) => ({
+            created_at: c.created_on,
+            path: c.inline?.path ?? null,
+            body: c.content?.raw ?? "",
+          }));
+        // Approval time is only known as the participant's last activity
+        const { participants = [] } = await get(prPath);
+        const reviews = participants
+          .filter(
+            (p) =>
+              p.user?.account_id === me.account_id &&
+              p.approved &&
+              isWithinDateRange(p.participated_on, since, until),
+          )
+          .map((p) => ({
+            state: "APPROVED",
+            submitted_at: p.participated_on,
+            body: "",
+          }));
+        if (reviews.length === 0 && comments.length === 0) continue;
+
+        reviewed.push({
+          number: pr.id,
+          title: pr.title,
+          body: pr.description ?? "",
+          author: pr.author?.display_name ?? null,
+          reviews,
+          comments,
+        });
+        if (onProgress) onProgress(reviewed.length);
+      }
+      return reviewed;
+    },
+
+    async getAuthenticatedEmail() {
+      const emails = await getAll(`${apiBase}/user/emails`);
+      const primary = emails.find((e) => e.is_primary) ?? emails[0];
+      return primary?.email ?? null;
+    },
+
+    async readFile(filePath, ref) {
+      const encodedPath = filePath.split("/").map(encodeURIComponent).join("/");
+      try {
+        return await fetchText(
+          `${apiBase}${repoPath}/src/${encodeURIComponent(ref)}/${encodedPath}`,
+          { headers, label: "Bitbucket" },
+        );
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+      }
+    },
+  };
+}
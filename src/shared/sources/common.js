@@ -0,0 +1,102 @@
+/**
+ * Total up per-file line counts into the commit detail shape every source
+ * adapter returns
+ * @param {Array<{filename: string, additions: number, deletions: number}>} files - Changed files
+ * @returns {{files: object[], lines_added: number, lines_removed: number}} Commit detail
+ */
+export function summarizeFileStats(files) {
+  return {
+    files,
+    lines_added: files.reduce((sum, f) => sum + (f.additions || 0), 0),
+    lines_removed: files.reduce((sum, f) => sum + (f.deletions || 0), 0),
+  };
+}
+
+async function request(url, { headers = {}, label, accept }) {
+  const res = await fetch(url, { headers: { Accept: accept, ...headers } });
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    const error = new Error(
+      `${label} API error: ${res.status} ${res.statusText} - ${url}${text ? ` - ${text}` : ""}`,
+    );
+    error.status = res.status;
+    error.response = { headers: Object.fromEntries(res.headers) };
+    throw error;
+  }
+  return res;
+}
+
+/**
+ * GET a JSON resource from a hosting provider's REST API
+ * @param {string} url - Absolute URL
+ * @param {object} options - Request options
+ * @param {object} options.headers - Extra request headers (auth)
+ * @param {string} options.label - Host name used in error messages (e.g. "GitLab")
+ * @returns {Promise<{data: any, headers: Headers}>} Parsed body and response headers
+ * @throws {Error} If the response status is not OK; the error carries `status`
+ *   and `response.headers` like Octokit errors do
+ */
+export async function fetchJson(url, { headers = {}, label }) {
+  const res = await request(url, {
+    headers,
+    label,
+    accept: "application/json",
+  });
+  return { data: await res.json(), headers: res.headers };
+}
+
+/**
+ * GET a plain-text resource (e.g. a raw diff); errors as for fetchJson
+ * @param {string} url - Absolute URL
+ * @param {object} options - Request options (headers, label)
+ * @returns {Promise<string>} Response body
+ */
+export async function fetchText(url, { headers = {}, label }) {
+  const res = await request(url, { headers, label, accept: "text/plain" });
+  return res.text();
+}
+
+/**
+ * Count added and removed lines in a unified diff body
+ * @param {string} diff - Diff text (hunks only, without ---/+++ file headers)
+ * @returns {{additions: number, deletions: number}} Line counts
+ */
+export function countDiffLines(diff) {
+  let additions = 0;
+  let deletions = 0;
+  for (const line of (diff || "").split("\n")) {
+    if (line.startsWith("+")) additions++;
+    else if (line.startsWith("-")) deletions++;
+  }
+  return { additions, deletions };
+}
+
+/**
+ * Whether a GitHub-style commit was authored by one of the developer's emails
+ * @param {object} commit - Commit shaped like an Octokit commit listing item
+ * @param {string[]} developerEmails - Lowercased emails; empty means everyone
+ * @returns {boolean} True if the commit belongs to the developer
+ */
+export function isDeveloperCommit(commit, developerEmails) {
+  return (
+    developerEmails.length === 0 ||
+    (!!commit.commit?.author?.email &&
+      developerEmails.includes(commit.commit.author.email.toLowerCase()))
+  );
+}
+
+/**
+ * Whether an ISO timestamp falls inside an inclusive YYYY-MM-DD range (UTC)
+ * @param {string} timestamp - ISO 8601 timestamp
+ * @param {string} since - Start date (YYYY-MM-DD)
+ * @param {string} until - End date (YYYY-MM-DD)
+ * @returns {boolean} True if within range
+ */
+export function isWithinDateRange(timestamp, since, until) {
+  if (!timestamp) return false;
+  const date = new Date(timestamp);
+  return (
+    date >= new Date(since + "T00:00:00Z") &&
+    date <= new Date(until + "T23:59:59Z")
+  );
+}
@@ -0,0 +1,200 @@
+import { Octokit } from "@octokit/rest";
+import {
+  summarizeFileStats,
+  isDeveloperCommit,
+  isWithinDateRange,
+} from "./common.js";
+
+const GITHUB_PAGE_SIZE = 100;
+
+/**
+ * Source adapter for GitHub and GitHub Enterprise (set base_url to
+ * "https://<host>/api/v3")
+ * @param {object} repo - Repository from getRepositories
+ * @returns {object} Source adapter (see createSourceAdapter)
+ */
+export function createGitHubAdapter(repo) {
+  const octokit = new Octokit({
+    auth: repo.personal_access_token,
+    ...(repo.base_url ? { baseUrl: repo.base_url } : {}),
+  });
+  const owner = repo.owner;
+  const name = repo.name;
+
+  async function getCommitDetail(sha) {
+    const { data } = await octokit.repos.getCommit({
+      owner,
+      repo: name,
+      ref: sha,
+    });
+    return summarizeFileStats(data.files ?? []);
+  }
+
+  async function getCommitPatches(sha) {
+    // Reuses the file list of getCommitDetail; GitHub includes each patch
+    const { files } = await getCommitDetail(sha);
+    return files.map((f) => ({ filename: f.filename, patch: f.patch ?? "" }));
+  }
+
+  return {
+    async listCommits({ branch, since, until }, onPage = null) {
+      let commits = [];
+      let page = 0;
+      await octokit.paginate(
+        octokit.repos.listCommits,
+        {
+          owner,
+          repo: name,
+          sha: branch,
+          since: since + "T00:00:00Z",
+          until: until + "T23:59:59Z",
+          per_page: GITHUB_PAGE_SIZE,
+        },
+        (response) => {
+          commits = commits.concat(response.data);
+          page++;
+          if (onPage) onPage(page);
+          return response.data;
+        },
+      );
+      return commits;
+    },
+
+    getCommitDetail,
+
+    getCommitPatches,
+
+    async listMergedPRs({ since, until }, onProgress = null) {
+      const q = `repo:${owner}/${name} is:pr is:merged merged:${since}..${until}`;
+
+      // Use the Search API to reliably find PRs in the date range
+      const searchResults = await octokit.paginate(
+        octokit.search.issuesAndPullRequests,
+        { q, per_page: GITHUB_PAGE_SIZE },
+      );
+
+      // Search returns issue-like items; fetch full PR details for each
+      const prs = [];
+      for (const item of searchResults) {
+        const { data: pr } = await octokit.pulls.get({
+          owner,
+          repo: name,
+          pull_number: item.number,
+        });
+
+        // Only consider merged PRs (search already filtered, but double-check)
+        if (!pr.merged_at) continue;
+
+        prs.push(pr);
+        if (onProgress) onProgress(prs.length);
+      }
+      return prs;
+    },
+
+    async getPRDetails(pr, developerEmails = []) {
+      const params = {
+        owner,
+        repo: name,
+        pull_number: pr.number,
+        per_page: 100,
+      };
+      const commits = await octokit.paginate(octokit.pulls.listCommits, params);
+      const files = await octokit.paginate(octokit.pulls.listFiles, params);
+      const reviews = await octokit.paginate(octokit.pulls.listReviews, params);
+
+      const commit_details = {};
+      for (const commit of commits) {
+        if (isDeveloperCommit(commit, developerEmails)) {
+          commit_details[commit.sha] = await getCommitDetail(commit.sha);
+        }
+      }
+
+      return { commits, files, reviewCount: reviews.length, commit_details };
+    },
+
+    async listReviews({ since, until }, onProgress = null) {
+      const { data: me } = await octokit.users.getAuthenticated();
+      // Inline comments always belong to a review, so reviewed-by finds both
+      const q = `repo:${owner}/${name} is:pr reviewed-by:${me.login} updated:>=${since}`;
+      const searchResults = await octokit.paginate(
+        octokit.search.issuesAndPullRequests,
+        { q, per_page: GITHUB_PAGE_SIZE },
+      );
+
+      const reviewed = [];
+      for (const item of searchResults) {
+        // Replies on your own PR are not reviews
+        if (item.user?.login === me.login) continue;
+
+        const params = {
+          owner,
+          repo: name,
+          pull_number: item.number,
+          per_page: 100,
+        };
+        const reviews = (
+          await octokit.paginate(octokit.pulls.listReviews, params)
+        ).filter(
+          (r) =>
+            r.user?.login === me.login &&
+            isWithinDateRange(r.submitted_at, since, until),
+        );
+        const comments = (
+          await octokit.paginate(octokit.pulls.listReviewComments, params)
+        ).filter(
+          (c) =>
+            c.user?.login === me.login &&
+            isWithinDateRange(c.created_at, since, until),
+        );
+        if (reviews.length === 0 && comments.length === 0) continue;
+
+        reviewed.push({
+          number: item.number,
+          title: item.title,
+          body: item.body ?? "",
+          author: item.user?.login ?? null,
+          reviews: reviews.map((r) => ({
+            state: r.state,
+            submitted_at: r.submitted_at,
+            body: r.body ?? "",
+          })),
+          comments: comments.map((c) => ({
+            created_at: c.created_at,
+            path: c.path ?? null,
+            body: c.body ?? "",
+          })),
+        });
+        if (onProgress) onProgress(reviewed.length);
+      }
+      return reviewed;
+    },
+
+    async getAuthenticatedEmail() {
+      try {
+        const { data } = await octokit.users.listEmailsForAuthenticatedUser();
+        const primary = data.find((e) => e.primary);
+        if (primary) return primary.email;
+      } catch {
+        // Token lacks the user:email scope; fall back to the public profile
+      }
+      const { data } = await octokit.users.getAuthenticated();
+      return data.email || null;
+    },
+
+    async readFile(filePath, ref) {
+      try {
+        const { data } = await octokit.repos.getContent({
+          owner,
+          repo: name,
+          path: filePath,
+          ref,
+        });
+        if (Array.isArray(data) || data.content === undefined) return null;
+        return Buffer.from(data.content, "base64").toString("utf-8");
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+      }
+    },
+  };
+}
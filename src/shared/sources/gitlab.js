@@ -0,0 +1,244 @@
+import {
+  summarizeFileStats,
+  fetchJson,
+  fetchText,
+  countDiffLines,
+  isDeveloperCommit,
+  isWithinDateRange,
+} from "./common.js";
+
+export const GITLAB_DEFAULT_URL = "https://gitlab.com";
+const GITLAB_PAGE_SIZE = 100;
+
+function toGitHubCommit(commit) {
+  return {
+    sha: commit.id,
+    commit: {
+      message: commit.message,
+      author: {
+        name: commit.author_name,
+        email: commit.author_email,
+        date: commit.authored_date,
+      },
+    },
+  };
+}
+
+function toFileStat(diff) {
+  const status = diff.new_file
+    ? "added"
+    : diff.deleted_file
+      ? "removed"
+      : diff.renamed_file
+        ? "renamed"
+        : "modified";
+  return {
+    filename: diff.new_path,
+    status,
+    ...countDiffLines(diff.diff),
+  };
+}
+
+/**
+ * Source adapter for gitlab.com and self-managed GitLab (API v4). Merge
+ * requests are reported as PRs numbered by their project-level IID (!12 → 12).
+ * @param {object} repo - Repository from getRepositories; owner is the
+ *   (sub)group path and name the project path
+ * @returns {object} Source adapter (see createSourceAdapter)
+ */
+export function createGitLabAdapter(repo) {
+  const apiBase = `${(repo.base_url || GITLAB_DEFAULT_URL).replace(/\/+$/, "")}/api/v4`;
+  const projectPath = `/projects/${encodeURIComponent(`${repo.owner}/${repo.name}`)}`;
+  const headers = { "PRIVATE-TOKEN": repo.personal_access_token };
+
+  // GitLab paginates with page numbers; x-next-page is empty on the last page
+  async function getAll(apiPath, params = {}, onPage = null) {
+    const items = [];
+    let page = "1";
+    while (page) {
+      const query = new URLSearchParams({
+        ...params,
+        per_page: String(GITLAB_PAGE_SIZE),
+        page,
+      });
+      const { data, headers: resHeaders } = await fetchJson(
+        `${apiBase}${apiPath}?${query}`,
+        { headers, label: "GitLab" },
+      );
+      items.push(...data);
+      if (onPage) onPage(Number(page));
+      page = resHeaders.get("x-next-page");
+    }
+    return items;
+  }
+
+  async function getCommitDetail(sha) {
+    const diffs = await getAll(`${projectPath}/repository/commits/${sha}/diff`);
+    return summarizeFileStats(diffs.map(toFileStat));
+  }
+
+  return {
+    async listCommits({ branch, since, until }, onPage = null) {
+      const commits = await getAll(
+        `${projectPath}/repository/commits`,
+        {
+          ref_name: branch,
+          since: since + "T00:00:00Z",
+          until: until + "T23:59:59Z",
+        },
+        onPage,
+      );
+      return commits.map(toGitHubCommit);
+    },
+
+    getCommitDetail,
+
+    async getCommitPatches(sha) {
+      const diffs = await getAll(
+        `${projectPath}/repository/commits/${sha}/diff`,
+      );
+      return diffs.map((d) => ({ filename: d.new_path, patch: d.diff ?? "" }));
+    },
+
+    async listMergedPRs({ since, until }, onProgress = null) {
+      // The API filters by update time only; merged_at is checked below
+      const mergeRequests = await getAll(`${projectPath}/merge_requests`, {
+        state: "merged",
+        updated_after: since + "T00:00:00Z",
+      });
+
+      const prs = [];
+      for (const mr of mergeRequests) {
+        if (!isWithinDateRange(mr.merged_at, since, until)) continue;
+
+        prs.push({
+          number: mr.iid,
+          title: mr.title,
+          body: mr.description ?? "",
+          merged_at: mr.merged_at,
+          merge_commit_sha: mr.merge_commit_sha ?? mr.squash_commit_sha ?? null,
+          head: { ref: mr.source_branch },
+        });
+        if (onProgress) onProgress(prs.length);
+      }
+      return prs;
+    },
+
+    async getPRDetails(pr, developerEmails = []) {
+      const mrPath = `${projectPath}/merge_requests/${pr.number}`;
+      // MR commits come newest first; GitHub lists PR commits oldest first
+      const commits = (await getAll(`${mrPath}/commits`))
+        .map(toGitHubCommit)
+        .reverse();
+      let diffs;
+      try {
+        diffs = await getAll(`${mrPath}/diffs`);
+      } catch (error) {
+        // GitLab before 15.7 only has the (deprecated) changes endpoint
+        if (error.status !== 404) throw error;
+        const { data } = await fetchJson(`${apiBase}${mrPath}/changes`, {
+          headers,
+          label: "GitLab",
+        });
+        diffs = data.changes ?? [];
+      }
+      const files = diffs.map(toFileStat);
+
+      let reviewCount = 0;
+      try {
+        const { data } = await fetchJson(`${apiBase}${mrPath}/approvals`, {
+          headers,
+          label: "GitLab",
+        });
+        reviewCount = (data.approved_by ?? []).length;
+      } catch {
+        // Approvals are unavailable on some GitLab tiers; treat as unreviewed
+      }
+
+      const commit_details = {};
+      for (const commit of commits) {
+        if (isDeveloperCommit(commit, developerEmails)) {
+          commit_details[commit.sha] = await getCommitDetail(commit.sha);
+        }
+      }
+
+      return { commits, files, reviewCount, commit_details };
+    },
+
+    async listReviews({ since, until }, onProgress = null) {
+      const { data: me } = await fetchJson(`${apiBase}/user`, {
+        headers,
+        label: "GitLab",
+      });
+      const mergeRequests = await getAll(`${projectPath}/merge_requests`, {
+        state: "all",
+        updated_after: since + "T00:00:00Z",
+      });
+
+      const reviewed = [];
+      for (const mr of mergeRequests) {
+        if (mr.author?.id === me.id) continue;
+
+        const notes = (
+          await getAll(`${projectPath}/merge_requests/${mr.iid}/notes`, {
+            sort: "asc",
+          })
+        ).filter(
+          (n) =>
+            n.author?.id === me.id &&
+            isWithinDateRange(n.created_at, since, until),
+        );
+        // Approvals carry no timestamp of their own; the system note does
+        const reviews = notes
+          .filter(
+            (n) => n.system && /^approved this merge request/.test(n.body),
+          )
+          .map((n) => ({
+            state: "APPROVED",
+            submitted_at: n.created_at,
+            body: "",
+          }));
+        const comments = notes
+          .filter((n) => !n.system)
+          .map((n) => ({
+            created_at: n.created_at,
+            path: n.position?.new_path ?? null,
+            body: n.body ?? "",
+          }));
+        if (reviews.length === 0 && comments.length === 0) continue;
+
+        reviewed.push({
+          number: mr.iid,
+          title: mr.title,
+          body: mr.description ?? "",
+          author: mr.author?.username ?? null,
+          reviews,
+          comments,
+        });
+        if (onProgress) onProgress(reviewed.length);
+      }
+      return reviewed;
+    },
+
+    async getAuthenticatedEmail() {
+      const { data } = await fetchJson(`${apiBase}/user`, {
+        headers,
+        label: "GitLab",
+      });
+      return data.commit_email || data.email || data.public_email || null;
+    },
+
+    async readFile(filePath, ref) {
+      const query = new URLSearchParams({ ref });
+      try {
+        return await fetchText(
+          `${apiBase}${projectPath}/repository/files/${encodeURIComponent(filePath)}/raw?${query}`,
+          { headers, label: "GitLab" },
+        );
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+      }
+    },
+  };
+}
@@ -0,0 +1,85 @@
+import { createGitHubAdapter } from "./github.js";
+import { createGitLabAdapter } from "./gitlab.js";
+import { createBitbucketAdapter } from "./bitbucket.js";
+import { createLocalAdapter } from "./local.js";
+
+const HOST_LABELS = {
+  github: "GitHub",
+  gitlab: "GitLab",
+  bitbucket: "Bitbucket",
+};
+
+/**
+ * Create the commit/PR source adapter for a repository. Every adapter returns
+ * data in GitHub's shapes, so the steps and the github-summary.json records
+ * are the same whichever host the work came from:
+ *
+ * - listCommits({branch, since, until}, onPage) → commits shaped like Octokit
+ *   `repos.listCommits` items ({sha, commit: {message, author: {name, email, date}}})
+ * - getCommitDetail(sha) → {files: [{filename, additions, deletions}], lines_added, lines_removed}
+ * - getCommitPatches(sha) → [{filename, patch}] with the unified diff hunks of each file
+ * - listMergedPRs({branch, since, until}, onProgress) → merged PRs / merge
+ *   requests ({number, title, body, merged_at, merge_commit_sha, head: {ref}})
+ * - getPRDetails(pr, developerEmails) → {commits, files, reviewCount, commit_details}
+ *   with commits oldest first and commit_details for the developer's commits
+ * - listReviews({since, until}, onProgress) → PRs by other people that the
+ *   token owner reviewed or commented on in the range ({number, title, body,
+ *   author, reviews: [{state, submitted_at, body}], comments: [{created_at, path, body}]},
+ *   holding only the token owner's reviews and comments)
+ * - getAuthenticatedEmail() → email of the token owner (or git user.email), or null
+ * - readFile(path, ref) → contents of a file at a branch or commit, or null if it does not exist
+ *
+ * All methods are async. Dates in options are YYYY-MM-DD, inclusive.
+ * @param {object} repo - Repository from getRepositories
+ * @returns {object} Source adapter
+ */
+export function createSourceAdapter(repo) {
+  if (repo.source === "local") return createLocalAdapter(repo);
+
+  switch (repo.host) {
+    case "gitlab":
+      return createGitLabAdapter(repo);
+    case "bitbucket":
+      return createBitbucketAdapter(repo);
+    default:
+      return createGitHubAdapter(repo);
+  }
+}
+
+/**
+ * Name of a repository's source for messages
+ * @param {object} repo - Repository from getRepositories
+ * @returns {string} "GitHub", "GitLab", "Bitbucket" or "the local clone"
+ */
+export function describeSource(repo) {
+  if (repo.source === "local") return "the local clone";
+  return HOST_LABELS[repo.host] ?? "GitHub";
+}
+
+/**
+ * Turn an adapter error into a user-facing message for the known failure
+ * modes (rate limit, bad credentials, unknown repository)
+ * @param {Error} error - Error thrown by an adapter
+ * @param {object} repo - Repository the adapter was created for
+ * @returns {string|null} Message, or null if the error is unexpected and should be rethrown
+ */
+export function describeSourceError(error, repo) {
+  // git failures already name the command and the clone
+  if (repo.source === "local") return error.message;
+
+  const host = describeSource(repo);
+  if (
+    error.status === 429 ||
+    (error.status === 403 &&
+      error.response?.headers?.["x-ratelimit-remaining"] === "0")
+  ) {
+    return `${host} rate limit exceeded. Wait and retry, or use --force-refresh to restart.`;
+  }
+  if (error.status === 401 || error.status === 403) {
+    return `${host} authentication failed for ${repo.id}. Check personal_access_token in config.`;
+  }
+  if (error.status === 404) {
+    return `${host} repository ${repo.id} not found. Check owner, name and base_url in config.`;
+  }
+  return null;
+}
@@ -0,0 +1,89 @@
+import {
+  runGit,
+  listLocalCommits,
+  listLocalMergedPRs,
+  readGitLog,
+  toGitHubCommit,
+  toCommitDetail,
+  getLocalUserEmail,
+} from "../git-local.js";
+import { splitUnifiedDiff } from "../diff-trimmer.js";
+
+/**
+ * Source adapter for a local clone read with `git log`. File lists and line
+ * stats come with the commit listing, so details are served from memory.
+ * @param {object} repo - Repository from getRepositories (local_path resolved)
+ * @returns {object} Source adapter (see createSourceAdapter)
+ */
+export function createLocalAdapter(repo) {
+  const commitDetails = new Map(); // sha → commit detail
+  const prDetails = new Map(); // PR number → PR details
+
+  return {
+    async listCommits({ branch, since, until }) {
+      const commits = listLocalCommits(repo.local_path, {
+        branch,
+        since,
+        until,
+      });
+      for (const c of commits) {
+        commitDetails.set(c.sha, toCommitDetail(c));
+      }
+      return commits.map(toGitHubCommit);
+    },
+
+    async getCommitDetail(sha) {
+      if (!commitDetails.has(sha)) {
+        const [commit] = readGitLog(repo.local_path, ["-1", sha]);
+        commitDetails.set(sha, toCommitDetail(commit));
+      }
+      return commitDetails.get(sha);
+    },
+
+    async getCommitPatches(sha) {
+      const diff = runGit(repo.local_path, [
+        "show",
+        "--format=",
+        "--patch",
+        "--no-color",
+        "--no-ext-diff",
+        sha,
+      ]);
+      return splitUnifiedDiff(diff);
+    },
+
+    async listMergedPRs({ branch, since, until }) {
+      const entries = listLocalMergedPRs(repo.local_path, {
+        branch,
+        since,
+        until,
+      });
+      for (const { pr, details } of entries) {
+        prDetails.set(pr.number, details);
+      }
+      return entries.map((e) => e.pr);
+    },
+
+    async getPRDetails(pr) {
+      return prDetails.get(pr.number);
+    },
+
+    // Reviews live only on the hosting service
+    async listReviews() {
+      return [];
+    },
+
+    async getAuthenticatedEmail() {
+      return getLocalUserEmail(repo.local_path);
+    },
+
+    async readFile(filePath, ref) {
+      try {
+        return runGit(repo.local_path, ["show", `${ref}:${filePath}`]);
+      } catch {
+        // Not present on that branch
+        return null;
+      }
+    },
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * Analyse a ticket's status changes. Statuses are classified by category,
+ * as Jira's status categories do: "new" (To Do), "indeterminate" (In
+ * Progress, In Review, QA, ...) and "done".
+ *
+ * Returns the periods spent in each status, hours per status, the active
+ * window (first move to an in-progress status, preferably by the developer,
+ * until the ticket last reached done) and how often work went back to
+ * development: out of done, or from a later in-progress status (In Review,
+ * QA) back to the first one or to To Do.
+ * @param {object} ticket - Ticket history
+ * @param {Array<{at: string, from: string, fromCategory: string|null, to: string, toCategory: string|null, byDeveloper: boolean}>} ticket.transitions - Status changes, in any order
+ * @param {string|null} ticket.created - When the ticket was created (ISO 8601)
+ * @param {{status: string, category: string|null}} ticket.current - Current status, used when there are no transitions
+ * @param {object} options
+ * @param {number} options.asOf - Time (ms) hours in status are counted up to: the end of the run's date range, or now while the range is still running
+ * @returns {{statusHistory: object[], backToDevCount: number, statusCategory: string|null, statusPeriods: object[], hoursInStatus: object, activeWindow: {start: string|null, end: string|null}}} Analysis in the jira-summary.json field shapes
+ */
+export function analyzeStatusTransitions(
+  { transitions, created, current },
+  { asOf },
+) {
+  const sorted = [...transitions].sort(
+    (a, b) => Date.parse(a.at) - Date.parse(b.at),
+  );
+
+  const statusHistory = sorted.map((t) => ({
+    status: t.to,
+    category: t.toCategory,
+    date: t.at.slice(0, 10),
+  }));
+
+  // Periods run from creation (or the first transition) to the last change
+  const statusPeriods = [];
+  let period = {
+    status: sorted[0]?.from ?? current.status ?? "Unknown",
+    category: sorted[0] ? sorted[0].fromCategory : current.category,
+    start: created ?? sorted[0]?.at ?? null,
+  };
+  for (const t of sorted) {
+    statusPeriods.push({ ...period, end: t.at });
+    period = { status: t.to, category: t.toCategory, start: t.at };
+  }
+  statusPeriods.push({ ...period, end: null });
+
+  // Time counts up to asOf, so re-runs for the same range give the same
+  // hours; open periods count until then, except a final done
+  const hoursInStatus = {};
+  for (const p of statusPeriods) {
+    if (!p.start || (p.end === null && p.category === "done")) continue;
+    const end = Math.min(p.end ? Date.parse(p.end) : asOf, asOf);
+    const ms = end - Date.parse(p.start);
+    if (ms <= 0) continue;
+    hoursInStatus[p.status] = (hoursInStatus[p.status] ?? 0) + ms / 3600000;
+  }
+  for (const status of Object.keys(hoursInStatus)) {
+    hoursInStatus[status] = Math.round(hoursInStatus[status] * 10) / 10;
+  }
+
+  const startedWork = sorted.filter((t) => t.toCategory === "indeterminate");
+  const firstInProgress =
+    startedWork.find((t) => t.byDeveloper) ?? startedWork[0] ?? null;
+  const doneAt =
+    period.category === "done"
+      ? (sorted.findLast(
+          (t) => t.toCategory === "done" && t.fromCategory !== "done",
+        )?.at ?? null)
+      : null;
+
+  const workStatus = startedWork[0]?.to ?? null;
+  let backToDevCount = 0;
+  for (const t of sorted) {
+    const reopened = t.fromCategory === "done" && t.toCategory !== "done";
+    const sentBack =
+      workStatus !== null &&
+      t.fromCategory === "indeterminate" &&
+      t.from !== workStatus &&
+      (t.to === workStatus || t.toCategory === "new");
+    if (reopened || sentBack) backToDevCount++;
+  }
+
+  return {
+    statusHistory,
+    backToDevCount,
+    statusCategory: period.category,
+    statusPeriods,
+    hoursInStatus,
+    activeWindow: { start: firstInProgress?.at ?? null, end: doneAt },
+  };
+}
@@ -1,27 +1,145 @@
-/**
- * Extract all ticket IDs from text
- * Matches patterns like SD-123, PROJ-456, etc.
- * @param {string} text - Text to extract ticket IDs from
- * @returns {string[]} Array of unique ticket IDs in uppercase
- */
-export function extractTicketIds(text, allowedPrefixes = null) {
-  if (!text || typeof text !== "string") {
-    return [];
-  }
+import { getRepositories } from "./config.js";
 
-  // Regex pattern: 2-10 letters (any case), hyphen, one or more digits
-  const pattern = /\b([A-Za-z]{2,10}-\d+)\b/gi;
-  const matches = Array.from(text.matchAll(pattern));
+// Prefixes of encodings, hashes, standards and versions that look like
+// ticket keys ("UTF-8", "ISO-8601", "SHA-256", "CVE-2024-1234")
+const DEFAULT_DENYLIST = [
+  "UTF",
+  "UCS",
+  "ISO",
+  "SHA",
+  "MD",
+  "RFC",
+  "CVE",
+  "CWE",
+  "PEP",
+  "HTTP",
+  "TLS",
+  "SSL",
+  "AES",
+  "RSA",
+  "CRC",
+  "BASE",
+  "IPV",
+  "X86",
+  "GPT",
+  "COVID",
+];
 
-  // Extract the matched text, normalize to uppercase and deduplicate using Set
-  const uniqueIds = new Set(matches.map((match) => match[1].toUpperCase()));
+// Jira and Linear keys: a letter, 1-9 more letters or digits, hyphen, number
+const KEY_PATTERN =
+  /(?<![A-Za-z0-9])([A-Za-z][A-Za-z0-9]{1,9})-(\d+)(?![A-Za-z0-9])/g;
 
-  const ids = Array.from(uniqueIds);
+// GitHub issue and PR references
+const GITHUB_URL_PATTERN =
+  /\/([\w.-]+\/[\w.-]+)\/(?:issues|pull)\/(\d+)(?![\w-])/g;
+const GITHUB_QUALIFIED_PATTERN = /(?<![\w/.-])([\w.-]+\/[\w.-]+)#(\d+)\b/g;
+const GITHUB_BARE_PATTERN = /(?<![\w/&.#-])(?:#|GH-)(\d+)\b/gi;
 
-  if (!allowedPrefixes || allowedPrefixes.length === 0) {
-    return ids;
+function extractKeys(text, { prefixes, denylist }) {
+  const ids = [];
+  for (const match of text.matchAll(KEY_PATTERN)) {
+    const prefix = match[1].toUpperCase();
+    // "IPV6-..." and "SHA3-..." are denied through their letter part
+    const allowed = prefixes
+      ? prefixes.has(prefix)
+      : !denylist.has(prefix) && !denylist.has(prefix.replace(/\d+$/, ""));
+    if (allowed) ids.push(`${prefix}-${match[2]}`);
   }
+  return ids;
+}
+
+/**
+ * Build the ticket grammar configured under `tickets`, shared by every step
+ * so commit messages and Clockify descriptions yield the same IDs. A tracker
+ * listed in `trackers` turns its grammar on without a `tickets` entry:
+ *
+ * - Jira (on unless `tickets.jira` is false, or `trackers` leaves Jira out):
+ *   keys with `tickets.jira.prefixes`, defaulting to jira.project_keys → "SD-123"
+ * - Linear (`tickets.linear`): keys with `team_keys` (default:
+ *   linear.team_keys), or any key no other tracker claims → "ENG-12"
+ * - GitHub (`tickets.github`): "#12", "GH-12", "owner/repo#12" and issue/PR
+ *   URLs → "owner/repo#12"; bare numbers belong to the commit's repository,
+ *   else `default_repo` (default: the first configured repository)
+ *
+ * Prefixes in the built-in denylist plus `tickets.denylist` are never keys
+ * unless a tracker lists them explicitly.
+ * @param {object} config - Configuration object
+ * @returns {function(string, {repo?: string}=): string[]} Extractor returning unique ticket IDs
+ */
+export function createTicketExtractor(config) {
+  const trackers = config.trackers ?? ["jira"];
+  const configured = config.tickets ?? {};
+  const tickets = {
+    ...configured,
+    jira: configured.jira ?? (trackers.includes("jira") ? undefined : false),
+    linear:
+      configured.linear ??
+      (trackers.includes("linear")
+        ? { team_keys: config.linear?.team_keys }
+        : undefined),
+    github: configured.github ?? (trackers.includes("github") ? {} : undefined),
+  };
+  const toPrefixSet = (list) =>
+    Array.isArray(list) && list.length > 0
+      ? new Set(list.map((p) => p.toUpperCase()))
+      : null;
+  // "GH-12" is a GitHub reference once GitHub issues are tracked
+  const denylist = new Set(
+    [
+      ...DEFAULT_DENYLIST,
+      ...(tickets.github ? ["GH"] : []),
+      ...(tickets.denylist ?? []),
+    ].map((p) => p.toUpperCase()),
+  );
+
+  const jira =
+    tickets.jira === false
+      ? null
+      : {
+          prefixes: toPrefixSet(
+            tickets.jira?.prefixes ?? config.jira?.project_keys,
+          ),
+        };
+  const linear = tickets.linear
+    ? { prefixes: toPrefixSet(tickets.linear.team_keys) }
+    : null;
+  const github = tickets.github
+    ? {
+        defaultRepo: (
+          tickets.github.default_repo ??
+          getRepositories(config)[0]?.id ??
+          ""
+        ).toLowerCase(),
+      }
+    : null;
+
+  return function extractTickets(text, { repo } = {}) {
+    if (!text || typeof text !== "string") {
+      return [];
+    }
 
-  const prefixSet = new Set(allowedPrefixes.map((p) => p.toUpperCase()));
-  return ids.filter((id) => prefixSet.has(id.split("-")[0]));
+    const ids = [];
+    const jiraIds = jira ? extractKeys(text, { ...jira, denylist }) : [];
+    ids.push(...jiraIds);
+    if (linear) {
+      ids.push(
+        ...extractKeys(text, { ...linear, denylist }).filter(
+          (id) => linear.prefixes || !jiraIds.includes(id),
+        ),
+      );
+    }
+    if (github) {
+      const home = (repo ?? "").toLowerCase() || github.defaultRepo;
+      for (const match of text.matchAll(GITHUB_URL_PATTERN)) {
+        ids.push(`${match[1].toLowerCase()}#${match[2]}`);
+      }
+      for (const match of text.matchAll(GITHUB_QUALIFIED_PATTERN)) {
+        ids.push(`${match[1].toLowerCase()}#${match[2]}`);
+      }
+      for (const match of text.matchAll(GITHUB_BARE_PATTERN)) {
+        ids.push(home ? `${home}#${match[1]}` : `#${match[1]}`);
+      }
+    }
+    return Array.from(new Set(ids));
+  };
 }
@@ -0,0 +1,13 @@
+/**
+ * Date range for ticket trackers: the tracker's own date_from/date_to, else
+ * the jira section's
+ * @param {object} config - Configuration object
+ * @param {object} [trackerConfig] - The tracker's config section
+ * @returns {{since: string, until: string}} Inclusive YYYY-MM-DD range
+ */
+export function getTrackerDateRange(config, trackerConfig = {}) {
+  return {
+    since: trackerConfig.date_from ?? config.jira.date_from,
+    until: trackerConfig.date_to ?? config.jira.date_to,
+  };
+}
@@ -0,0 +1,214 @@
+import { Octokit } from "@octokit/rest";
+import { getRepositories } from "../config.js";
+import { getTrackerDateRange } from "./common.js";
+import { isWithinDateRange } from "../sources/common.js";
+
+const GITHUB_PAGE_SIZE = 100;
+
+// Labels that carry an estimate: "estimate: 3", "points/5", "sp 2", "3 points"
+const ESTIMATE_LABEL_PATTERNS = [
+  /^(?:estimate|story[ -]?points?|points?|sp|size)\s*[:=/ ]\s*(\d+(?:\.\d+)?)$/i,
+  /^(\d+(?:\.\d+)?)\s*(?:points?|pts|sp)$/i,
+];
+// Number fields on a GitHub project that hold an estimate
+const ESTIMATE_FIELD_PATTERN = /estimate|story points?|^points$|^size$/i;
+
+const ISSUE_DETAILS_QUERY = `
+query IssueDetails($owner: String!, $name: String!, $number: Int!) {
+  repository(owner: $owner, name: $name) {
+    issue(number: $number) {
+      parent { number title repository { nameWithOwner } }
+      projectItems(first: 10) {
+        nodes {
+          fieldValues(first: 20) {
+            nodes {
+              ... on ProjectV2ItemFieldNumberValue {
+                number
+                field { ... on ProjectV2FieldCommon { name } }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+// GitHub issues are open or closed; "Open" counts as not started because
+// issues have no in-progress state of their own
+const OPEN = { status: "Open", category: "new" };
+const CLOSED = { status: "Closed", category: "done" };
+
+function estimateFromLabels(labels) {
+  for (const label of labels) {
+    for (const pattern of ESTIMATE_LABEL_PATTERNS) {
+      const match = label.match(pattern);
+      if (match) return Number.parseFloat(match[1]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Ticket tracker adapter for GitHub Issues. Reads the issues assigned to the
+ * token owner in every GitHub-hosted API repository, or in
+ * `github_issues.repositories` ("owner/name") when set.
+ * @param {object} config - Configuration object
+ * @returns {object} Tracker adapter (see createTracker)
+ */
+export function createGitHubIssuesTracker(config) {
+  const issuesConfig = config.github_issues ?? {};
+  const only = (issuesConfig.repositories ?? []).map((id) => id.toLowerCase());
+  const repos = getRepositories(config).filter(
+    (repo) =>
+      repo.source === "api" &&
+      repo.host === "github" &&
+      (only.length === 0 || only.includes(repo.id.toLowerCase())),
+  );
+  let warnedAboutDetails = false;
+
+  async function getIssueDetails(octokit, repo, number) {
+    try {
+      const data = await octokit.graphql(ISSUE_DETAILS_QUERY, {
+        owner: repo.owner,
+        name: repo.name,
+        number,
+      });
+      return data.repository.issue;
+    } catch (error) {
+      // Tokens without project access still get labels-based estimates
+      if (!warnedAboutDetails) {
+        console.warn(
+          `\nWarning: Could not read GitHub issue details (parent, project fields) for ${repo.id} (${error.message}). Estimates come from labels only.`,
+        );
+        warnedAboutDetails = true;
+      }
+      return null;
+    }
+  }
+
+  async function normalizeIssue(octokit, repo, issue, login) {
+    const params = {
+      owner: repo.owner,
+      repo: repo.name,
+      issue_number: issue.number,
+      per_page: GITHUB_PAGE_SIZE,
+    };
+    const events = await octokit.paginate(octokit.issues.listEvents, params);
+    const comments = await octokit.paginate(
+      octokit.issues.listComments,
+      params,
+    );
+    const details = await getIssueDetails(octokit, repo, issue.number);
+
+    const labels = issue.labels.map((l) =>
+      typeof l === "string" ? l : l.name,
+    );
+    const projectEstimate = (details?.projectItems?.nodes ?? [])
+      .flatMap((item) => item.fieldValues.nodes)
+      .find(
+        (value) =>
+          typeof value.number === "number" &&
+          ESTIMATE_FIELD_PATTERN.test(value.field?.name || ""),
+      )?.number;
+
+    const transitions = events
+      .filter((e) => e.event === "closed" || e.event === "reopened")
+      .map((e) => {
+        const [from, to] =
+          e.event === "closed" ? [OPEN, CLOSED] : [CLOSED, OPEN];
+        return {
+          at: e.created_at,
+          from: from.status,
+          fromCategory: from.category,
+          to: to.status,
+          toCategory: to.category,
+          byDeveloper: e.actor?.login === login,
+        };
+      });
+    const current = issue.state === "closed" ? CLOSED : OPEN;
+    const parent = details?.parent;
+
+    return {
+      ticket_id: `${repo.id.toLowerCase()}#${issue.number}`,
+      title: issue.title,
+      type: issue.type?.name ?? "Issue",
+      url: issue.html_url,
+      story_points: projectEstimate ?? estimateFromLabels(labels),
+      final_status: current.status,
+      created: issue.created_at,
+      description: issue.body || "",
+      current,
+      transitions,
+      comments: comments.map((c) => ({
+        author: c.user?.login ?? "Unknown",
+        own: c.user?.login === login,
+        created: c.created_at,
+        text: (c.body || "").trim(),
+      })),
+      epic: null,
+      parent: parent
+        ? {
+            ticket_id: `${parent.repository.nameWithOwner.toLowerCase()}#${parent.number}`,
+            title: parent.title,
+            type: "Issue",
+          }
+        : null,
+      // A milestone is the closest thing GitHub has to a sprint
+      sprints: issue.milestone
+        ? [
+            {
+              name: issue.milestone.title,
+              state: issue.milestone.state,
+              start_date: null,
+              end_date: issue.milestone.due_on?.slice(0, 10) ?? null,
+            },
+          ]
+        : [],
+      labels,
+      components: [],
+      links: [],
+    };
+  }
+
+  const dateRange = getTrackerDateRange(config, issuesConfig);
+
+  return {
+    label: "GitHub Issues",
+    dateRange,
+
+    async listIssues(onProgress = null) {
+      const { since, until } = dateRange;
+      const issues = [];
+
+      for (const repo of repos) {
+        const octokit = new Octokit({
+          auth: repo.personal_access_token,
+          ...(repo.base_url ? { baseUrl: repo.base_url } : {}),
+        });
+        const { data: user } = await octokit.users.getAuthenticated();
+
+        const listed = await octokit.paginate(octokit.issues.listForRepo, {
+          owner: repo.owner,
+          repo: repo.name,
+          assignee: user.login,
+          state: "all",
+          since: since + "T00:00:00Z",
+          per_page: GITHUB_PAGE_SIZE,
+        });
+        // The listing includes pull requests and anything updated since
+        const inRange = listed.filter(
+          (issue) =>
+            !issue.pull_request &&
+            isWithinDateRange(issue.updated_at, since, until),
+        );
+
+        for (const issue of inRange) {
+          issues.push(await normalizeIssue(octokit, repo, issue, user.login));
+          if (onProgress) onProgress(issues.length);
+        }
+      }
+      return issues;
+    },
+  };
+}
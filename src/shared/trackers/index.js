@@ -0,0 +1,35 @@
+import { createLinearTracker } from "./linear.js";
+import { createGitHubIssuesTracker } from "./github-issues.js";
+
+export { TRACKERS } from "./names.js";
+
+/**
+ * Create the adapter for a ticket tracker other than Jira. Every adapter
+ * returns issues assigned to the developer and updated in the date range,
+ * normalised so step 4 writes the same jira-summary.json records for them:
+ *
+ * - label → name for progress and error messages (e.g. "Linear")
+ * - dateRange → {since, until}, the inclusive YYYY-MM-DD range read
+ * - listIssues(onProgress) → [{ticket_id, title, type, url, story_points,
+ *   final_status, created, description, current: {status, category},
+ *   transitions: [{at, from, fromCategory, to, toCategory, byDeveloper}],
+ *   comments: [{author, own, created, text}], epic, parent, sprints, labels,
+ *   components, links}]
+ *
+ * Status categories are "new", "indeterminate" or "done" (see
+ * analyzeStatusTransitions); epic, parent, sprints and links use the Jira
+ * record shapes. All methods are async.
+ * @param {string} name - "linear" or "github"
+ * @param {object} config - Configuration object
+ * @returns {object} Tracker adapter
+ */
+export function createTracker(name, config) {
+  switch (name) {
+    case "linear":
+      return createLinearTracker(config);
+    case "github":
+      return createGitHubIssuesTracker(config);
+    default:
+      throw new Error(`Unknown ticket tracker: ${name}`);
+  }
+}
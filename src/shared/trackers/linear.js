@@ -0,0 +1,232 @@
+import { getTrackerDateRange } from "./common.js";
+
+const LINEAR_API_URL = "https://api.linear.app/graphql";
+// Linear rejects queries over its complexity limit, which multiplies every
+// nested connection by its page size. The issues query therefore embeds only
+// a short first page of each connection; longer histories and comment
+// threads are read with one query per issue.
+const LINEAR_PAGE_SIZE = 25;
+const LINEAR_NESTED_PAGE_SIZE = 10;
+const LINEAR_RELATION_PAGE_SIZE = 20;
+const LINEAR_FOLLOW_UP_PAGE_SIZE = 100;
+
+// Linear workflow state types mapped to Jira's status categories
+const STATE_CATEGORIES = {
+  triage: "new",
+  backlog: "new",
+  unstarted: "new",
+  started: "indeterminate",
+  completed: "done",
+  canceled: "done",
+};
+
+// Relation types as read from the issue ("blocks ENG-7") and from the
+// related issue ("is blocked by ENG-7")
+const RELATIONS = {
+  blocks: { outward: "blocks", inward: "is blocked by" },
+  duplicate: { outward: "duplicates", inward: "is duplicated by" },
+  related: { outward: "relates to", inward: "relates to" },
+  similar: { outward: "is similar to", inward: "is similar to" },
+};
+
+const PAGE_INFO = "pageInfo { hasNextPage endCursor }";
+const HISTORY_FIELDS = `nodes { createdAt actor { id } fromState { name type } toState { name type } } ${PAGE_INFO}`;
+const COMMENT_FIELDS = `nodes { body createdAt user { id name } } ${PAGE_INFO}`;
+
+const ISSUES_QUERY = `
+query Issues($first: Int!, $after: String, $filter: IssueFilter) {
+  viewer { id }
+  issues(first: $first, after: $after, filter: $filter) {
+    nodes {
+      id
+      identifier
+      title
+      url
+      description
+      estimate
+      createdAt
+      state { name type }
+      labels(first: ${LINEAR_RELATION_PAGE_SIZE}) { nodes { name } }
+      project { slugId name }
+      parent { identifier title }
+      cycle { name number startsAt endsAt completedAt }
+      relations(first: ${LINEAR_RELATION_PAGE_SIZE}) { nodes { type relatedIssue { identifier title state { name } } } }
+      inverseRelations(first: ${LINEAR_RELATION_PAGE_SIZE}) { nodes { type issue { identifier title state { name } } } }
+      history(first: ${LINEAR_NESTED_PAGE_SIZE}) { ${HISTORY_FIELDS} }
+      comments(first: ${LINEAR_NESTED_PAGE_SIZE}) { ${COMMENT_FIELDS} }
+    }
+    ${PAGE_INFO}
+  }
+}`;
+
+const NESTED_QUERIES = {
+  history: `
+query History($id: String!, $first: Int!, $after: String) {
+  issue(id: $id) { history(first: $first, after: $after) { ${HISTORY_FIELDS} } }
+}`,
+  comments: `
+query Comments($id: String!, $first: Int!, $after: String) {
+  issue(id: $id) { comments(first: $first, after: $after) { ${COMMENT_FIELDS} } }
+}`,
+};
+
+/**
+ * Ticket tracker adapter for Linear (personal API key in `linear.api_key`;
+ * `linear.team_keys` limits issues to those teams)
+ * @param {object} config - Configuration object
+ * @returns {object} Tracker adapter (see createTracker)
+ */
+export function createLinearTracker(config) {
+  const linearConfig = config.linear ?? {};
+  const teamKeys = linearConfig.team_keys ?? config.tickets?.linear?.team_keys;
+
+  async function graphql(query, variables) {
+    const res = await fetch(LINEAR_API_URL, {
+      method: "POST",
+      headers: {
+        Authorization: linearConfig.api_key,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ query, variables }),
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok || body.errors?.length) {
+      const detail = (body.errors ?? []).map((e) => e.message).join("; ");
+      const error = new Error(
+        `Linear API error: ${res.status} ${res.statusText}${detail ? ` - ${detail}` : ""}`,
+      );
+      error.status = res.status;
+      throw error;
+    }
+    return body.data;
+  }
+
+  // The issues query returns the first few history entries and comments
+  async function fetchRemaining(issueId, connectionName, connection) {
+    const nodes = [...connection.nodes];
+    let { hasNextPage, endCursor } = connection.pageInfo;
+    while (hasNextPage) {
+      const data = await graphql(NESTED_QUERIES[connectionName], {
+        id: issueId,
+        first: LINEAR_FOLLOW_UP_PAGE_SIZE,
+        after: endCursor,
+      });
+      const page = data.issue[connectionName];
+      nodes.push(...page.nodes);
+      ({ hasNextPage, endCursor } = page.pageInfo);
+    }
+    return nodes;
+  }
+
+  async function normalizeIssue(issue, viewerId) {
+    const history = await fetchRemaining(issue.id, "history", issue.history);
+    const comments = await fetchRemaining(issue.id, "comments", issue.comments);
+    const cycle = issue.cycle;
+
+    return {
+      ticket_id: issue.identifier,
+      title: issue.title,
+      type: issue.parent ? "Sub-issue" : "Issue",
+      url: issue.url,
+      story_points: issue.estimate ?? null,
+      final_status: issue.state?.name || "Unknown",
+      created: issue.createdAt,
+      description: issue.description || "",
+      current: {
+        status: issue.state?.name,
+        category: STATE_CATEGORIES[issue.state?.type] ?? null,
+      },
+      transitions: history
+        .filter((h) => h.toState)
+        .map((h) => ({
+          at: h.createdAt,
+          from: h.fromState?.name ?? null,
+          fromCategory: STATE_CATEGORIES[h.fromState?.type] ?? null,
+          to: h.toState.name,
+          toCategory: STATE_CATEGORIES[h.toState.type] ?? null,
+          byDeveloper: h.actor?.id === viewerId,
+        })),
+      comments: comments
+        .map((c) => ({
+          author: c.user?.name ?? "Unknown",
+          own: c.user?.id === viewerId,
+          created: c.createdAt,
+          text: (c.body || "").trim(),
+        }))
+        .sort((a, b) => Date.parse(a.created) - Date.parse(b.created)),
+      // A Linear project plays the role of a Jira epic
+      epic: issue.project
+        ? { ticket_id: issue.project.slugId, title: issue.project.name }
+        : null,
+      parent: issue.parent
+        ? {
+            ticket_id: issue.parent.identifier,
+            title: issue.parent.title,
+            type: "Issue",
+          }
+        : null,
+      sprints: cycle
+        ? [
+            {
+              name: cycle.name || `Cycle ${cycle.number}`,
+              state: cycle.completedAt ? "closed" : "active",
+              start_date: cycle.startsAt?.slice(0, 10) ?? null,
+              end_date:
+                (cycle.completedAt || cycle.endsAt)?.slice(0, 10) ?? null,
+            },
+          ]
+        : [],
+      labels: issue.labels.nodes.map((l) => l.name),
+      components: [],
+      links: [
+        ...issue.relations.nodes.map((r) => ({
+          relation: RELATIONS[r.type]?.outward ?? r.type,
+          ticket_id: r.relatedIssue.identifier,
+          title: r.relatedIssue.title,
+          status: r.relatedIssue.state?.name ?? null,
+        })),
+        ...issue.inverseRelations.nodes.map((r) => ({
+          relation: RELATIONS[r.type]?.inward ?? r.type,
+          ticket_id: r.issue.identifier,
+          title: r.issue.title,
+          status: r.issue.state?.name ?? null,
+        })),
+      ],
+    };
+  }
+
+  const dateRange = getTrackerDateRange(config, linearConfig);
+
+  return {
+    label: "Linear",
+    dateRange,
+
+    async listIssues(onProgress = null) {
+      const { since, until } = dateRange;
+      const filter = {
+        assignee: { isMe: { eq: true } },
+        updatedAt: { gte: `${since}T00:00:00Z`, lte: `${until}T23:59:59Z` },
+        ...(Array.isArray(teamKeys) && teamKeys.length > 0
+          ? { team: { key: { in: teamKeys } } }
+          : {}),
+      };
+
+      const issues = [];
+      let after = null;
+      while (true) {
+        const data = await graphql(ISSUES_QUERY, {
+          first: LINEAR_PAGE_SIZE,
+          after,
+          filter,
+        });
+        for (const issue of data.issues.nodes) {
+          issues.push(await normalizeIssue(issue, data.viewer.id));
+          if (onProgress) onProgress(issues.length);
+        }
+        if (!data.issues.pageInfo.hasNextPage) break;
+        after = data.issues.pageInfo.endCursor;
+      }
+      return issues;
+    },
+  };
+}
@@ -0,0 +1,4 @@
+// Ticket trackers step 4 can read; "jira" is handled by jira-summarizer.js.
+// Kept free of imports so config.js can validate against it without loading
+// the tracker adapters.
+export const TRACKERS = ["jira", "linear", "github"];
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+// ============================================================================
+// Section 1 — Imports and Constants
+// ============================================================================
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { loadConfig } from "../shared/config.js";
+import { openResponseCache } from "../shared/response-cache.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, "../..");
+
+const COMMANDS = ["stats", "list", "show", "prune"];
+
+// ============================================================================
+// Section 2 — CLI Argument Parsing
+// ============================================================================
+
+const options = {
+  all: { type: "boolean" },
+  "older-than": { type: "string" },
+  provider: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+let parsedArgs;
+try {
+  parsedArgs = parseArgs({ options, allowPositionals: true, strict: true });
+} catch (error) {
+  console.error(`Failed to parse CLI arguments: ${error.message}`);
+  process.exit(1);
+}
+
+if (parsedArgs.values.help) {
+  console.log(`
+ai-cache — Inspect or prune the AI response cache (cache/responses)
+
+Every AI call is cached by provider, model and prompt, so identical prompts
+from any step are answered without calling the provider again.
+
+Usage:
+  node ai-cache.js [command] [options]
+
+Commands:
+  stats                   Entries, size and age of the cache (default)
+  list                    One line per entry, newest first
+  show <key>              Prompt and response of an entry (key prefix is enough)
+  prune                   Remove expired entries and the oldest past the size
+                          limit (ai.response_cache.ttl_days / max_mb), or the
+                          entries selected by the options below
+
+Options:
+  --all                   prune: remove every entry
+  --older-than <days>     prune: remove entries written more than <days> ago
+  --provider <name>       list, prune: only entries from this provider
+  --help, -h              Show this help message
+`);
+  process.exit(0);
+}
+
+const [command = "stats", keyPrefix] = parsedArgs.positionals;
+if (!COMMANDS.includes(command)) {
+  console.error(
+    `Unknown command "${command}". Use one of: ${COMMANDS.join(", ")}`,
+  );
+  process.exit(1);
+}
+
+let olderThanDays = null;
+if (parsedArgs.values["older-than"] !== undefined) {
+  olderThanDays = Number(parsedArgs.values["older-than"]);
+  if (!Number.isFinite(olderThanDays) || olderThanDays < 0) {
+    console.error("--older-than must be a number of days");
+    process.exit(1);
+  }
+}
+const provider = parsedArgs.values.provider ?? null;
+
+// ============================================================================
+// Section 3 — Config Loading
+// ============================================================================
+
+let config;
+try {
+  config = await loadConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const cache = openResponseCache(config.ai);
+const cacheDir = path.relative(projectRoot, cache.dir);
+
+// ============================================================================
+// Section 4 — Commands
+// ============================================================================
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatAge(ms) {
+  const hours = (Date.now() - ms) / 3600000;
+  if (hours < 1) return "less than an hour ago";
+  if (hours < 48) return `${Math.floor(hours)}h ago`;
+  return `${Math.floor(hours / 24)} days ago`;
+}
+
+if (command === "stats") {
+  const { entries, bytes, oldest, newest } = cache.stats();
+  if (entries === 0) {
+    console.log(`The AI response cache (${cacheDir}) is empty.`);
+    process.exit(0);
+  }
+  const byProvider = new Map();
+  for (const entry of cache.list()) {
+    const name = `${entry.provider}${entry.model ? ` (${entry.model})` : ""}`;
+    byProvider.set(name, (byProvider.get(name) ?? 0) + 1);
+  }
+  console.log(`AI response cache: ${cacheDir}`);
+  console.log(`  Entries: ${entries} (${formatBytes(bytes)})`);
+  console.log(`  Oldest: ${formatAge(oldest)}, newest: ${formatAge(newest)}`);
+  for (const [name, count] of byProvider) {
+    console.log(`  ${name}: ${count}`);
+  }
+}
+
+if (command === "list") {
+  const entries = cache
+    .list()
+    .filter((e) => provider === null || e.provider === provider);
+  for (const e of entries) {
+    console.log(
+      `${e.key.slice(0, 12)}  ${(e.created_at ?? "").slice(0, 16).replace("T", " ")}  ${e.provider}${e.model ? `/${e.model}` : ""}  ${formatBytes(e.size)}  ${e.prompt_preview}`,
+    );
+  }
+  console.log(`${entries.length} entries.`);
+}
+
+if (command === "show") {
+  if (!keyPrefix) {
+    console.error("Usage: node ai-cache.js show <key>");
+    process.exit(1);
+  }
+  const matches = cache.list().filter((e) => e.key.startsWith(keyPrefix));
+  if (matches.length !== 1) {
+    console.error(
+      matches.length === 0
+        ? `No cache entry with key ${keyPrefix}`
+        : `Key ${keyPrefix} matches ${matches.length} entries; give more characters`,
+    );
+    process.exit(1);
+  }
+  const entry = cache.get(matches[0].key);
+  if (!entry) {
+    console.error(`Cache entry ${matches[0].key} has expired or is unreadable`);
+    process.exit(1);
+  }
+  console.log(`Key: ${entry.key}`);
+  console.log(
+    `Provider: ${entry.provider}${entry.model ? ` (${entry.model})` : ""}`,
+  );
+  console.log(`Created: ${entry.created_at}`);
+  console.log(`Metadata: ${JSON.stringify(entry.metadata)}`);
+  console.log(`\n--- Prompt ---\n${entry.prompt}`);
+  console.log(`\n--- Response ---\n${entry.response}`);
+}
+
+if (command === "prune") {
+  const before = cache.stats();
+  const removed = cache.prune({
+    all: parsedArgs.values.all ?? false,
+    olderThanDays,
+    provider,
+  });
+  const after = cache.stats();
+  console.log(
+    `Removed ${removed} entr${removed === 1 ? "y" : "ies"} (${formatBytes(before.bytes - after.bytes)}). ${after.entries} left in ${cacheDir}.`,
+  );
+}
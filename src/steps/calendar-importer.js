@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+// ============================================================================
+// Section 1 — Imports and Constants
+// ============================================================================
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { loadConfig } from "../shared/config.js";
+import { clearCache, writeConsolidatedCache } from "../shared/cache.js";
+import { readIcsEvents } from "../shared/ics.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, "../..");
+
+// Written as cache/calendar-summary.json
+const CACHE_PATH = path.resolve(
+  projectRoot,
+  "cache",
+  "calendar-summary.ndjson",
+);
+
+// Answers that mean the developer was there; the organizer always is
+const ATTENDED_PARTSTATS = ["ACCEPTED", "TENTATIVE"];
+const MAX_DESCRIPTION_CHARS = 500;
+
+// ============================================================================
+// Section 2 — CLI Argument Parsing
+// ============================================================================
+
+const options = {
+  help: { type: "boolean", short: "h" },
+};
+
+if (process.argv.includes("--default-params")) {
+  const idx = process.argv.indexOf("--default-params");
+  process.argv.splice(idx, 1, "--ai", "1", "--use-cache", "--yes");
+}
+
+let parsedArgs;
+try {
+  parsedArgs = parseArgs({ options, strict: false });
+} catch (error) {
+  console.error(`Failed to parse CLI arguments: ${error.message}`);
+  process.exit(1);
+}
+
+if (parsedArgs.values.help) {
+  console.log(`
+calendar-importer — Read meetings you attended from .ics calendar exports
+
+Usage:
+  node calendar-importer.js [options]
+
+Reads every file in calendar.ics_files, keeps the meetings you organized or
+accepted in the date range and writes cache/calendar-summary.json for the
+enricher. Without a calendar section in config.json the step is skipped.
+
+Options:
+  --help, -h              Show this help message
+`);
+  process.exit(0);
+}
+
+// ============================================================================
+// Section 3 — Config Loading
+// ============================================================================
+
+let config;
+try {
+  config = await loadConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+if (!config.calendar?.ics_files?.length) {
+  // A summary left from an earlier configuration would still be matched
+  clearCache(CACHE_PATH);
+  console.log("No calendar configured (calendar.ics_files). Skipping.");
+  process.exit(0);
+}
+
+const calendarConfig = config.calendar;
+const dateFrom = calendarConfig.date_from ?? config.github.date_from;
+const dateTo = calendarConfig.date_to ?? config.github.date_to;
+
+// Whose attendance counts: calendar.emails, else the developer's known emails
+const developerEmails = new Set(
+  (
+    calendarConfig.emails ?? [
+      ...(config.github.developer_emails ?? []),
+      ...(config.jira?.user_email ? [config.jira.user_email] : []),
+    ]
+  ).map((email) => email.toLowerCase()),
+);
+
+if (developerEmails.size === 0) {
+  console.error(
+    "Cannot tell which meetings you attended: set calendar.emails in config",
+  );
+  process.exit(1);
+}
+
+// ============================================================================
+// Section 4 — Event Reading
+// ============================================================================
+
+// The whole local days of the range
+const from = new Date(`${dateFrom}T00:00:00`);
+const to = new Date(`${dateTo}T23:59:59`);
+
+const events = [];
+for (const file of calendarConfig.ics_files) {
+  const filePath = path.resolve(projectRoot, file);
+  let text;
+  try {
+    text = fs.readFileSync(filePath, "utf-8");
+  } catch (error) {
+    console.error(`Failed to read calendar ${filePath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const { events: fileEvents, warnings } = readIcsEvents(text, { from, to });
+  for (const warning of warnings) {
+    console.warn(`Warning: ${path.basename(filePath)}: ${warning}`);
+  }
+  console.log(
+    `Read ${fileEvents.length} events from ${path.basename(filePath)}.`,
+  );
+  events.push(
+    ...fileEvents.map((event) => ({ ...event, source: path.basename(file) })),
+  );
+}
+
+// ============================================================================
+// Section 5 — Attendance Filtering
+// ============================================================================
+
+function personName(person) {
+  return person.name || person.email || "Unknown";
+}
+
+// "organizer", "accepted" or "tentative"; null when the developer was not there
+function attendance(event) {
+  if (event.organizer && developerEmails.has(event.organizer.email)) {
+    return "organizer";
+  }
+  const own = event.attendees.find((a) => developerEmails.has(a.email));
+  return own && ATTENDED_PARTSTATS.includes(own.partstat)
+    ? own.partstat.toLowerCase()
+    : null;
+}
+
+const seen = new Set();
+const meetings = [];
+let skipped = 0;
+
+for (const event of events) {
+  // The same meeting appears in every exported calendar that has it
+  if (seen.has(event.occurrence_id)) continue;
+  seen.add(event.occurrence_id);
+
+  // Meetings have other people in them; all-day, free and cancelled events
+  // are not time spent
+  const response = event.attendees.length > 0 ? attendance(event) : null;
+  if (
+    !response ||
+    event.all_day ||
+    event.transparent ||
+    event.status === "CANCELLED"
+  ) {
+    skipped++;
+    continue;
+  }
+
+  const others = event.attendees.filter(
+    (a) => !developerEmails.has(a.email) && a.partstat !== "DECLINED",
+  );
+  meetings.push({
+    event_id: event.occurrence_id,
+    title: event.title || "(no title)",
+    start: event.start.toISOString(),
+    end: event.end.toISOString(),
+    duration_minutes: Math.round((event.end - event.start) / 60000),
+    organizer: event.organizer ? personName(event.organizer) : null,
+    attendees: others.map(personName),
+    location: event.location || null,
+    description: event.description.slice(0, MAX_DESCRIPTION_CHARS) || null,
+    response,
+    source: event.source,
+  });
+}
+
+meetings.sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+
+// ============================================================================
+// Section 6 — Output
+// ============================================================================
+
+try {
+  fs.mkdirSync(path.dirname(CACHE_PATH), { recursive: true });
+  writeConsolidatedCache(CACHE_PATH, meetings);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+console.log(
+  `Kept ${meetings.length} meetings you attended (${skipped} skipped: declined, unanswered, all-day, free, cancelled or without attendees). Output: cache/calendar-summary.json`,
+);
@@ -21,10 +21,11 @@ import {
   writeConsolidatedCache,
   clearCache,
 } from "../shared/cache.js";
-import { extractTicketIds } from "../shared/ticket-extractor.js";
+import { createTicketExtractor } from "../shared/ticket-extractor.js";
 import {
   parseClockifyDate,
   parseISOToLocal,
+  isSameLocalDay,
   isWithinDayWindow,
   splitTimeWindow,
   formatClockifyDate,
@@ -43,6 +44,8 @@ const GITHUB_SUMMARY_PATH = path.resolve(
   "cache/github-summary.json",
 );
 const JIRA_SUMMARY_PATH = path.resolve(projectRoot, "cache/jira-summary.json");
+const REVIEWS_PATH = path.resolve(projectRoot, "cache/code-reviews.json");
+const CALENDAR_PATH = path.resolve(projectRoot, "cache/calendar-summary.json");
 const PATTERNS_PATH = path.resolve(projectRoot, "cache/patterns.json");
 const DECOMPOSITION_CACHE_PATH = path.resolve(
   projectRoot,
@@ -65,8 +68,16 @@ const OUTPUT_STANDARDIZED_PATH = path.resolve(
   "output/enriched-standardized.csv",
 );
 const DIFF_PATH = path.resolve(projectRoot, "output/diff.txt");
+// Billing metadata columns from the cleaned CSV, copied onto every output row
+const METADATA_COLUMNS = ["Project", "Client", "Task", "Tags", "Billable"];
+// Clockify descriptions that log reviewing ("Code review", "Reviewed PRs")
+const REVIEW_ENTRY_PATTERN = /\breview(?:s|ed|ing)?\b/i;
+// Share of an entry's time a meeting must cover to describe the entry
+const MEETING_MIN_OVERLAP = 0.5;
 const MAX_BATCH_SIZE = 10;
 const MAX_PROMPT_CHARS = 200_000; // ~50K tokens; batches exceeding this are split proactively
+// Reply tokens per work item the cost estimate assumes (one JSON object)
+const ENRICH_OUTPUT_TOKENS_PER_ITEM = 150;
 
 // ============================================================================
 // Section 2 — Helper Functions (before IIFE)
@@ -149,6 +160,124 @@ export function distributeSubTasksToEntry(subTasks, entryHours) {
   return assigned;
 }
 
+/**
+ * Pick the billing metadata columns (Project, Client, Task, Tags, Billable) off a
+ * Clockify row. Split rows call this with their parent entry so they inherit it.
+ */
+function entryMetadata(clockifyEntry) {
+  return Object.fromEntries(
+    METADATA_COLUMNS.map((col) => [col, clockifyEntry?.[col] ?? ""]),
+  );
+}
+
+/**
+ * Short reference to a GitHub commit: "repo@sha8" ("owner/api@1a2b3c4d").
+ * The same 8-char prefix can occur in several repositories, so the repo is
+ * always included when the record carries one.
+ */
+function commitRef(g) {
+  const sha8 = (g.sha || "").slice(0, 8);
+  return g.repo ? `${g.repo}@${sha8}` : sha8;
+}
+
+/** Short reference to a reviewed PR: "owner/api PR#412" */
+function reviewRef(r) {
+  return `${r.repo} PR#${r.pr_number}`;
+}
+
+/**
+ * One-line prompt context for a code review record: which PR, whose, what
+ * was done and which files were discussed
+ */
+function formatReviewContext(r) {
+  const states = r.review_states.length
+    ? r.review_states.join("/").toLowerCase()
+    : "commented";
+  const files = r.files_discussed.length
+    ? ` on ${r.files_discussed.join(", ")}`
+    : "";
+  const comments = r.comments
+    .map((c) => `"${c.body.replace(/\n/g, " ").slice(0, 150)}"`)
+    .slice(0, 3)
+    .join("; ");
+  return `Review of ${reviewRef(r)} "${(r.pr_title || "").replace(/\n/g, " ")}" by ${r.pr_author || "?"} on ${r.date}: ${states}, ${r.comment_count} comment(s)${files}${comments ? ` — ${comments}` : ""}`;
+}
+
+/** Short reference to a Jira worklog: "SD-12 (2h 30m)" */
+function worklogRef(w) {
+  return `${w.ticket_id} (${w.time_spent})`;
+}
+
+/**
+ * One-line prompt context for a Jira worklog: ticket, when, how long and the
+ * developer's own comment on the work
+ */
+function formatWorklogContext(w) {
+  const started = formatDateFns(parseISOToLocal(w.started), "yyyy-MM-dd HH:mm");
+  const comment = w.comment
+    ? `"${w.comment.replace(/\n/g, " ").slice(0, 300)}"`
+    : "no comment";
+  return `Worklog on ${w.ticket_id} at ${started} (${w.time_spent}): ${comment}`;
+}
+
+/** Short reference to a meeting: '"Sprint planning" 2024-03-05 10:00' */
+function meetingRef(e) {
+  const start = formatDateFns(parseISOToLocal(e.start), "yyyy-MM-dd HH:mm");
+  return `"${e.title.replace(/\n/g, " ")}" ${start}`;
+}
+
+/**
+ * One-line prompt context for a calendar meeting: title, when, who was there
+ * and the start of the invitation text
+ */
+function formatMeetingContext(e) {
+  const end = formatDateFns(parseISOToLocal(e.end), "HH:mm");
+  const attendees = e.attendees.length
+    ? ` with ${e.attendees.slice(0, 8).join(", ")}${e.attendees.length > 8 ? ` and ${e.attendees.length - 8} more` : ""}`
+    : "";
+  const organizer =
+    e.organizer && e.response !== "organizer"
+      ? ` (organized by ${e.organizer})`
+      : "";
+  const description = e.description
+    ? ` — "${e.description.replace(/\s+/g, " ").slice(0, 200)}"`
+    : "";
+  return `Meeting ${meetingRef(e)}-${end} (${e.duration_minutes}m)${attendees}${organizer}${description}`;
+}
+
+/**
+ * Check an entry's day against a ticket's active window (first moved to In
+ * Progress until Done), written by jira-summarizer.js
+ * @returns {string|null} e.g. "SD-12 closed 2024-03-10", or null when inside or unknown
+ */
+function activeWindowWarning(clockifyDate, j) {
+  const window = j.active_window;
+  if (!clockifyDate || !window) return null;
+  const toDay = (iso) => formatDateFns(parseISOToLocal(iso), "yyyy-MM-dd");
+  const day = formatDateFns(clockifyDate, "yyyy-MM-dd");
+  if (window.end && day > toDay(window.end)) {
+    return `${j.ticket_id} closed ${toDay(window.end)}`;
+  }
+  if (window.start && day < toDay(window.start)) {
+    return `${j.ticket_id} not started until ${toDay(window.start)}`;
+  }
+  return null;
+}
+
+/** Epic of a Jira ticket for prompt context: ', epic="Payments v2" (SD-100)' */
+function formatEpic(j) {
+  return j.epic
+    ? `, epic="${(j.epic.title || "").replace(/\n/g, " ")}" (${j.epic.ticket_id})`
+    : "";
+}
+
+/** Unique epic keys of the matched Jira tickets */
+function epicRefs(jiraMatches) {
+  return Array.from(
+    new Set(jiraMatches.filter((j) => j.epic).map((j) => j.epic.ticket_id)),
+  );
+}
+
 function parseHMM(hmm) {
   if (!hmm) return 0;
   const [h, m] = hmm.split(":").map((s) => parseInt(s, 10) || 0);
@@ -159,7 +288,8 @@ function parseHMM(hmm) {
  * Compute per-commit weighted hour allocations for a group.
  * Primary weight: Jira story points (any ticket linked to the commit).
  * Tiebreaker: lines_added + lines_removed.
- * Returns an array of { sha, hours } in the same order as githubMatches.
+ * Returns an array of { ref, hours } in the same order as githubMatches,
+ * where ref is the commitRef of the commit.
  */
 function computeCommitWeights(githubMatches, jiraMatches, totalHours) {
   if (!githubMatches || githubMatches.length === 0) return [];
@@ -175,21 +305,20 @@ function computeCommitWeights(githubMatches, jiraMatches, totalHours) {
       for (const tid of g.ticket_ids) {
         const j = jiraByTicket.get(tid);
         if (j) {
-          const pts =
-            j.story_points || j.storyPoint || j.story_points_count || 0;
+          const pts = j.story_points || 0;
           if (pts > sp) sp = pts;
         }
       }
     }
     // Tiebreaker: lines changed
     const lines = (g.lines_added || 0) + (g.lines_removed || 0);
-    return { sha: g.sha, sp, lines };
+    return { ref: commitRef(g), sp, lines };
   });
 
   // Scale so story points dominate: sp * (maxLines + 1) + lines
   const maxLines = Math.max(1, ...rawWeights.map((w) => w.lines));
   const scores = rawWeights.map((w) => ({
-    sha: w.sha,
+    ref: w.ref,
     score: w.sp > 0 ? w.sp * (maxLines + 1) + w.lines : w.lines,
   }));
 
@@ -198,7 +327,7 @@ function computeCommitWeights(githubMatches, jiraMatches, totalHours) {
   const equalShare = totalScore === scores.length; // all-zero case
 
   return scores.map((s, i) => ({
-    sha: s.sha,
+    ref: s.ref,
     hours: +(
       totalHours * (equalShare ? 1 / scores.length : s.score / totalScore)
     ).toFixed(6),
@@ -212,6 +341,7 @@ function computeCommitWeights(githubMatches, jiraMatches, totalHours) {
 const options = {
   "force-refresh": { type: "boolean", short: "f" },
   ai: { type: "string" },
+  "max-cost": { type: "string" },
   yes: { type: "boolean", short: "y" },
   help: { type: "boolean", short: "h" },
 };
@@ -239,6 +369,7 @@ Usage:
 Options:
   --force-refresh, -f     Clear caches and regenerate
   --ai <number>           Auto-select AI provider by number (e.g. --ai 1)
+  --max-cost <usd>        Stop before AI calls cost more than this (e.g. 2.50)
   --yes, -y               Auto-confirm all prompts
   --help, -h              Show this help message
 `);
@@ -257,6 +388,9 @@ try {
   process.exit(1);
 }
 
+// Same ticket grammar the github-summarizer used for commit ticket_ids
+const extractTickets = createTicketExtractor(config);
+
 // ============================================================================
 // Section 5 — Dependency Checks
 // ============================================================================
@@ -309,6 +443,34 @@ try {
   process.exit(1);
 }
 
+// Worklogs are stored per ticket; flattened here with their ticket ID for
+// same-day matching (tickets cached before worklogs were fetched have none)
+const jiraWorklogs = jiraData.flatMap((j) =>
+  (j.worklogs || []).map((w) => ({ ...w, ticket_id: j.ticket_id })),
+);
+
+// Optional: written by github-summarizer.js since code reviews were added
+let reviewData = [];
+if (fs.existsSync(REVIEWS_PATH)) {
+  try {
+    reviewData = JSON.parse(fs.readFileSync(REVIEWS_PATH, "utf-8"));
+  } catch (err) {
+    console.error(`Failed to read ${REVIEWS_PATH}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Optional: written by calendar-importer.js when calendar.ics_files is set
+let calendarData = [];
+if (fs.existsSync(CALENDAR_PATH)) {
+  try {
+    calendarData = JSON.parse(fs.readFileSync(CALENDAR_PATH, "utf-8"));
+  } catch (err) {
+    console.error(`Failed to read ${CALENDAR_PATH}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
 // ============================================================================
 // Section 7 — Date Range Mismatch Detection
 // ============================================================================
@@ -387,7 +549,12 @@ import {
   listProviders,
   promptProviderSelection,
   executeProvider,
+  getProviderConcurrency,
+  setCostBudget,
+  estimateProviderCost,
+  exitIfBudgetReached,
 } from "../shared/cli-provider.js";
+import { formatCost } from "../shared/cost.js";
 const providers = listProviders();
 if (providers.length === 0) {
   console.error(
@@ -399,23 +566,15 @@ const selectedProvider = await promptProviderSelection(
   providers,
   parsedArgs.values.ai ?? null,
 );
+const maxCost = setCostBudget(parsedArgs.values["max-cost"]);
 // Accumulate tokens used from provider metadata across all calls
 let totalActualTokensAccum = 0;
 
+// executeProvider reports total_tokens whatever shape the provider used;
+// answers from the response cache count too, so the estimate coefficient
+// keeps measuring the size of the work
 function extractTokensFromMetadata(metadata) {
-  if (!metadata || typeof metadata !== "object") return 0;
-  // Common locations
-  if (typeof metadata.total_tokens === "number") return metadata.total_tokens;
-  if (typeof metadata.token_count === "number") return metadata.token_count;
-  if (metadata.usage && typeof metadata.usage.total_tokens === "number")
-    return metadata.usage.total_tokens;
-  if (
-    metadata.usage &&
-    typeof metadata.usage.prompt_tokens === "number" &&
-    typeof metadata.usage.completion_tokens === "number"
-  )
-    return metadata.usage.prompt_tokens + metadata.usage.completion_tokens;
-  return 0;
+  return metadata?.total_tokens ?? 0;
 }
 
 // ============================================================================
@@ -451,7 +610,13 @@ if (!fs.existsSync(PATTERNS_PATH)) {
   console.log(
     `Calling AI to detect patterns from ${descriptions.length} unique descriptions...`,
   );
-  const result = await executeProvider(selectedProvider, promptText);
+  let result;
+  try {
+    result = await executeProvider(selectedProvider, promptText);
+  } catch (err) {
+    exitIfBudgetReached();
+    throw err;
+  }
   const { response: resultResponse, metadata: resultMeta } = result || {};
   totalActualTokensAccum += extractTokensFromMetadata(resultMeta);
   const cleaned = stripMarkdownFences(resultResponse);
@@ -493,7 +658,7 @@ if (!fs.existsSync(PATTERNS_PATH)) {
 const matchResults = [];
 for (let i = 0; i < clockifyRows.length; i++) {
   const row = clockifyRows[i];
-  const clockifyTicketIds = extractTicketIds(row.Description || "");
+  const clockifyTicketIds = extractTickets(row.Description || "");
   let clockifyDate = null;
   try {
     clockifyDate = parseClockifyDate(row["Start Date"], row["Start Time"]);
@@ -541,11 +706,69 @@ for (let i = 0; i < clockifyRows.length; i++) {
     }
   }
 
+  // Code review entries match the reviews done that day; a ticket or PR
+  // number in the description narrows them down
+  const reviewMatches = [];
+  if (clockifyDate && REVIEW_ENTRY_PATTERN.test(row.Description || "")) {
+    const sameDay = reviewData.filter((r) => {
+      try {
+        return isSameLocalDay(
+          clockifyDate,
+          parseISOToLocal(r.first_activity_at),
+        );
+      } catch {
+        return false;
+      }
+    });
+    const mentionedPRs = Array.from(
+      (row.Description || "").matchAll(/#(\d+)/g),
+      (match) => parseInt(match[1], 10),
+    );
+    const narrowed = sameDay.filter(
+      (r) =>
+        mentionedPRs.includes(r.pr_number) ||
+        (r.ticket_ids || []).some((t) => clockifyTicketIds.includes(t)),
+    );
+    reviewMatches.push(...(narrowed.length > 0 ? narrowed : sameDay));
+  }
+
+  // An entry without tickets that a meeting covers for most of its time
+  // ("sync", "client call") was that meeting
+  const meetingMatches = [];
+  let clockifyEnd = null;
+  try {
+    clockifyEnd = parseClockifyDate(row["End Date"], row["End Time"]);
+  } catch {
+    clockifyEnd = null;
+  }
+  if (
+    clockifyDate &&
+    clockifyEnd > clockifyDate &&
+    clockifyTicketIds.length === 0 &&
+    reviewMatches.length === 0
+  ) {
+    const entryMs = clockifyEnd - clockifyDate;
+    for (const e of calendarData) {
+      const start = parseISOToLocal(e.start);
+      const end = parseISOToLocal(e.end);
+      const overlapMs =
+        Math.min(end, clockifyEnd) - Math.max(start, clockifyDate);
+      if (overlapMs >= entryMs * MEETING_MIN_OVERLAP) meetingMatches.push(e);
+    }
+  }
+  // Review and meeting entries without tickets are not about the developer's
+  // own commits or worklogs that day
+  const isActivityEntry =
+    clockifyTicketIds.length === 0 &&
+    (reviewMatches.length > 0 || meetingMatches.length > 0);
+
   // Prioritize near matches first, then other exact matches
-  githubMatches.push(
-    ...githubMatchesNear,
-    ...githubMatchesExact.filter((x) => !githubMatchesNear.includes(x)),
-  );
+  if (!isActivityEntry) {
+    githubMatches.push(
+      ...githubMatchesNear,
+      ...githubMatchesExact.filter((x) => !githubMatchesNear.includes(x)),
+    );
+  }
 
   const jiraMatches = [];
   if (clockifyTicketIds.length > 0) {
@@ -554,14 +777,60 @@ for (let i = 0; i < clockifyRows.length; i++) {
     }
   }
 
+  // A Jira worklog is the developer's own record of the work, so one on the
+  // entry's day is strong evidence. Without tickets in the description, prefer
+  // worklogs overlapping the entry's time range.
+  const worklogMatches = [];
+  if (clockifyDate && !isActivityEntry) {
+    const sameDay = jiraWorklogs.filter((w) => {
+      try {
+        return isSameLocalDay(clockifyDate, parseISOToLocal(w.started));
+      } catch {
+        return false;
+      }
+    });
+    if (clockifyTicketIds.length > 0) {
+      worklogMatches.push(
+        ...sameDay.filter((w) => clockifyTicketIds.includes(w.ticket_id)),
+      );
+    } else {
+      const overlapping = clockifyEnd
+        ? sameDay.filter((w) => {
+            const start = parseISOToLocal(w.started);
+            const end = new Date(start.getTime() + w.time_spent_seconds * 1000);
+            return start < clockifyEnd && end > clockifyDate;
+          })
+        : [];
+      worklogMatches.push(...(overlapping.length > 0 ? overlapping : sameDay));
+    }
+    for (const w of worklogMatches) {
+      if (!jiraMatches.some((j) => j.ticket_id === w.ticket_id)) {
+        jiraMatches.push(jiraData.find((j) => j.ticket_id === w.ticket_id));
+      }
+    }
+  }
+
+  const hasMatches =
+    githubMatches.length > 0 ||
+    jiraMatches.length > 0 ||
+    reviewMatches.length > 0 ||
+    meetingMatches.length > 0;
   const confidence =
-    clockifyTicketIds.length > 0 &&
-    (githubMatches.length > 0 || jiraMatches.length > 0)
+    (clockifyTicketIds.length > 0 && hasMatches) ||
+    worklogMatches.length > 0 ||
+    meetingMatches.length > 0
       ? "high"
-      : githubMatches.length > 0 || jiraMatches.length > 0
+      : hasMatches
         ? "medium"
         : "low";
 
+  // Time logged against a named ticket before work on it started or after it
+  // was closed
+  const windowWarnings = jiraMatches
+    .filter((j) => clockifyTicketIds.includes(j.ticket_id))
+    .map((j) => activeWindowWarning(clockifyDate, j))
+    .filter(Boolean);
+
   matchResults.push({
     rowIndex: i,
     clockifyEntry: row,
@@ -569,11 +838,27 @@ for (let i = 0; i < clockifyRows.length; i++) {
     ticketIds: clockifyTicketIds,
     githubMatches,
     jiraMatches,
+    reviewMatches,
+    worklogMatches,
+    meetingMatches,
+    windowWarnings,
     matchPhase: confidence === "low" ? "none" : "exact",
     confidence,
   });
 }
 
+const outsideWindow = matchResults.filter((m) => m.windowWarnings.length > 0);
+if (outsideWindow.length > 0) {
+  console.warn(
+    `Warning: ${outsideWindow.length} entr${outsideWindow.length === 1 ? "y is" : "ies are"} logged outside the ticket's active window:`,
+  );
+  for (const m of outsideWindow) {
+    console.warn(
+      `  ${m.clockifyEntry["Start Date"]} "${m.clockifyEntry.Description || ""}": ${m.windowWarnings.join(", ")}`,
+    );
+  }
+}
+
 // Phase 2 — AI semantic matching for "none"
 const unmatched = matchResults.filter((m) => m.matchPhase === "none");
 if (unmatched.length > 0) {
@@ -589,14 +874,14 @@ if (unmatched.length > 0) {
       const prPart = g.pr_context
         ? ` | PR#${g.pr_context.pr_number}: ${g.pr_context.pr_title}`
         : "";
-      return `COMMIT@${(g.committed_at || "").slice(0, 10)} sha=${(g.sha || "").slice(0, 8)}: ${g.message || ""}${prPart} | ${g.ai_description || ""}`;
+      return `COMMIT@${(g.committed_at || "").slice(0, 10)} ref=${commitRef(g)}: ${g.message || ""}${prPart} | ${g.ai_description || ""}`;
     })
     .join("\n");
   const jiraList = jiraData
     .map((j) => `${j.ticket_id} | ${j.title || ""}`)
     .join("\n");
 
-  const semanticPrompt = `For these unmatched Clockify entries, suggest possible GitHub commit or Jira ticket matches.\n\nEntries:\n${entriesList}\n\nGitHub items:\n${githubList}\n\nJira Tickets:\n${jiraList}\n\nReturn a JSON array where each element is { rowIndex: <number>, github_match: <"COMMIT@sha=<8-char-sha>"|null>, jira_match: <ticket_id|null>, confidence: "high"|"medium"|"low" }`;
+  const semanticPrompt = `For these unmatched Clockify entries, suggest possible GitHub commit or Jira ticket matches.\n\nEntries:\n${entriesList}\n\nGitHub items:\n${githubList}\n\nJira Tickets:\n${jiraList}\n\nReturn a JSON array where each element is { rowIndex: <number>, github_match: <"COMMIT@ref=<ref as listed, e.g. owner/repo@1a2b3c4d>"|null>, jira_match: <ticket_id|null>, confidence: "high"|"medium"|"low" }`;
 
   console.log(
     `Running semantic AI matching for ${unmatched.length} unmatched entries...`,
@@ -617,13 +902,17 @@ if (unmatched.length > 0) {
           if (res.github_match) {
             if (
               typeof res.github_match === "string" &&
-              res.github_match.startsWith("COMMIT@sha=")
+              res.github_match.startsWith("COMMIT@ref=")
             ) {
-              const shaPrefix = res.github_match.substring(
-                "COMMIT@sha=".length,
-              );
-              const commit = githubData.find((x) =>
-                x.sha?.startsWith(shaPrefix),
+              // "owner/repo@1a2b3c4d", or a bare sha prefix for repo-less records
+              const ref = res.github_match.substring("COMMIT@ref=".length);
+              const at = ref.lastIndexOf("@");
+              const repo = at === -1 ? null : ref.slice(0, at);
+              const shaPrefix = ref.slice(at + 1);
+              const commit = githubData.find(
+                (x) =>
+                  x.sha?.startsWith(shaPrefix) &&
+                  (repo === null || x.repo === repo),
               );
               if (commit) matchResults[idx].githubMatches.push(commit);
             }
@@ -636,6 +925,7 @@ if (unmatched.length > 0) {
       }
     }
   } catch (err) {
+    exitIfBudgetReached();
     console.warn(`Warning: Semantic matching failed: ${err.message}`);
   }
 }
@@ -644,9 +934,17 @@ if (unmatched.length > 0) {
 // Section 12 — Multi-Day Aggregation
 // ============================================================================
 
+// With enrichment.group_by_epic, entries whose tickets share an epic are
+// aggregated and described together
+const groupByEpic = config.enrichment?.group_by_epic === true;
+
 const groups = new Map();
 for (const m of matchResults) {
+  const epic = groupByEpic
+    ? (m.jiraMatches || []).find((j) => j.epic)?.epic
+    : null;
   const primary =
+    (epic && `epic:${epic.ticket_id}`) ||
     (m.ticketIds && m.ticketIds[0]) ||
     m.clockifyEntry.Description ||
     "UNASSIGNED";
@@ -665,6 +963,9 @@ for (const [k, entries] of groups.entries()) {
       e.groupTotalHours = total;
       e.groupGithubMatches = entries.flatMap((x) => x.githubMatches || []);
       e.groupJiraMatches = entries.flatMap((x) => x.jiraMatches || []);
+      e.groupReviewMatches = entries.flatMap((x) => x.reviewMatches || []);
+      e.groupWorklogMatches = entries.flatMap((x) => x.worklogMatches || []);
+      e.groupMeetingMatches = entries.flatMap((x) => x.meetingMatches || []);
     }
   }
 }
@@ -705,7 +1006,7 @@ for (const [key, entries] of groups.entries()) {
   const gh = Array.from(
     new Set(
       entries.flatMap((e) =>
-        e.groupGithubMatches ? e.groupGithubMatches.map((g) => g.sha) : [],
+        e.groupGithubMatches ? e.groupGithubMatches.map(commitRef) : [],
       ),
     ),
   );
@@ -741,18 +1042,15 @@ for (const [key, entries] of groups.entries()) {
     // Include Jira and GitHub context
     if (jiraTickets.length > 0)
       promptParts.push(`Jira tickets and metadata: ${jiraTickets.join(", ")}`);
-    if (gh.length > 0)
-      promptParts.push(
-        `GitHub commits: ${gh.map((s) => (s || "").slice(0, 8)).join(", ")}`,
-      );
+    if (gh.length > 0) promptParts.push(`GitHub commits: ${gh.join(", ")}`);
 
     // Provide per-commit/jira detailed context
     promptParts.push("Detailed GitHub/Jira context:");
     // list GitHub commit details
-    for (const sha of gh) {
+    for (const ref of gh) {
       const prObj = entries
         .flatMap((e) => e.groupGithubMatches || [])
-        .find((p) => p.sha == sha);
+        .find((p) => commitRef(p) == ref);
       if (prObj) {
         const modules = Array.isArray(prObj.modules_touched)
           ? prObj.modules_touched.join(", ")
@@ -760,7 +1058,7 @@ for (const [key, entries] of groups.entries()) {
         const filesCount = Array.isArray(prObj.files_changed)
           ? prObj.files_changed.length
           : prObj.files_changed || 0;
-        let line = `- Commit ${(sha || "").slice(0, 8)}: message="${prObj.message || ""}", ai_description="${prObj.ai_description || ""}", modules="${modules}", files_changed=${filesCount}, lines_added=${prObj.lines_added || 0}, lines_removed=${prObj.lines_removed || 0}`;
+        let line = `- Commit ${ref}: message="${prObj.message || ""}", ai_description="${prObj.ai_description || ""}", modules="${modules}", files_changed=${filesCount}, lines_added=${prObj.lines_added || 0}, lines_removed=${prObj.lines_removed || 0}`;
         if (prObj.pr_context) {
           line += `, PR#${prObj.pr_context.pr_number}: "${prObj.pr_context.pr_title}" — ${prObj.pr_context.pr_ai_description || ""}`;
         }
@@ -768,19 +1066,37 @@ for (const [key, entries] of groups.entries()) {
       }
     }
 
+    // list code reviews, Jira worklogs and meetings (every entry carries the
+    // group's)
+    const reviewLines = entries
+      .flatMap((e) => e.groupReviewMatches || [])
+      .map(formatReviewContext);
+    const worklogLines = entries
+      .flatMap((e) => e.groupWorklogMatches || [])
+      .map(formatWorklogContext);
+    const meetingLines = entries
+      .flatMap((e) => e.groupMeetingMatches || [])
+      .map(formatMeetingContext);
+    for (const line of new Set([
+      ...reviewLines,
+      ...worklogLines,
+      ...meetingLines,
+    ])) {
+      promptParts.push(`- ${line}`);
+    }
+
     // list Jira details
     for (const jt of jiraTickets) {
       const jObj = entries
         .flatMap((e) => e.groupJiraMatches || [])
         .find((j) => j.ticket_id == jt);
       if (jObj) {
-        const sp =
-          jObj.story_points || jObj.storyPoint || jObj.story_points_count || 0;
+        const sp = jObj.story_points || 0;
         const back =
           jObj.back_to_development_count || jObj.back_to_dev_count || 0;
         const summary = jObj.description_summary || "";
         promptParts.push(
-          `- Jira ${jt}: title="${jObj.title || ""}", story_points=${sp}, back_to_development_count=${back}, description_summary="${summary}"`,
+          `- Jira ${jt}: title="${jObj.title || ""}"${formatEpic(jObj)}, story_points=${sp}, back_to_development_count=${back}, description_summary="${summary}"`,
         );
       }
     }
@@ -794,7 +1110,7 @@ for (const [key, entries] of groups.entries()) {
     );
     const uniqueGithubMatches = Array.from(
       new Map(
-        allGithubMatches.filter((g) => g.sha).map((g) => [g.sha, g]),
+        allGithubMatches.filter((g) => g.sha).map((g) => [commitRef(g), g]),
       ).values(),
     );
 
@@ -809,9 +1125,7 @@ for (const [key, entries] of groups.entries()) {
           "Pre-computed weighted hour targets per commit (story points primary, lines changed tiebreaker). Allocate subtasks to match these targets as closely as possible:",
         );
         for (const cw of commitWeights) {
-          promptParts.push(
-            `  - Commit ${(cw.sha || "").slice(0, 8)}: ${cw.hours.toFixed(2)}h`,
-          );
+          promptParts.push(`  - Commit ${cw.ref}: ${cw.hours.toFixed(2)}h`);
         }
       }
     }
@@ -857,6 +1171,8 @@ for (const [key, entries] of groups.entries()) {
         );
       }
     } catch (err) {
+      // Groups decomposed so far are in the decomposition cache
+      exitIfBudgetReached();
       console.warn(
         `Warning: Decomposition failed for group ${key}: ${err.message}`,
       );
@@ -930,6 +1246,9 @@ for (const m of matchResults) {
         subTaskCount,
         githubMatches: m.groupGithubMatches || m.githubMatches || [],
         jiraMatches: m.groupJiraMatches || m.jiraMatches || [],
+        reviewMatches: m.groupReviewMatches || m.reviewMatches || [],
+        worklogMatches: m.groupWorklogMatches || m.worklogMatches || [],
+        meetingMatches: m.groupMeetingMatches || m.meetingMatches || [],
         clockifyDate: m.clockifyDate,
         clockifyEntry: m.clockifyEntry,
         confidence: m.confidence || "low",
@@ -954,6 +1273,9 @@ for (const m of matchResults) {
       subTaskCount: 1,
       githubMatches: m.githubMatches || [],
       jiraMatches: m.jiraMatches || [],
+      reviewMatches: m.reviewMatches || [],
+      worklogMatches: m.worklogMatches || [],
+      meetingMatches: m.meetingMatches || [],
       clockifyDate: m.clockifyDate,
       clockifyEntry: m.clockifyEntry,
       confidence: m.confidence || "low",
@@ -973,10 +1295,132 @@ for (const wi of workItems) {
 }
 
 // ============================================================================
-// Section 14 — Token Estimation
+// Section 13c — Enrichment Prompts
 // ============================================================================
+// Built ahead of the enrichment loop so the token estimate measures the
+// prompts that will actually be sent.
+
+// Shared by batch prompts and single-item retries
+const ENRICH_INSTRUCTIONS =
+  "Enrich the following Clockify entries. For each entry, produce a concise, professional, past-tense, defensible description of work performed, suitable for time-tracking records. Avoid referencing AI. Be specific and reference PRs, files, or Jira tickets when applicable. For entries matched to code reviews, describe the review itself, e.g. 'Reviewed PR #412 (payment retry logic)'. Jira worklog comments are the developer's own notes on the work; build on them. When matched tickets belong to an epic, frame the work at epic level, e.g. 'Payments v2 epic: added retry backoff to the payment worker'. For entries matched to calendar meetings, describe the meeting from its title, purpose and attendees, e.g. 'Sprint planning with the payments team: scoped Q2 retry work'.";
+const ENRICH_RESPONSE_FORMAT =
+  "Return ONLY valid JSON: an array of objects with { workItemKey: <string>, enriched_description: string, confidence: 'high'|'medium'|'low', notes: string }.";
+
+const minChars = config.enrichment?.min_characters ?? null;
+const maxChars = config.enrichment?.max_characters ?? null;
+let wordConstraintLine = "";
+if (minChars !== null && maxChars !== null) {
+  wordConstraintLine = `Each enriched_description must be between ${minChars} and ${maxChars} characters.`;
+} else if (minChars !== null) {
+  wordConstraintLine = `Each enriched_description must be at least ${minChars} characters.`;
+} else if (maxChars !== null) {
+  wordConstraintLine = `Each enriched_description must be at most ${maxChars} characters.`;
+}
+
+// Group work items by ticket ID or date, at most MAX_BATCH_SIZE per batch
+function batchWorkItems(items) {
+  const batches = [];
+  const byKey = new Map();
+  for (const wi of items) {
+    const key =
+      wi.ticketId ||
+      (wi.clockifyDate
+        ? formatDateFns(wi.clockifyDate, "yyyy-MM-dd")
+        : "UNASSIGNED");
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(wi);
+  }
+  for (const arr of byKey.values()) {
+    if (arr.length <= MAX_BATCH_SIZE) batches.push(arr);
+    else {
+      for (let i = 0; i < arr.length; i += MAX_BATCH_SIZE)
+        batches.push(arr.slice(i, i + MAX_BATCH_SIZE));
+    }
+  }
+  return batches;
+}
+
+// Context of one work item: the Clockify entry and everything matched to it
+function workItemContextLines(wi) {
+  const lines = [];
+  // Build GitHub context with commit-centric format
+  const ghEntries = wi.githubMatches
+    .map((g) => {
+      const ref = commitRef(g);
+      const date10 = (g.committed_at || "").slice(0, 10);
+      const modules = Array.isArray(g.modules_touched)
+        ? g.modules_touched.join(", ")
+        : "";
+      const filesCount = Array.isArray(g.files_changed)
+        ? g.files_changed.length
+        : g.files_changed || 0;
+      const msg = (g.message || "").replace(/\n/g, " ").slice(0, 200);
+      let entry = `Commit ${ref}: ${msg}\nDate: ${date10} | Files: ${filesCount} | Modules: ${modules} | Lines: +${g.lines_added || 0}/-${g.lines_removed || 0}`;
+      if (g.pr_context) {
+        const prDesc = (g.pr_context.pr_ai_description || "")
+          .replace(/\n/g, " ")
+          .slice(0, 400);
+        entry += `\nPR context: Part of PR #${g.pr_context.pr_number} "${(g.pr_context.pr_title || "").replace(/\n/g, " ")}" — ${prDesc}`;
+      }
+      return entry;
+    })
+    .join("\n---\n");
+
+  // Build Jira context with additional fields
+  const jiraEntries = wi.jiraMatches
+    .map(
+      (j) =>
+        `${j.ticket_id}: title="${(j.title || "").replace(/\n/g, " ")}"${formatEpic(j)}, story_points=${j.story_points || 0}, back_to_dev=${j.back_to_development_count || 0}, summary="${(j.description_summary || "").replace(/\n/g, " ")}"`,
+    )
+    .join(" || ");
+
+  lines.push(`WORK_ITEM_KEY: ${wi.workItemKey}`);
+  lines.push(
+    `Date: ${wi.clockifyDate ? formatDateFns(wi.clockifyDate, "yyyy-MM-dd") : "?"}`,
+  );
+  lines.push(`Duration: ${hoursToHMM(wi.durationHours)}`);
+  lines.push(
+    `Original Clockify description: "${(wi.clockifyEntry?.Description || "").replace(/\n/g, " ")}"`,
+  );
+  if (wi.subIndex >= 0 && wi.splitGroupId) {
+    // For split rows, include draft from decomposition
+    lines.push(
+      `AI decomposed task: "${(wi.draftDescription || "").replace(/\n/g, " ")}"`,
+    );
+  }
+  lines.push(`Matched GitHub: ${ghEntries || "None"}`);
+  lines.push(`Matched Jira: ${jiraEntries || "None"}`);
+  if (wi.reviewMatches.length > 0) {
+    lines.push(
+      `Matched code reviews: ${wi.reviewMatches.map(formatReviewContext).join(" || ")}`,
+    );
+  }
+  if (wi.worklogMatches.length > 0) {
+    lines.push(
+      `Jira worklogs: ${wi.worklogMatches.map(formatWorklogContext).join(" || ")}`,
+    );
+  }
+  if (wi.meetingMatches.length > 0) {
+    lines.push(
+      `Calendar meetings: ${wi.meetingMatches.map(formatMeetingContext).join(" || ")}`,
+    );
+  }
+  return lines;
+}
+
+function buildBatchPrompt(batch) {
+  const promptLines = [ENRICH_INSTRUCTIONS, ENRICH_RESPONSE_FORMAT];
+  if (wordConstraintLine) promptLines.push(wordConstraintLine);
+  promptLines.push("");
+  for (const wi of batch) {
+    promptLines.push(...workItemContextLines(wi), "---");
+  }
+  return promptLines.join("\n");
+}
 
-let totalOutputRows = workItems.length;
+// ============================================================================
+// Section 14 — Token Estimation
+// ============================================================================
 
 let tokenHistory = { runs: [] };
 if (fs.existsSync(TOKEN_HISTORY_PATH)) {
@@ -993,21 +1437,40 @@ const coefficient =
     ? coeffRuns.reduce((s, x) => s + x, 0) / coeffRuns.length
     : 1.0;
 
-const baseEstimate = totalOutputRows * 1200;
-const adjustedEstimate = Math.round(baseEstimate * coefficient);
+// Size every batch prompt the enrichment loop would send, plus a JSON reply
+// per work item, then scale by how far past estimates were off
+const enrichableItems = workItems.filter((wi) => !wi.skipEnrichment);
+const estimatedUsage = {
+  input_tokens: Math.round(
+    batchWorkItems(enrichableItems).reduce(
+      (sum, batch) => sum + buildBatchPrompt(batch).length / 4,
+      0,
+    ) * coefficient,
+  ),
+  output_tokens: Math.round(
+    enrichableItems.length * ENRICH_OUTPUT_TOKENS_PER_ITEM * coefficient,
+  ),
+};
+const adjustedEstimate =
+  estimatedUsage.input_tokens + estimatedUsage.output_tokens;
+const estimatedCost = await estimateProviderCost(
+  selectedProvider,
+  estimatedUsage,
+);
+const costNote =
+  estimatedCost === null
+    ? maxCost === null
+      ? ""
+      : ` (no price for this model; budget ${formatCost(maxCost)})`
+    : ` (~${formatCost(estimatedCost)}${maxCost === null ? "" : ` of ${formatCost(maxCost)} budget`})`;
+const estimateQuestion = `Estimated tokens: ~${adjustedEstimate.toLocaleString()}${costNote}. Continue? (y/n) `;
 
 let tokenAns;
 if (parsedArgs.values.yes) {
-  console.log(
-    `Estimated tokens: ~${adjustedEstimate.toLocaleString()}. Continue? (y/n) y (auto)`,
-  );
+  console.log(`${estimateQuestion}y (auto)`);
   tokenAns = "y";
 } else {
-  tokenAns = (
-    await prompt(
-      `Estimated tokens: ~${adjustedEstimate.toLocaleString()}. Continue? (y/n) `,
-    )
-  ).toLowerCase();
+  tokenAns = (await prompt(estimateQuestion)).toLowerCase();
 }
 if (tokenAns !== "y") process.exit(1);
 
@@ -1034,30 +1497,12 @@ for (const item of progressItems) {
 // Section 16 — Batching and Enrichment Queue
 // ============================================================================
 
-// Build batches: group by ticket ID or date, respect MAX_BATCH_SIZE
-const batches = [];
-const byKey = new Map();
-for (const wi of workItems) {
-  // Skip if already processed
-  if (processedKeys.has(wi.workItemKey)) continue;
-  // Skip items below the minimum hours threshold
-  if (wi.skipEnrichment) continue;
-
-  const key =
-    wi.ticketId ||
-    (wi.clockifyDate
-      ? formatDateFns(wi.clockifyDate, "yyyy-MM-dd")
-      : "UNASSIGNED");
-  if (!byKey.has(key)) byKey.set(key, []);
-  byKey.get(key).push(wi);
-}
-for (const arr of byKey.values()) {
-  if (arr.length <= MAX_BATCH_SIZE) batches.push(arr);
-  else {
-    for (let i = 0; i < arr.length; i += MAX_BATCH_SIZE)
-      batches.push(arr.slice(i, i + MAX_BATCH_SIZE));
-  }
-}
+// Skip items already processed and items below the minimum hours threshold
+const batches = batchWorkItems(
+  workItems.filter(
+    (wi) => !processedKeys.has(wi.workItemKey) && !wi.skipEnrichment,
+  ),
+);
 
 // ============================================================================
 // Section 17 — AI Enrichment Loop
@@ -1066,232 +1511,122 @@ for (const arr of byKey.values()) {
 let processed = 0;
 const total = batches.reduce((s, b) => s + b.length, 0);
 const batchQueue = [...batches];
-const minChars = config.enrichment?.min_characters ?? null;
-const maxChars = config.enrichment?.max_characters ?? null;
-let wordConstraintLine = "";
-if (minChars !== null && maxChars !== null) {
-  wordConstraintLine = `Each enriched_description must be between ${minChars} and ${maxChars} characters.`;
-} else if (minChars !== null) {
-  wordConstraintLine = `Each enriched_description must be at least ${minChars} characters.`;
-} else if (maxChars !== null) {
-  wordConstraintLine = `Each enriched_description must be at most ${maxChars} characters.`;
-}
-while (batchQueue.length > 0) {
-  const batch = batchQueue.shift();
-  const promptLines = [];
-  promptLines.push(
-    "Enrich the following Clockify entries. For each entry, produce a concise, professional, past-tense, defensible description of work performed, suitable for time-tracking records. Avoid referencing AI. Be specific and reference PRs, files, or Jira tickets when applicable.",
-  );
-  promptLines.push(
-    "Return ONLY valid JSON: an array of objects with { workItemKey: <string>, enriched_description: string, confidence: 'high'|'medium'|'low', notes: string }.",
-  );
-  if (wordConstraintLine) promptLines.push(wordConstraintLine);
-  promptLines.push("");
-  for (const wi of batch) {
-    // Build GitHub context with commit-centric format
-    const ghEntries = wi.githubMatches
-      .map((g) => {
-        const sha8 = (g.sha || "").slice(0, 8);
-        const date10 = (g.committed_at || "").slice(0, 10);
-        const modules = Array.isArray(g.modules_touched)
-          ? g.modules_touched.join(", ")
-          : "";
-        const filesCount = Array.isArray(g.files_changed)
-          ? g.files_changed.length
-          : g.files_changed || 0;
-        const msg = (g.message || "").replace(/\n/g, " ").slice(0, 200);
-        let entry = `Commit ${sha8}: ${msg}\nDate: ${date10} | Files: ${filesCount} | Modules: ${modules} | Lines: +${g.lines_added || 0}/-${g.lines_removed || 0}`;
-        if (g.pr_context) {
-          const prDesc = (g.pr_context.pr_ai_description || "")
-            .replace(/\n/g, " ")
-            .slice(0, 400);
-          entry += `\nPR context: Part of PR #${g.pr_context.pr_number} "${(g.pr_context.pr_title || "").replace(/\n/g, " ")}" — ${prDesc}`;
-        }
-        return entry;
-      })
-      .join("\n---\n");
-
-    // Build Jira context with additional fields
-    const jiraEntries = wi.jiraMatches
-      .map(
-        (j) =>
-          `${j.ticket_id}: title="${(j.title || "").replace(/\n/g, " ")}", story_points=${j.story_points || j.story_points_count || 0}, back_to_dev=${j.back_to_development_count || 0}, summary="${(j.description_summary || "").replace(/\n/g, " ")}"`,
-      )
-      .join(" || ");
-
-    promptLines.push(`WORK_ITEM_KEY: ${wi.workItemKey}`);
-    promptLines.push(
-      `Date: ${wi.clockifyDate ? formatDateFns(wi.clockifyDate, "yyyy-MM-dd") : "?"}`,
-    );
-    promptLines.push(`Duration: ${hoursToHMM(wi.durationHours)}`);
-    promptLines.push(
-      `Original Clockify description: "${(wi.clockifyEntry?.Description || "").replace(/\n/g, " ")}"`,
-    );
-    if (wi.subIndex >= 0 && wi.splitGroupId) {
-      // For split rows, include draft from decomposition
-      promptLines.push(
-        `AI decomposed task: "${(wi.draftDescription || "").replace(/\n/g, " ")}"`,
+// Workers share the queue; a batch split in two goes back to its front
+async function enrichBatches() {
+  while (batchQueue.length > 0) {
+    const batch = batchQueue.shift();
+    const promptText = buildBatchPrompt(batch);
+
+    if (promptText.length > MAX_PROMPT_CHARS && batch.length > 1) {
+      const mid = Math.ceil(batch.length / 2);
+      process.stdout.write(
+        `\n  Batch prompt too large (~${Math.round(promptText.length / 4).toLocaleString()} est. tokens), splitting ${batch.length} → ${mid} + ${batch.length - mid} proactively...\n`,
       );
+      batchQueue.unshift(batch.slice(0, mid), batch.slice(mid));
+      continue;
     }
-    promptLines.push(`Matched GitHub: ${ghEntries || "None"}`);
-    promptLines.push(`Matched Jira: ${jiraEntries || "None"}`);
-    promptLines.push("---");
-  }
-
-  const promptText = promptLines.join("\n");
 
-  if (promptText.length > MAX_PROMPT_CHARS && batch.length > 1) {
-    const mid = Math.ceil(batch.length / 2);
     process.stdout.write(
-      `\n  Batch prompt too large (~${Math.round(promptText.length / 4).toLocaleString()} est. tokens), splitting ${batch.length} → ${mid} + ${batch.length - mid} proactively...\n`,
+      `\rEnriching entries... ${processed}/${total} [calling AI for batch of ${batch.length}...]`,
     );
-    batchQueue.unshift(batch.slice(0, mid), batch.slice(mid));
-    continue;
-  }
-
-  process.stdout.write(
-    `\rEnriching entries... ${processed}/${total} [calling AI for batch of ${batch.length}...]`,
-  );
-  try {
-    const resp = await executeProvider(
-      selectedProvider,
-      promptText,
-    );
-    const { response: respResponse, metadata: respMeta } = resp || {};
-    totalActualTokensAccum += extractTokensFromMetadata(respMeta);
-    const cleaned = stripMarkdownFences(respResponse);
-    const parsed = safeParseJSON(cleaned, null);
-    if (!Array.isArray(parsed)) throw new Error("AI response not an array");
-
-    for (const r of parsed) {
-      // Parse uses workItemKey
-      const workItemKey = r.workItemKey;
-      const target = batch.find((bi) => bi.workItemKey === workItemKey);
-      if (!target) continue;
-      // Resolve enriched description (fallbacks)
-      let enriched =
-        r.enriched_description ||
-        r.description ||
-        target.draftDescription ||
-        "";
-
-      // Word count validation and single-item retry if needed
-      const count =
-        enriched.trim() === ""
-          ? 0
-          : enriched.trim().split(/\s+/).filter(Boolean).length;
-      let finalEnriched = enriched;
-      let notePrefix = "";
-      let retryConfidence = null;
-      let retryNotes = null;
-
-      const outOfRange =
-        (minWords !== null && count < minWords) ||
-        (maxWords !== null && count > maxWords);
-
-      if (outOfRange) {
-        // Build single-item retry prompt
-        const retryPromptLines = [];
-        retryPromptLines.push(
-          "Enrich the following Clockify entries. For each entry, produce a concise, professional, past-tense, defensible description of work performed, suitable for time-tracking records. Avoid referencing AI. Be specific and reference PRs, files, or Jira tickets when applicable.",
-        );
-        retryPromptLines.push(
-          "Return ONLY valid JSON: an array of objects with { workItemKey: <string>, enriched_description: string, confidence: 'high'|'medium'|'low', notes: string }.",
-        );
-        retryPromptLines.push(
-          `The previous response had ${count} words. Rewrite enriched_description to be ${
-            minWords !== null && maxWords !== null
-              ? `between ${minWords} and ${maxWords} words.`
-              : minWords !== null
-                ? `at least ${minWords} words.`
-                : `at most ${maxWords} words.`
-          }`,
-        );
-
-        // Rebuild context for the single work item
-        const wi = target;
-        const ghEntries = wi.githubMatches
-          .map((g) => {
-            const sha8 = (g.sha || "").slice(0, 8);
-            const date10 = (g.committed_at || "").slice(0, 10);
-            const modules = Array.isArray(g.modules_touched)
-              ? g.modules_touched.join(", ")
-              : "";
-            const filesCount = Array.isArray(g.files_changed)
-              ? g.files_changed.length
-              : g.files_changed || 0;
-            const msg = (g.message || "").replace(/\n/g, " ").slice(0, 200);
-            let entry = `Commit ${sha8}: ${msg}\nDate: ${date10} | Files: ${filesCount} | Modules: ${modules} | Lines: +${g.lines_added || 0}/-${g.lines_removed || 0}`;
-            if (g.pr_context) {
-              const prDesc = (g.pr_context.pr_ai_description || "")
-                .replace(/\n/g, " ")
-                .slice(0, 400);
-              entry += `\nPR context: Part of PR #${g.pr_context.pr_number} "${(g.pr_context.pr_title || "").replace(/\n/g, " ")}" — ${prDesc}`;
-            }
-            return entry;
-          })
-          .join("\n---\n");
-
-        const jiraEntries = wi.jiraMatches
-          .map(
-            (j) =>
-              `${j.ticket_id}: title="${(j.title || "").replace(/\n/g, " ")}", story_points=${j.story_points || j.story_points_count || 0}, back_to_dev=${j.back_to_development_count || 0}, summary="${(j.description_summary || "").replace(/\n/g, " ")}"`,
-          )
-          .join(" || ");
-
-        retryPromptLines.push(`WORK_ITEM_KEY: ${wi.workItemKey}`);
-        retryPromptLines.push(
-          `Date: ${wi.clockifyDate ? formatDateFns(wi.clockifyDate, "yyyy-MM-dd") : "?"}`,
-        );
-        retryPromptLines.push(`Duration: ${hoursToHMM(wi.durationHours)}`);
-        retryPromptLines.push(
-          `Original Clockify description: "${(wi.clockifyEntry?.Description || "").replace(/\n/g, " ")}"`,
-        );
-        if (wi.subIndex >= 0 && wi.splitGroupId) {
+    try {
+      const resp = await executeProvider(selectedProvider, promptText);
+      const { response: respResponse, metadata: respMeta } = resp || {};
+      totalActualTokensAccum += extractTokensFromMetadata(respMeta);
+      const cleaned = stripMarkdownFences(respResponse);
+      const parsed = safeParseJSON(cleaned, null);
+      if (!Array.isArray(parsed)) throw new Error("AI response not an array");
+
+      for (const r of parsed) {
+        // Parse uses workItemKey
+        const workItemKey = r.workItemKey;
+        const target = batch.find((bi) => bi.workItemKey === workItemKey);
+        if (!target) continue;
+        // Resolve enriched description (fallbacks)
+        let enriched =
+          r.enriched_description ||
+          r.description ||
+          target.draftDescription ||
+          "";
+
+        // Word count validation and single-item retry if needed
+        const count =
+          enriched.trim() === ""
+            ? 0
+            : enriched.trim().split(/\s+/).filter(Boolean).length;
+        let finalEnriched = enriched;
+        let notePrefix = "";
+        let retryConfidence = null;
+        let retryNotes = null;
+
+        const outOfRange =
+          (minWords !== null && count < minWords) ||
+          (maxWords !== null && count > maxWords);
+
+        if (outOfRange) {
+          // Build single-item retry prompt
+          const wi = target;
+          const retryPromptLines = [
+            ENRICH_INSTRUCTIONS,
+            ENRICH_RESPONSE_FORMAT,
+          ];
           retryPromptLines.push(
-            `AI decomposed task: "${(wi.draftDescription || "").replace(/\n/g, " ")}"`,
+            `The previous response had ${count} words. Rewrite enriched_description to be ${
+              minWords !== null && maxWords !== null
+                ? `between ${minWords} and ${maxWords} words.`
+                : minWords !== null
+                  ? `at least ${minWords} words.`
+                  : `at most ${maxWords} words.`
+            }`,
           );
-        }
-        retryPromptLines.push(`Matched GitHub: ${ghEntries || "None"}`);
-        retryPromptLines.push(`Matched Jira: ${jiraEntries || "None"}`);
+          retryPromptLines.push(...workItemContextLines(wi));
 
-        // Call provider for retry
-        try {
-          const retryResp = await executeProvider(
-            selectedProvider,
-            retryPromptLines.join("\n"),
-          );
-          const { response: retryResponse, metadata: retryMeta } =
-            retryResp || {};
-          totalActualTokensAccum += extractTokensFromMetadata(retryMeta);
-          const cleanedRetry = stripMarkdownFences(retryResponse);
-          const parsedRetry = safeParseJSON(cleanedRetry, null);
-          if (Array.isArray(parsedRetry)) {
-            const rr = parsedRetry.find(
-              (x) => x.workItemKey === wi.workItemKey,
+          // Call provider for retry
+          try {
+            const retryResp = await executeProvider(
+              selectedProvider,
+              retryPromptLines.join("\n"),
             );
-            if (rr && rr.enriched_description) {
-              const newDesc = rr.enriched_description;
-              retryConfidence = rr.confidence || null;
-              retryNotes = rr.notes || null;
-              const newCount =
-                newDesc.trim() === ""
-                  ? 0
-                  : newDesc.trim().split(/\s+/).filter(Boolean).length;
-              const inRange =
-                (minWords === null || newCount >= minWords) &&
-                (maxWords === null || newCount <= maxWords);
-              if (inRange) {
-                finalEnriched = newDesc;
+            const { response: retryResponse, metadata: retryMeta } =
+              retryResp || {};
+            totalActualTokensAccum += extractTokensFromMetadata(retryMeta);
+            const cleanedRetry = stripMarkdownFences(retryResponse);
+            const parsedRetry = safeParseJSON(cleanedRetry, null);
+            if (Array.isArray(parsedRetry)) {
+              const rr = parsedRetry.find(
+                (x) => x.workItemKey === wi.workItemKey,
+              );
+              if (rr && rr.enriched_description) {
+                const newDesc = rr.enriched_description;
+                retryConfidence = rr.confidence || null;
+                retryNotes = rr.notes || null;
+                const newCount =
+                  newDesc.trim() === ""
+                    ? 0
+                    : newDesc.trim().split(/\s+/).filter(Boolean).length;
+                const inRange =
+                  (minWords === null || newCount >= minWords) &&
+                  (maxWords === null || newCount <= maxWords);
+                if (inRange) {
+                  finalEnriched = newDesc;
+                } else {
+                  finalEnriched = newDesc;
+                  notePrefix = `word count out of range (${newCount} words, target: ${
+                    minWords !== null && maxWords !== null
+                      ? `${minWords}–${maxWords}`
+                      : minWords !== null
+                        ? `>=${minWords}`
+                        : `<=${maxWords}`
+                  }); used retry attempt as-is`;
+                }
               } else {
-                finalEnriched = newDesc;
-                notePrefix = `word count out of range (${newCount} words, target: ${
+                notePrefix = `word count out of range (${count} words, target: ${
                   minWords !== null && maxWords !== null
                     ? `${minWords}–${maxWords}`
                     : minWords !== null
                       ? `>=${minWords}`
                       : `<=${maxWords}`
-                }); used retry attempt as-is`;
+                }); retry failed to provide valid JSON; used as-is`;
               }
             } else {
               notePrefix = `word count out of range (${count} words, target: ${
@@ -1300,57 +1635,60 @@ while (batchQueue.length > 0) {
                   : minWords !== null
                     ? `>=${minWords}`
                     : `<=${maxWords}`
-              }); retry failed to provide valid JSON; used as-is`;
+              }); retry parse failed; used as-is`;
             }
-          } else {
+          } catch (err) {
+            // Leave the item unprocessed so a re-run with more budget
+            // enriches it, rather than saving the draft as final
+            if (err.budgetExceeded) throw err;
             notePrefix = `word count out of range (${count} words, target: ${
               minWords !== null && maxWords !== null
                 ? `${minWords}–${maxWords}`
                 : minWords !== null
                   ? `>=${minWords}`
                   : `<=${maxWords}`
-            }); retry parse failed; used as-is`;
+            }); retry error; used as-is`;
           }
-        } catch (err) {
-          notePrefix = `word count out of range (${count} words, target: ${
-            minWords !== null && maxWords !== null
-              ? `${minWords}–${maxWords}`
-              : minWords !== null
-                ? `>=${minWords}`
-                : `<=${maxWords}`
-          }); retry error; used as-is`;
         }
-      }
 
-      const record = {
-        workItemKey: target.workItemKey,
-        rowIndex: target.rowIndex,
-        subIndex: target.subIndex,
-        enriched_description: finalEnriched,
-        ai_confidence: retryConfidence || r.confidence || "low",
-        ai_notes: notePrefix
-          ? `${notePrefix}${retryNotes || r.notes ? " " + (retryNotes || r.notes) : ""}`
-          : retryNotes || r.notes || "",
-      };
-      await appendToCache(ENRICHMENT_PROGRESS_PATH, record);
-      processed++;
-      process.stdout.write(`\rEnriching entries... ${processed}/${total}`);
-    }
-  } catch (err) {
-    if (err.message.startsWith("Prompt too long") && batch.length > 1) {
-      const mid = Math.ceil(batch.length / 2);
-      process.stdout.write(
-        `\n  Batch too large (${batch.length} items), splitting into ${mid} + ${batch.length - mid}...\n`,
-      );
-      batchQueue.unshift(batch.slice(0, mid), batch.slice(mid));
-    } else {
-      console.error(`\nAI provider failed: ${err.message}`);
-      console.error("Progress saved. Re-run to resume.");
-      process.exit(1);
+        const record = {
+          workItemKey: target.workItemKey,
+          rowIndex: target.rowIndex,
+          subIndex: target.subIndex,
+          enriched_description: finalEnriched,
+          ai_confidence: retryConfidence || r.confidence || "low",
+          ai_notes: notePrefix
+            ? `${notePrefix}${retryNotes || r.notes ? " " + (retryNotes || r.notes) : ""}`
+            : retryNotes || r.notes || "",
+        };
+        await appendToCache(ENRICHMENT_PROGRESS_PATH, record);
+        processed++;
+        process.stdout.write(`\rEnriching entries... ${processed}/${total}`);
+      }
+    } catch (err) {
+      if (err.message.startsWith("Prompt too long") && batch.length > 1) {
+        const mid = Math.ceil(batch.length / 2);
+        process.stdout.write(
+          `\n  Batch too large (${batch.length} items), splitting into ${mid} + ${batch.length - mid}...\n`,
+        );
+        batchQueue.unshift(batch.slice(0, mid), batch.slice(mid));
+      } else if (err.budgetExceeded) {
+        // Batches already sent finish and are saved before the run stops
+        return;
+      } else {
+        console.error(`\nAI provider failed: ${err.message}`);
+        console.error("Progress saved. Re-run to resume.");
+        process.exit(1);
+      }
     }
   }
 }
 
+await Promise.all(
+  Array.from({ length: getProviderConcurrency() }, () => enrichBatches()),
+);
+exitIfBudgetReached();
+
 // ============================================================================
 // Section 18 — Deterministic Timestamp Splitting + Output Assembly
 // ============================================================================
@@ -1437,6 +1775,7 @@ for (const m of matchResults) {
         "End Date": formatClockifyDate(seg.end),
         "End Time": formatClockifyTime(seg.end),
         "Duration (h)": hoursToHMM(t.hours),
+        ...entryMetadata(m.clockifyEntry),
       };
       mirroredRows.push(mirrored);
 
@@ -1447,9 +1786,11 @@ for (const m of matchResults) {
         "End Date": formatClockifyDate(seg.end),
         "End Time": formatClockifyTime(seg.end),
         "Duration (h)": hoursToHMM(t.hours),
+        ...entryMetadata(m.clockifyEntry),
         AI_Confidence: aiConfidence,
         AI_Notes: aiNotes,
         Split_Group_ID: splitGroupId,
+        Clockify_Entry_ID: m.clockifyEntry["Entry ID"] || null,
       };
       standardizedRows.push(standardized);
 
@@ -1497,6 +1838,7 @@ for (const m of matchResults) {
       "End Date": formatClockifyDate(end),
       "End Time": formatClockifyTime(end),
       "Duration (h)": m.clockifyEntry["Duration (h)"],
+      ...entryMetadata(m.clockifyEntry),
     };
     mirroredRows.push(mirrored);
 
@@ -1507,9 +1849,11 @@ for (const m of matchResults) {
       "End Date": formatClockifyDate(end),
       "End Time": formatClockifyTime(end),
       "Duration (h)": m.clockifyEntry["Duration (h)"],
+      ...entryMetadata(m.clockifyEntry),
       AI_Confidence: aiConfidence,
       AI_Notes: aiNotes,
       Split_Group_ID: null,
+      Clockify_Entry_ID: m.clockifyEntry["Entry ID"] || null,
     };
     standardizedRows.push(standardized);
 
@@ -1555,7 +1899,7 @@ function buildAINotesForSplitRow(matchResult, subIndex, totalSubs, enrichment) {
   if (matchResult.githubMatches && matchResult.githubMatches.length > 0) {
     const commitRefs = matchResult.githubMatches
       .map((g) => {
-        let label = `Commit ${g.sha?.slice(0, 8)}`;
+        let label = `Commit ${commitRef(g)}`;
         if (g.pr_context) label += ` PR#${g.pr_context.pr_number}`;
         return label;
       })
@@ -1563,10 +1907,42 @@ function buildAINotesForSplitRow(matchResult, subIndex, totalSubs, enrichment) {
     if (commitRefs) context.push(`github: ${commitRefs}`);
   }
 
+  // Add code reviews if matched
+  if (matchResult.reviewMatches && matchResult.reviewMatches.length > 0) {
+    const reviewRefs = Array.from(
+      new Set(matchResult.reviewMatches.map(reviewRef)),
+    ).join(", ");
+    context.push(`reviewed: ${reviewRefs}`);
+  }
+
+  // Add Jira worklogs if matched
+  if (matchResult.worklogMatches && matchResult.worklogMatches.length > 0) {
+    context.push(
+      `worklogs: ${matchResult.worklogMatches.map(worklogRef).join(", ")}`,
+    );
+  }
+
+  // Add calendar meetings if matched
+  if (matchResult.meetingMatches && matchResult.meetingMatches.length > 0) {
+    const meetingRefs = Array.from(
+      new Set(matchResult.meetingMatches.map(meetingRef)),
+    ).join(", ");
+    context.push(`meeting: ${meetingRefs}`);
+  }
+
   // Add Jira tickets if matched
   if (matchResult.jiraMatches && matchResult.jiraMatches.length > 0) {
     const jiraRefs = matchResult.jiraMatches.map((j) => j.ticket_id).join(", ");
     context.push(`jira: ${jiraRefs}`);
+    const epics = epicRefs(matchResult.jiraMatches);
+    if (epics.length > 0) context.push(`epic: ${epics.join(", ")}`);
+  }
+
+  // Flag time logged outside a ticket's active window
+  if (matchResult.windowWarnings && matchResult.windowWarnings.length > 0) {
+    context.push(
+      `outside active window: ${matchResult.windowWarnings.join(", ")}`,
+    );
   }
 
   // Combine all parts
@@ -1598,7 +1974,7 @@ function buildAINotesForNonSplitRow(matchResult, enrichment) {
   if (matchResult.githubMatches && matchResult.githubMatches.length > 0) {
     const commitRefs = matchResult.githubMatches
       .map((g) => {
-        let label = `Commit ${g.sha?.slice(0, 8)}`;
+        let label = `Commit ${commitRef(g)}`;
         if (g.pr_context) label += ` PR#${g.pr_context.pr_number}`;
         return label;
       })
@@ -1606,10 +1982,42 @@ function buildAINotesForNonSplitRow(matchResult, enrichment) {
     if (commitRefs) context.push(`github: ${commitRefs}`);
   }
 
+  // Add code reviews if matched
+  if (matchResult.reviewMatches && matchResult.reviewMatches.length > 0) {
+    const reviewRefs = Array.from(
+      new Set(matchResult.reviewMatches.map(reviewRef)),
+    ).join(", ");
+    context.push(`reviewed: ${reviewRefs}`);
+  }
+
+  // Add Jira worklogs if matched
+  if (matchResult.worklogMatches && matchResult.worklogMatches.length > 0) {
+    context.push(
+      `worklogs: ${matchResult.worklogMatches.map(worklogRef).join(", ")}`,
+    );
+  }
+
+  // Add calendar meetings if matched
+  if (matchResult.meetingMatches && matchResult.meetingMatches.length > 0) {
+    const meetingRefs = Array.from(
+      new Set(matchResult.meetingMatches.map(meetingRef)),
+    ).join(", ");
+    context.push(`meeting: ${meetingRefs}`);
+  }
+
   // Add Jira tickets if matched
   if (matchResult.jiraMatches && matchResult.jiraMatches.length > 0) {
     const jiraRefs = matchResult.jiraMatches.map((j) => j.ticket_id).join(", ");
     context.push(`jira: ${jiraRefs}`);
+    const epics = epicRefs(matchResult.jiraMatches);
+    if (epics.length > 0) context.push(`epic: ${epics.join(", ")}`);
+  }
+
+  // Flag time logged outside a ticket's active window
+  if (matchResult.windowWarnings && matchResult.windowWarnings.length > 0) {
+    context.push(
+      `outside active window: ${matchResult.windowWarnings.join(", ")}`,
+    );
   }
 
   // Combine all parts
@@ -10,6 +10,21 @@ import { fileURLToPath } from "url";
 import { parseArgs } from "util";
 import { parse } from "csv-parse/sync";
 import { stringify } from "csv-stringify/sync";
+import {
+  CLOCKIFY_TAG_SEPARATOR,
+  fetchCurrentUser,
+  fetchTimeEntries,
+} from "../shared/clockify-api.js";
+import {
+  formatClockifyDate,
+  formatClockifyTime,
+  formatClockifyDuration,
+  detectClockifyFormats,
+  normalizeClockifyRow,
+  CLOCKIFY_DATE_FORMATS,
+  CLOCKIFY_TIME_FORMATS,
+  CLOCKIFY_DURATION_FORMATS,
+} from "../shared/date-utils.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.resolve(__dirname, "../..");
@@ -23,18 +38,17 @@ const REQUIRED_COLUMNS = [
   "Duration (h)",
 ];
 
-const COLUMNS_TO_REMOVE = [
-  "Project",
-  "Client",
-  "Task",
-  "Kiosk",
-  "User",
-  "Group",
-  "Email",
-  "Tags",
-  "Billable",
-  "Date of creation",
-  "Duration (decimal)",
+// Billing metadata carried through to the output CSVs and the uploader;
+// optional in the export, written empty when missing
+const METADATA_COLUMNS = ["Project", "Client", "Task", "Tags", "Billable"];
+
+// Clockify entry ID; only populated when entries are pulled from the API
+const ENTRY_ID_COLUMN = "Entry ID";
+// Columns of the cleaned CSV; any other export column (User, Email, ...) is dropped
+const OUTPUT_COLUMNS = [
+  ...REQUIRED_COLUMNS,
+  ...METADATA_COLUMNS,
+  ENTRY_ID_COLUMN,
 ];
 
 const OUTPUT_PATH = path.resolve(projectRoot, "cache", "clockify-cleaned.csv");
@@ -48,6 +62,15 @@ const options = {
     type: "string",
     short: "i",
   },
+  source: {
+    type: "string",
+  },
+  from: {
+    type: "string",
+  },
+  to: {
+    type: "string",
+  },
   "force-refresh": {
     type: "boolean",
     short: "f",
@@ -73,13 +96,16 @@ try {
 
 if (parsedArgs.values.help) {
   console.log(`
-clockify-preprocessor — Validate and filter Clockify CSV exports
+clockify-preprocessor — Validate and filter Clockify time entries
 
 Usage:
   node clockify-preprocessor.js [options]
 
 Options:
-  --input, -i <path>      Path to input CSV file
+  --source <csv|api>      Read a CSV export or pull entries from the Clockify API
+  --input, -i <path>      Path to input CSV file (csv source)
+  --from <YYYY-MM-DD>     First day to pull (api source)
+  --to <YYYY-MM-DD>       Last day to pull (api source)
   --force-refresh, -f     Clear cache before processing
   --help, -h              Show this help message
 `);
@@ -90,14 +116,13 @@ Options:
 // 2c. Config loading
 // ============================================================================
 
-let configInputPath;
+let config = {};
 const configPath = path.resolve(projectRoot, "config.json");
 
 try {
   if (fs.existsSync(configPath)) {
     const configContent = fs.readFileSync(configPath, "utf-8");
-    const config = JSON.parse(configContent);
-    configInputPath = config?.clockify?.input_csv;
+    config = JSON.parse(configContent);
   }
 } catch (error) {
   console.error(
@@ -107,21 +132,16 @@ try {
 }
 
 // ============================================================================
-// 2d. Resolve input path
+// 2d. Resolve input source
 // ============================================================================
 
-const cliInputPath = parsedArgs.values.input;
-const inputPath = cliInputPath || configInputPath;
+const source = parsedArgs.values.source || config?.clockify?.source || "csv";
 
-if (!inputPath) {
-  console.error(
-    "Input CSV path not specified. Use --input <path> or set clockify.input_csv in config.json.",
-  );
+if (source !== "csv" && source !== "api") {
+  console.error(`Invalid source "${source}". Use "csv" or "api".`);
   process.exit(1);
 }
 
-const resolvedInputPath = path.resolve(projectRoot, inputPath);
-
 // ============================================================================
 // 2e. Handle --force-refresh
 // ============================================================================
@@ -139,64 +159,220 @@ const cacheDir = path.dirname(OUTPUT_PATH);
 fs.mkdirSync(cacheDir, { recursive: true });
 
 // ============================================================================
-// 2g. Read and parse the input CSV
+// 2g. Helper functions
 // ============================================================================
 
-if (!fs.existsSync(resolvedInputPath)) {
-  console.error(
-    `Input CSV not found: ${resolvedInputPath}. Check config or --input flag.`,
-  );
-  process.exit(1);
-}
-
-let csvContent;
-try {
-  csvContent = fs.readFileSync(resolvedInputPath, "utf-8");
-} catch (error) {
-  console.error(`Failed to read input CSV: ${error.message}`);
-  process.exit(1);
-}
-
-let records;
-try {
-  records = parse(csvContent, {
-    columns: true,
-    skip_empty_lines: true,
-    trim: true,
-  });
-} catch (error) {
-  console.error(`Failed to parse CSV: ${error.message}`);
-  process.exit(1);
+function timeEntryToRow(entry) {
+  const start = new Date(entry.timeInterval.start);
+  const end = new Date(entry.timeInterval.end);
+  return {
+    Description: entry.description || "",
+    "Start Date": formatClockifyDate(start),
+    "Start Time": formatClockifyTime(start),
+    "End Date": formatClockifyDate(end),
+    "End Time": formatClockifyTime(end),
+    "Duration (h)": formatClockifyDuration((end - start) / 3_600_000),
+    Project: entry.project?.name || "",
+    Client: entry.project?.clientName || "",
+    Task: entry.task?.name || "",
+    Tags: (entry.tags || []).map((t) => t.name).join(CLOCKIFY_TAG_SEPARATOR),
+    Billable: entry.billable ? "Yes" : "No",
+    [ENTRY_ID_COLUMN]: entry.id,
+  };
 }
 
 // ============================================================================
-// 2h. Validate required columns
+// 2h. Read entries from a CSV export
 // ============================================================================
 
-if (records.length === 0) {
-  console.error("CSV is empty or contains no data rows.");
-  process.exit(1);
-}
+function readCsvRecords() {
+  const cliInputPath = parsedArgs.values.input;
+  const inputPath = cliInputPath || config?.clockify?.input_csv;
 
-const columnNames = Object.keys(records[0]);
-const missingColumns = REQUIRED_COLUMNS.filter(
-  (col) => !columnNames.includes(col),
-);
+  if (!inputPath) {
+    console.error(
+      "Input CSV path not specified. Use --input <path> or set clockify.input_csv in config.json.",
+    );
+    process.exit(1);
+  }
 
-if (missingColumns.length > 0) {
-  console.error(
-    `CSV missing required columns: ${missingColumns.join(", ")}. Export detailed report from Clockify.`,
+  const resolvedInputPath = path.resolve(projectRoot, inputPath);
+
+  if (!fs.existsSync(resolvedInputPath)) {
+    console.error(
+      `Input CSV not found: ${resolvedInputPath}. Check config or --input flag.`,
+    );
+    process.exit(1);
+  }
+
+  let csvContent;
+  try {
+    csvContent = fs.readFileSync(resolvedInputPath, "utf-8");
+  } catch (error) {
+    console.error(`Failed to read input CSV: ${error.message}`);
+    process.exit(1);
+  }
+
+  let records;
+  try {
+    records = parse(csvContent, {
+      columns: true,
+      skip_empty_lines: true,
+      trim: true,
+    });
+  } catch (error) {
+    console.error(`Failed to parse CSV: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (records.length === 0) {
+    console.error("CSV is empty or contains no data rows.");
+    process.exit(1);
+  }
+
+  const columnNames = Object.keys(records[0]);
+  const missingColumns = REQUIRED_COLUMNS.filter(
+    (col) => !columnNames.includes(col),
   );
-  process.exit(1);
+
+  if (missingColumns.length > 0) {
+    console.error(
+      `CSV missing required columns: ${missingColumns.join(", ")}. Export detailed report from Clockify.`,
+    );
+    process.exit(1);
+  }
+
+  // Detect the export's locale formats (config overrides win) and rewrite every
+  // row into the canonical MM/dd/yyyy, hh:mm a and HH:mm:ss layout
+  const formatOverrides = {
+    dateFormat: config?.clockify?.date_format,
+    timeFormat: config?.clockify?.time_format,
+    durationFormat: config?.clockify?.duration_format,
+  };
+  const knownFormats = {
+    dateFormat: ["date_format", CLOCKIFY_DATE_FORMATS],
+    timeFormat: ["time_format", CLOCKIFY_TIME_FORMATS],
+    durationFormat: ["duration_format", CLOCKIFY_DURATION_FORMATS],
+  };
+  for (const [key, [field, allowed]] of Object.entries(knownFormats)) {
+    if (formatOverrides[key] === undefined) continue;
+    if (!allowed.includes(formatOverrides[key])) {
+      console.error(
+        `Invalid clockify.${field} "${formatOverrides[key]}". Use one of: ${allowed.join(", ")}`,
+      );
+      process.exit(1);
+    }
+  }
+
+  const formats = detectClockifyFormats(records, formatOverrides);
+  console.log(
+    `Input formats: date "${formats.dateFormat}", time "${formats.timeFormat}", duration "${formats.durationFormat}"`,
+  );
+
+  const normalized = [];
+  const unparseable = [];
+  records.forEach((record, index) => {
+    try {
+      const row = normalizeClockifyRow(record, formats);
+      normalized.push({
+        ...Object.fromEntries(REQUIRED_COLUMNS.map((col) => [col, row[col]])),
+        ...Object.fromEntries(
+          METADATA_COLUMNS.map((col) => [col, row[col] ?? ""]),
+        ),
+        [ENTRY_ID_COLUMN]: "",
+      });
+    } catch (error) {
+      // +2: 1-based line numbers plus the header row
+      unparseable.push(`  line ${index + 2}: ${error.message}`);
+    }
+  });
+
+  if (unparseable.length > 0) {
+    console.error(
+      `${unparseable.length} of ${records.length} rows could not be parsed:`,
+    );
+    for (const line of unparseable) console.error(line);
+    console.error(
+      "Fix these rows, or set clockify.date_format / time_format / duration_format in config.json to match your Clockify export.",
+    );
+    process.exit(1);
+  }
+
+  return normalized;
 }
 
 // ============================================================================
-// 2i. Filter columns
+// 2i. Read entries from the Clockify API
 // ============================================================================
 
-const filteredRecords = records.map((record) =>
-  Object.fromEntries(REQUIRED_COLUMNS.map((col) => [col, record[col]])),
-);
+async function fetchApiRecords() {
+  const apiKey = config?.clockify?.api_key;
+  const workspaceId = config?.clockify?.workspace_id;
+
+  if (!apiKey) {
+    console.error(
+      "Missing config.clockify.api_key. Get it from Clockify → Profile Settings → API.",
+    );
+    process.exit(1);
+  }
+  if (!workspaceId) {
+    console.error(
+      "Missing config.clockify.workspace_id. Visible in the URL when logged into Clockify.",
+    );
+    process.exit(1);
+  }
+
+  const dateFrom =
+    parsedArgs.values.from ||
+    config?.clockify?.date_from ||
+    config?.github?.date_from;
+  const dateTo =
+    parsedArgs.values.to ||
+    config?.clockify?.date_to ||
+    config?.github?.date_to;
+
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if (!datePattern.test(dateFrom || "") || !datePattern.test(dateTo || "")) {
+    console.error(
+      "Date range not specified. Use --from/--to (YYYY-MM-DD) or set clockify.date_from/date_to in config.json.",
+    );
+    process.exit(1);
+  }
+
+  let entries;
+  try {
+    const user = await fetchCurrentUser(apiKey);
+    console.log(`Authenticated as ${user.name} (userId: ${user.id})`);
+
+    // Range boundaries are local days, matching how the rows are written
+    const start = new Date(`${dateFrom}T00:00:00`).toISOString();
+    const end = new Date(`${dateTo}T23:59:59`).toISOString();
+
+    entries = await fetchTimeEntries(
+      apiKey,
+      workspaceId,
+      user.id,
+      { start, end },
+      (count) => process.stdout.write(`\rFetching time entries... ${count}`),
+    );
+    console.log("");
+  } catch (error) {
+    console.error(`\nFailed to fetch time entries: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (entries.length === 0) {
+    console.error(
+      `No finished time entries found between ${dateFrom} and ${dateTo}.`,
+    );
+    process.exit(1);
+  }
+
+  return entries.map(timeEntryToRow);
+}
+
+const filteredRecords =
+  source === "api" ? await fetchApiRecords() : readCsvRecords();
 
 // ============================================================================
 // 2j. Write cleaned CSV to cache
@@ -206,7 +382,7 @@ let csvOutput;
 try {
   csvOutput = stringify(filteredRecords, {
     header: true,
-    columns: REQUIRED_COLUMNS,
+    columns: OUTPUT_COLUMNS,
   });
 } catch (error) {
   console.error(`Failed to stringify CSV: ${error.message}`);
@@ -225,5 +401,5 @@ try {
 // ============================================================================
 
 console.log(
-  `Processed ${filteredRecords.length} entries. Output: cache/clockify-cleaned.csv`,
+  `Processed ${filteredRecords.length} entries from ${source === "api" ? "Clockify API" : "CSV"}. Output: cache/clockify-cleaned.csv`,
 );
@@ -11,8 +11,17 @@ import { fileURLToPath } from "url";
 import { parseArgs } from "util";
 import { parse as csvParse } from "csv-parse/sync";
 
-import { parseClockifyDate } from "../shared/date-utils.js";
+import {
+  parseClockifyDate,
+  detectClockifyFormats,
+  normalizeClockifyRow,
+} from "../shared/date-utils.js";
 import { loadConfig } from "../shared/config.js";
+import {
+  CLOCKIFY_BASE_URL,
+  CLOCKIFY_TAG_SEPARATOR,
+  fetchClockify,
+} from "../shared/clockify-api.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.resolve(__dirname, "../..");
@@ -20,17 +29,10 @@ const projectRoot = path.resolve(__dirname, "../..");
 const UPLOAD_ERRORS_PATH = path.resolve(projectRoot, "output/upload-errors.txt");
 const UPLOAD_SKIPPED_PATH = path.resolve(projectRoot, "output/upload-skipped-days.txt");
 
-const CLOCKIFY_BASE_URL = "https://api.clockify.me/api/v1";
-const RATE_LIMIT_DELAY_MS = 125; // 8 req/sec → 1000/8 = 125 ms
-
 // ============================================================================
 // Section 2 — Helper Functions
 // ============================================================================
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
 function hoursToHMM(hours) {
   const h = Math.floor(hours);
   const m = Math.round((hours % 1) * 60);
@@ -77,6 +79,21 @@ function isUnchangedDay(beforeRows, afterRows) {
   return beforeKeys.every((k, i) => k === afterKeys[i]);
 }
 
+function parseBillable(value) {
+  return ["yes", "true", "1"].includes((value ?? "").trim().toLowerCase());
+}
+
+function parseTags(value) {
+  return (value ?? "")
+    .split(CLOCKIFY_TAG_SEPARATOR)
+    .map((t) => t.trim())
+    .filter(Boolean);
+}
+
+function nameKey(name) {
+  return (name ?? "").trim().toLowerCase();
+}
+
 function groupByDate(rows) {
   const map = new Map();
   for (const row of rows) {
@@ -87,38 +104,6 @@ function groupByDate(rows) {
   return map;
 }
 
-async function apiCall(url, options, dryRun) {
-  await sleep(RATE_LIMIT_DELAY_MS);
-  if (dryRun) {
-    const method = (options.method || "GET").toUpperCase();
-    console.log(`  [DRY-RUN] ${method} ${url}`);
-    if (method === "GET" && url.endsWith("/user")) {
-      return { id: "DRY_RUN_USER_ID", name: "Dry Run" };
-    }
-    if (method === "GET") return [];
-    if (method === "DELETE") return {};
-    if (method === "POST") return { id: `DRY_RUN_ENTRY_${Date.now()}` };
-    return {};
-  }
-
-  const config = options._config;
-  delete options._config;
-
-  const headers = {
-    "X-Api-Key": config.apiKey,
-    "Content-Type": "application/json",
-    ...(options.headers || {}),
-  };
-
-  const res = await fetch(url, { ...options, headers });
-  if (!res.ok) {
-    const body = await res.text().catch(() => "");
-    throw new Error(`HTTP ${res.status} ${res.statusText}: ${body}`);
-  }
-  if (res.status === 204) return {};
-  return res.json();
-}
-
 // ============================================================================
 // Section 3 — CLI Argument Parsing
 // ============================================================================
@@ -174,7 +159,8 @@ try {
 
 const apiKey = config.clockify?.api_key;
 const workspaceId = config.clockify?.workspace_id;
-const projectId = config.clockify?.project_id;
+// Fallback project for rows without a Project name (optional)
+const defaultProjectId = config.clockify?.project_id ?? null;
 
 if (!apiKey) {
   console.error(
@@ -188,22 +174,29 @@ if (!workspaceId) {
   );
   process.exit(1);
 }
-if (!projectId) {
-  console.error(
-    "Missing config.clockify.project_id. Set the target project ID in config.json.",
-  );
-  process.exit(1);
-}
 
-const ORIGINAL_CSV_PATH = path.resolve(projectRoot, config.clockify.input_csv);
+// Entries pulled from the API have no export on disk; the cleaned cache is the original
+const ORIGINAL_CSV_PATH =
+  config.clockify.source === "api"
+    ? path.resolve(projectRoot, "cache/clockify-cleaned.csv")
+    : path.resolve(projectRoot, config.clockify.input_csv);
 const ENRICHED_CSV_PATH = path.resolve(
   projectRoot,
   config.clockify.output_standardized,
 );
 
-// Shared API call context (avoids threading apiKey through every call)
-function makeApiCall(url, options = {}) {
-  return apiCall(url, { ...options, _config: { apiKey } }, dryRun);
+// Requests go through the shared Clockify client; --dry-run only logs them
+async function clockifyRequest(apiPath, { method = "GET", body } = {}) {
+  if (dryRun) {
+    console.log(`  [DRY-RUN] ${method} ${CLOCKIFY_BASE_URL}${apiPath}`);
+    if (method === "GET" && apiPath === "/user") {
+      return { id: "DRY_RUN_USER_ID", name: "Dry Run" };
+    }
+    if (method === "GET") return [];
+    if (method === "POST") return { id: `DRY_RUN_ENTRY_${Date.now()}` };
+    return {};
+  }
+  return fetchClockify(apiPath, apiKey, { method, body });
 }
 
 // ============================================================================
@@ -212,7 +205,9 @@ function makeApiCall(url, options = {}) {
 
 if (!fs.existsSync(ORIGINAL_CSV_PATH)) {
   console.error(
-    `Original CSV not found at ${ORIGINAL_CSV_PATH}. Check config.clockify.input_csv.`,
+    config.clockify.source === "api"
+      ? `Original entries not found at ${ORIGINAL_CSV_PATH}. Run clockify-preprocessor.js first.`
+      : `Original CSV not found at ${ORIGINAL_CSV_PATH}. Check config.clockify.input_csv.`,
   );
   process.exit(1);
 }
@@ -229,7 +224,7 @@ if (!fs.existsSync(ENRICHED_CSV_PATH)) {
 
 let userId;
 {
-  const data = await makeApiCall(`${CLOCKIFY_BASE_URL}/user`, { method: "GET" });
+  const data = await clockifyRequest("/user");
   userId = data.id;
   console.log(`✓ Authenticated as ${data.name} (userId: ${userId})`);
 }
@@ -238,10 +233,28 @@ let userId;
 // Section 7 — Step 1: Hours Validation
 // ============================================================================
 
-const beforeRows = csvParse(fs.readFileSync(ORIGINAL_CSV_PATH, "utf-8"), {
+const rawBeforeRows = csvParse(fs.readFileSync(ORIGINAL_CSV_PATH, "utf-8"), {
   columns: true,
   skip_empty_lines: true,
 });
+
+// The original export may use a locale-specific layout; bring it to the
+// canonical format the enriched CSV is written in before comparing
+let beforeRows;
+try {
+  const formats = detectClockifyFormats(rawBeforeRows, {
+    dateFormat: config.clockify.date_format,
+    timeFormat: config.clockify.time_format,
+    durationFormat: config.clockify.duration_format,
+  });
+  beforeRows = rawBeforeRows.map((row) => normalizeClockifyRow(row, formats));
+} catch (err) {
+  console.error(
+    `Failed to parse original CSV: ${err.message}. Run clockify-preprocessor.js to see all unparseable rows.`,
+  );
+  process.exit(1);
+}
+
 const afterRows = csvParse(fs.readFileSync(ENRICHED_CSV_PATH, "utf-8"), {
   columns: true,
   skip_empty_lines: true,
@@ -362,6 +375,122 @@ if (confirmedDays.length === 0) {
   console.log("\nNo days to update.");
 }
 
+// ============================================================================
+// Section 8b — Resolve Project, Task and Tag Names to Clockify IDs
+// ============================================================================
+
+// Resolved before anything is deleted, so an unknown name cannot leave a day half-uploaded
+async function fetchAllPages(apiPath) {
+  const pageSize = 500;
+  const items = [];
+  for (let page = 1; ; page++) {
+    const sep = apiPath.includes("?") ? "&" : "?";
+    const data = await clockifyRequest(
+      `${apiPath}${sep}page=${page}&page-size=${pageSize}`,
+    );
+    const pageItems = Array.isArray(data) ? data : [];
+    items.push(...pageItems);
+    if (pageItems.length < pageSize) return items;
+  }
+}
+
+const rowsToUpload = confirmedDays.flatMap(({ aRows }) => aRows);
+const projectIdByKey = new Map(); // "client|project" and "project" → id
+const tagIdByName = new Map();
+const taskIdsByProject = new Map(); // projectId → Map(task name → id)
+const unresolvedNames = new Set();
+
+if (rowsToUpload.length > 0) {
+  if (rowsToUpload.some((r) => r["Project"])) {
+    const projects = await fetchAllPages(`/workspaces/${workspaceId}/projects`);
+    for (const p of projects) {
+      projectIdByKey.set(`${nameKey(p.clientName)}|${nameKey(p.name)}`, p.id);
+      if (!projectIdByKey.has(nameKey(p.name))) {
+        projectIdByKey.set(nameKey(p.name), p.id);
+      }
+    }
+  }
+
+  if (rowsToUpload.some((r) => r["Tags"])) {
+    const tags = await fetchAllPages(`/workspaces/${workspaceId}/tags`);
+    for (const t of tags) tagIdByName.set(nameKey(t.name), t.id);
+  }
+}
+
+function resolveProjectId(row) {
+  if (!row["Project"]) return defaultProjectId;
+  const id =
+    projectIdByKey.get(
+      `${nameKey(row["Client"])}|${nameKey(row["Project"])}`,
+    ) ?? projectIdByKey.get(nameKey(row["Project"]));
+  if (!id) unresolvedNames.add(`project "${row["Project"]}"`);
+  return id ?? null;
+}
+
+async function resolveTaskId(row, rowProjectId) {
+  if (!row["Task"]) return null;
+  if (!rowProjectId) {
+    unresolvedNames.add(`task "${row["Task"]}" (no project)`);
+    return null;
+  }
+  if (!taskIdsByProject.has(rowProjectId)) {
+    const tasks = await fetchAllPages(
+      `/workspaces/${workspaceId}/projects/${rowProjectId}/tasks`,
+    );
+    taskIdsByProject.set(
+      rowProjectId,
+      new Map(tasks.map((t) => [nameKey(t.name), t.id])),
+    );
+  }
+  const id = taskIdsByProject.get(rowProjectId).get(nameKey(row["Task"]));
+  if (!id) unresolvedNames.add(`task "${row["Task"]}" in "${row["Project"]}"`);
+  return id ?? null;
+}
+
+function resolveTagIds(row) {
+  return parseTags(row["Tags"])
+    .map((name) => {
+      const id = tagIdByName.get(nameKey(name));
+      if (!id) unresolvedNames.add(`tag "${name}"`);
+      return id;
+    })
+    .filter(Boolean);
+}
+
+const payloadsByDate = new Map();
+for (const { date, aRows } of confirmedDays) {
+  const payloads = [];
+  for (const row of aRows) {
+    const rowProjectId = resolveProjectId(row);
+    payloads.push({
+      row,
+      payload: {
+        start: entryToIso(row["Start Date"], row["Start Time"]),
+        end: entryToIso(row["End Date"], row["End Time"]),
+        description: row["Description"],
+        projectId: rowProjectId,
+        taskId: await resolveTaskId(row, rowProjectId),
+        tagIds: resolveTagIds(row),
+        billable: parseBillable(row["Billable"]),
+        userId,
+      },
+    });
+  }
+  payloadsByDate.set(date, payloads);
+}
+
+if (unresolvedNames.size > 0) {
+  const names = [...unresolvedNames].map((n) => `  ${n}`).join("\n");
+  if (dryRun) {
+    console.warn(`\n[DRY-RUN] Names not found in workspace:\n${names}`);
+  } else {
+    console.error(
+      `\nNames not found in Clockify workspace ${workspaceId}:\n${names}\nCreate them in Clockify or fix the enriched CSV, then re-run. Nothing was uploaded.`,
+    );
+    process.exit(1);
+  }
+}
+
 // ============================================================================
 // Section 9 — Step 3: Apply Changes via Clockify API
 // ============================================================================
@@ -375,17 +504,16 @@ for (const { date, aRows } of confirmedDays) {
     // Fetch existing entries for this day
     const startParam = encodeURIComponent(`${date}T00:00:00Z`);
     const endParam = encodeURIComponent(`${date}T23:59:59Z`);
-    const existing = await makeApiCall(
-      `${CLOCKIFY_BASE_URL}/workspaces/${workspaceId}/user/${userId}/time-entries?start=${startParam}&end=${endParam}`,
-      { method: "GET" },
+    const existing = await clockifyRequest(
+      `/workspaces/${workspaceId}/user/${userId}/time-entries?start=${startParam}&end=${endParam}`,
     );
 
     // Delete each existing entry
     const toDelete = Array.isArray(existing) ? existing : [];
     for (const entry of toDelete) {
       try {
-        await makeApiCall(
-          `${CLOCKIFY_BASE_URL}/workspaces/${workspaceId}/time-entries/${entry.id}`,
+        await clockifyRequest(
+          `/workspaces/${workspaceId}/time-entries/${entry.id}`,
           { method: "DELETE" },
         );
         console.log(`  Deleted entry ${entry.id}`);
@@ -396,22 +524,11 @@ for (const { date, aRows } of confirmedDays) {
     }
 
     // POST each enriched entry
-    for (const row of aRows) {
-      const payload = {
-        start: entryToIso(row["Start Date"], row["Start Time"]),
-        end: entryToIso(row["End Date"], row["End Time"]),
-        description: row["Description"],
-        projectId,
-        billable: false,
-        userId,
-      };
+    for (const { row, payload } of payloadsByDate.get(date)) {
       try {
-        const created = await makeApiCall(
-          `${CLOCKIFY_BASE_URL}/workspaces/${workspaceId}/time-entries`,
-          {
-            method: "POST",
-            body: JSON.stringify(payload),
-          },
+        const created = await clockifyRequest(
+          `/workspaces/${workspaceId}/time-entries`,
+          { method: "POST", body: payload },
         );
         entriesUploaded++;
         console.log(`  Created entry ${created.id ?? "(dry-run)"}: ${row["Description"].slice(0, 60)}`);
@@ -8,8 +8,7 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { parseArgs } from "util";
-import { Octokit } from "@octokit/rest";
-import { loadConfig } from "../shared/config.js";
+import { loadConfig, getRepositories } from "../shared/config.js";
 import {
   initCache,
   appendToCache,
@@ -17,7 +16,12 @@ import {
   writeConsolidatedCache,
   readCache,
 } from "../shared/cache.js";
-import { extractModules } from "../shared/module-extractor.js";
+import { loadModuleMapper } from "../shared/module-extractor.js";
+import { createCommitFilter } from "../shared/commit-filter.js";
+import {
+  createSourceAdapter,
+  describeSourceError,
+} from "../shared/sources/index.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.resolve(__dirname, "../..");
@@ -54,7 +58,9 @@ try {
 
 if (parsedArgs.values.help) {
   console.log(`
-collect-direct-commits — Fetch commits authored by the developer from GitHub
+collect-direct-commits — Fetch commits authored by the developer from every
+                         configured repository (GitHub, GitLab, Bitbucket or a
+                         local clone)
 
 Usage:
   node collect-direct-commits.js [options]
@@ -72,7 +78,7 @@ Options:
 
 (async () => {
   // =========================================================================
-  // 3a. Config loading & GitHub credential validation
+  // 3a. Config loading & source adapter setup
   // =========================================================================
 
   let config;
@@ -83,12 +89,21 @@ Options:
     process.exit(1);
   }
 
-  if (!config.github?.personal_access_token) {
-    console.error("Missing required field: github.personal_access_token");
-    process.exit(1);
+  const repositories = getRepositories(config);
+  const adapters = new Map(); // repo id → source adapter
+
+  for (const repo of repositories) {
+    if (repo.source === "local" && !fs.existsSync(repo.local_path)) {
+      console.error(
+        `Local repository not found: ${repo.local_path}. Check local_path for ${repo.id} in config.`,
+      );
+      process.exit(1);
+    }
+    adapters.set(repo.id, createSourceAdapter(repo));
   }
 
-  const octokit = new Octokit({ auth: config.github.personal_access_token });
+  const commitFilter = createCommitFilter(config.github);
+  let botCommitCount = 0;
 
   // =========================================================================
   // 3b. Developer identity resolution
@@ -102,36 +117,25 @@ Options:
   ) {
     developerEmails = config.github.developer_emails;
   } else {
-    try {
-      let primaryEmail = null;
-
+    // The first repository whose token (or local git config) names an email
+    for (const repo of repositories) {
       try {
-        const emailsResponse =
-          await octokit.users.listEmailsForAuthenticatedUser();
-        const primaryEntry = emailsResponse.data.find((e) => e.primary);
-        if (primaryEntry) {
-          primaryEmail = primaryEntry.email;
+        const email = await adapters.get(repo.id).getAuthenticatedEmail();
+        if (email) {
+          developerEmails = [email];
+          break;
         }
-      } catch (emailError) {
-        // Fall back to getAuthenticated
-      }
-
-      if (!primaryEmail) {
-        const authUserResponse = await octokit.users.getAuthenticated();
-        primaryEmail = authUserResponse.data.email;
-      }
-
-      if (!primaryEmail) {
+      } catch (error) {
         console.error(
-          "Failed to fetch developer email from GitHub API: Unable to determine primary email",
+          `Failed to fetch developer email for ${repo.id}: ${describeSourceError(error, repo) ?? error.message}`,
         );
         process.exit(1);
       }
+    }
 
-      developerEmails = [primaryEmail];
-    } catch (error) {
+    if (developerEmails.length === 0) {
       console.error(
-        `Failed to fetch developer email from GitHub API: ${error.message}`,
+        "Failed to determine developer email: set github.developer_emails in config",
       );
       process.exit(1);
     }
@@ -157,120 +161,114 @@ Options:
   // 3d. Cache initialisation (resume detection)
   // =========================================================================
 
+  // Records cached before multi-repo support have no repo; they belong to the first one
   const existingItems = await initCache(CACHE_PATH);
-  const processedShas = new Set(existingItems.map((item) => item.sha));
+  const processedKeys = new Set(
+    existingItems.map(
+      (item) => `${item.repo ?? repositories[0].id}@${item.sha}`,
+    ),
+  );
 
-  // =========================================================================
-  // 3e. Commit fetching with pagination
-  // =========================================================================
+  for (const repo of repositories) {
+    console.log(`\n[${repo.id}]`);
 
-  let allCommits = [];
-  let page = 0;
+    // =======================================================================
+    // 3e. Commit fetching with pagination
+    // =======================================================================
 
-  try {
-    const commitsIterator = await octokit.paginate(
-      octokit.repos.listCommits,
-      {
-        owner: config.github.repo_owner,
-        repo: config.github.repo_name,
-        sha: config.github.main_branch,
-        since: config.github.date_from + "T00:00:00Z",
-        until: config.github.date_to + "T23:59:59Z",
-        per_page: 100,
-      },
-      (response, done) => {
-        allCommits = allCommits.concat(response.data);
-        page++;
-        process.stdout.write(`\rFetching commits... ${page}`);
-        return response.data;
-      },
-    );
-  } catch (error) {
-    if (error.status === 401 || error.status === 403) {
-      if (
-        error.status === 403 &&
-        error.response?.headers?.["x-ratelimit-remaining"] === "0"
-      ) {
-        console.error(
-          "\nGitHub rate limit exceeded. Wait and retry, or use --force-refresh to restart.",
-        );
-      } else {
-        console.error(
-          "\nGitHub authentication failed. Check personal_access_token in config.",
-        );
-      }
-    } else {
-      throw error;
+    const adapter = adapters.get(repo.id);
+    const moduleMapper = await loadModuleMapper(repo, adapter);
+    let allCommits = [];
+
+    if (repo.source === "local") {
+      console.log(`Reading commits from local clone: ${repo.local_path}`);
+    }
+    try {
+      allCommits = await adapter.listCommits(
+        {
+          branch: repo.main_branch,
+          since: config.github.date_from,
+          until: config.github.date_to,
+        },
+        (page) => process.stdout.write(`\rFetching commits... ${page}`),
+      );
+    } catch (error) {
+      const message = describeSourceError(error, repo);
+      if (!message) throw error;
+      console.error(`\n${message}`);
+      process.exit(1);
     }
-    process.exit(1);
-  }
 
-  console.log(`\nTotal commits fetched: ${allCommits.length}`);
+    console.log(`\nTotal commits fetched: ${allCommits.length}`);
 
-  // =========================================================================
-  // 3f. Commit filtering by email
-  // =========================================================================
+    // =======================================================================
+    // 3f. Commit filtering by bot authors and email
+    // =======================================================================
 
-  const filteredCommits = allCommits.filter((commit) => {
-    const email = commit.commit?.author?.email;
-    return email ? developerEmailsNormalized.has(email.toLowerCase()) : false;
-  });
+    // Bots are counted across all fetched commits, as github-summarizer.js
+    // counts them across all PR commits, so the two reports agree
+    const filteredCommits = allCommits.filter((commit) => {
+      if (commitFilter.isBotCommit(commit)) {
+        botCommitCount++;
+        return false;
+      }
+      const email = commit.commit?.author?.email;
+      return !!email && developerEmailsNormalized.has(email.toLowerCase());
+    });
 
-  console.log(
-    `Filtering direct commits... ${filteredCommits.length}/${allCommits.length}`,
-  );
+    console.log(
+      `Filtering direct commits... ${filteredCommits.length}/${allCommits.length}`,
+    );
 
-  if (filteredCommits.length === 0) {
-    console.log("No commits found for developer in date range. Check config.");
-    process.exit(0);
-  }
+    // =======================================================================
+    // 3g. Detail fetching + module extraction + cache appending
+    // =======================================================================
 
-  // =========================================================================
-  // 3g. Detail fetching + module extraction + cache appending
-  // =========================================================================
+    const filteredTotal = filteredCommits.length;
+    let processedCount = 0;
 
-  const filteredTotal = filteredCommits.length;
-  let processedCount = 0;
+    for (const commit of filteredCommits) {
+      if (processedKeys.has(`${repo.id}@${commit.sha}`)) {
+        continue;
+      }
 
-  for (const commit of filteredCommits) {
-    if (processedShas.has(commit.sha)) {
-      continue;
-    }
+      let detail;
+      try {
+        // Lines and modules count only files outside github.ignore_paths
+        detail = commitFilter.filterDetail(
+          await adapter.getCommitDetail(commit.sha),
+        );
+      } catch (error) {
+        console.error(
+          `\nFailed to fetch commit details for ${repo.id}@${commit.sha}: ${error.message}`,
+        );
+        process.exit(1);
+      }
 
-    let detail;
-    try {
-      const detailResponse = await octokit.repos.getCommit({
-        owner: config.github.repo_owner,
-        repo: config.github.repo_name,
-        ref: commit.sha,
-      });
-      detail = detailResponse.data;
-    } catch (error) {
-      console.error(
-        `\nFailed to fetch commit details for ${commit.sha}: ${error.message}`,
+      const record = {
+        repo: repo.id,
+        sha: commit.sha,
+        date: commit.commit.author.date,
+        message: commit.commit.message,
+        files_changed: detail.files.map((f) => f.filename),
+        lines_added: detail.lines_added,
+        lines_removed: detail.lines_removed,
+        modules_touched: moduleMapper.extractModules(
+          detail.files.map((f) => f.filename),
+        ),
+        excluded: detail.excluded,
+      };
+
+      await appendToCache(CACHE_PATH, record);
+      processedCount++;
+      process.stdout.write(
+        `\rProcessing commits... ${processedCount}/${filteredTotal}`,
       );
-      process.exit(1);
     }
 
-    const record = {
-      sha: commit.sha,
-      date: commit.commit.author.date,
-      message: commit.commit.message,
-      files_changed: detail.files.map((f) => f.filename),
-      lines_added: detail.stats.additions,
-      lines_removed: detail.stats.deletions,
-      modules_touched: extractModules(detail.files.map((f) => f.filename)),
-    };
-
-    await appendToCache(CACHE_PATH, record);
-    processedCount++;
-    process.stdout.write(
-      `\rProcessing commits... ${processedCount}/${filteredTotal}`,
-    );
+    console.log("");
   }
 
-  console.log("");
-
   // =========================================================================
   // 3h. Consolidated JSON write & summary
   // =========================================================================
@@ -278,11 +276,14 @@ Options:
   const allItems = await readCache(CACHE_PATH);
   await writeConsolidatedCache(CACHE_PATH, allItems);
 
+  if (botCommitCount > 0) {
+    console.log(`Skipped ${botCommitCount} bot commits (github.bot_authors).`);
+  }
   if (allItems.length === 0) {
     console.log("No commits found for developer in date range. Check config.");
   } else {
     console.log(
-      `Collected ${allItems.length} developer commits from main branch. Output: cache/direct-commits.json`,
+      `Collected ${allItems.length} developer commits from ${repositories.length} repositor${repositories.length === 1 ? "y" : "ies"}. Output: cache/direct-commits.json`,
     );
   }
 })().catch((error) => {
@@ -9,13 +9,17 @@ import path from "path";
 import { fileURLToPath } from "url";
 import { parseArgs } from "util";
 import readline from "readline";
-import { Octokit } from "@octokit/rest";
-import { loadConfig } from "../shared/config.js";
+import { format } from "date-fns";
+import { loadConfig, getRepositories } from "../shared/config.js";
 import {
   listProviders,
   promptProviderSelection,
   executeProvider,
+  getProviderConcurrency,
+  setCostBudget,
+  exitIfBudgetReached,
 } from "../shared/cli-provider.js";
+import { mapWithConcurrency } from "../shared/concurrency.js";
 import {
   initCache,
   appendToCache,
@@ -23,8 +27,16 @@ import {
   clearCache,
   readCache,
 } from "../shared/cache.js";
-import { extractTicketIds } from "../shared/ticket-extractor.js";
-import { extractModules } from "../shared/module-extractor.js";
+import { createTicketExtractor } from "../shared/ticket-extractor.js";
+import { loadModuleMapper } from "../shared/module-extractor.js";
+import { parseISOToLocal } from "../shared/date-utils.js";
+import { trimDiff } from "../shared/diff-trimmer.js";
+import { createCommitFilter } from "../shared/commit-filter.js";
+import {
+  createSourceAdapter,
+  describeSource,
+  describeSourceError,
+} from "../shared/sources/index.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.resolve(__dirname, "../..");
@@ -40,7 +52,9 @@ const RAW_PR_CACHE_PATH = path.resolve(
   "cache",
   "pr-raw-details.json",
 );
-const GITHUB_PR_PAGE_SIZE = 100;
+const REVIEWS_PATH = path.resolve(projectRoot, "cache", "code-reviews.json");
+const REVIEW_COMMENT_MAX_CHARS = 300;
+const DEFAULT_DIFF_MAX_CHARS = 6000;
 
 // ============================================================================
 // Section 2 — CLI Argument Parsing
@@ -50,6 +64,7 @@ const options = {
   "force-refresh": { type: "boolean", short: "f" },
   "use-cache": { type: "boolean" },
   ai: { type: "string" },
+  "max-cost": { type: "string" },
   yes: { type: "boolean", short: "y" },
   help: { type: "boolean", short: "h" },
 };
@@ -69,7 +84,9 @@ try {
 
 if (parsedArgs.values.help) {
   console.log(`
-github-summarizer — Fetch GitHub PRs and summarize with AI
+github-summarizer — Fetch merged PRs / merge requests from every configured
+                    repository (GitHub, GitLab, Bitbucket or a local clone)
+                    and summarize with AI
 
 Usage:
   node github-summarizer.js [options]
@@ -78,6 +95,7 @@ Options:
   --force-refresh, -f     Clear cache and fetch fresh data
   --use-cache             Use existing PR cache without prompting
   --ai <number>           Auto-select AI provider by number (e.g. --ai 1)
+  --max-cost <usd>        Stop before AI calls cost more than this (e.g. 2.50)
   --yes, -y               Auto-confirm all prompts
   --help, -h              Show this help message
 `);
@@ -85,7 +103,7 @@ Options:
 }
 
 // ============================================================================
-// Section 3 — Config Loading & GitHub Credential Validation
+// Section 3 — Config Loading & Source Adapter Setup
 // ============================================================================
 
 let config;
@@ -96,12 +114,43 @@ try {
   process.exit(1);
 }
 
-if (!config.github?.personal_access_token) {
-  console.error("Missing required field: github.personal_access_token");
-  process.exit(1);
+const repositories = getRepositories(config);
+const repositoriesById = new Map(repositories.map((r) => [r.id, r]));
+// "GitHub", "GitLab and Bitbucket", ... for prompts and messages
+const sourcesLabel = new Intl.ListFormat("en").format([
+  ...new Set(repositories.map(describeSource)),
+]);
+const adapters = new Map(); // repo id → source adapter
+
+for (const repo of repositories) {
+  if (repo.source === "local" && !fs.existsSync(repo.local_path)) {
+    console.error(
+      `Local repository not found: ${repo.local_path}. Check local_path for ${repo.id} in config.`,
+    );
+    process.exit(1);
+  }
+  adapters.set(repo.id, createSourceAdapter(repo));
 }
 
-const octokit = new Octokit({ auth: config.github.personal_access_token });
+// Ticket grammar from config.tickets; the enricher parses Clockify with the same
+const extractTickets = createTicketExtractor(config);
+
+// Ignored paths and bot authors; applied at summarization time so cached raw
+// PR data is filtered with the current config
+const commitFilter = createCommitFilter(config.github);
+
+// Records and raw cache entries written before multi-repo support carry no
+// repo; they belong to the first (and then only) configured repository
+const defaultRepoId = repositories[0].id;
+
+// PR numbers and SHAs are only unique within a repository
+function prKey(repoId, prNumber) {
+  return `${repoId}#${prNumber}`;
+}
+
+function commitKey(repoId, sha) {
+  return `${repoId}@${sha}`;
+}
 
 // ============================================================================
 // Section 4 — Direct Commits Check
@@ -140,6 +189,7 @@ if (!fs.existsSync(DIRECT_COMMITS_PATH)) {
 if (parsedArgs.values["force-refresh"]) {
   clearCache(CACHE_PATH);
   clearCache(RAW_PR_CACHE_PATH);
+  clearCache(REVIEWS_PATH);
   console.log("Cache cleared.");
 }
 
@@ -164,11 +214,11 @@ if (!parsedArgs.values["force-refresh"] && fs.existsSync(RAW_PR_CACHE_PATH)) {
   let answer;
   if (parsedArgs.values["use-cache"] || parsedArgs.values["force-refresh"]) {
     answer = parsedArgs.values["force-refresh"] ? "r" : "c";
-    console.log(`Found cached PR data (${N} PRs). Use (C)ache or (R)e-fetch from GitHub? (c/r): ${answer} (auto)`);
+    console.log(`Found cached PR data (${N} PRs/MRs). Use (C)ache or (R)e-fetch from ${sourcesLabel}? (c/r): ${answer} (auto)`);
   } else {
     answer = await new Promise((resolve) => {
       rl.question(
-        `Found cached PR data (${N} PRs). Use (C)ache or (R)e-fetch from GitHub? (c/r): `,
+        `Found cached PR data (${N} PRs/MRs). Use (C)ache or (R)e-fetch from ${sourcesLabel}? (c/r): `,
         (a) => { rl.close(); resolve(a); },
       );
     });
@@ -179,6 +229,7 @@ if (!parsedArgs.values["force-refresh"] && fs.existsSync(RAW_PR_CACHE_PATH)) {
   } else {
     clearCache(RAW_PR_CACHE_PATH);
     clearCache(CACHE_PATH);
+    clearCache(REVIEWS_PATH);
   }
 }
 
@@ -195,19 +246,22 @@ if (providers.length === 0) {
 }
 
 const selectedProvider = await promptProviderSelection(providers, parsedArgs.values.ai ?? null);
+setCostBudget(parsedArgs.values["max-cost"]);
 
 // ============================================================================
 // Section 7 — Cache Initialization (Resume Support)
 // ============================================================================
 
 const cachedItems = await initCache(CACHE_PATH);
-const processedShas = new Set(
-  cachedItems.filter((i) => i.sha).map((i) => i.sha),
+const processedKeys = new Set(
+  cachedItems
+    .filter((i) => i.sha)
+    .map((i) => commitKey(i.repo ?? defaultRepoId, i.sha)),
 );
 
-if (processedShas.size > 0) {
+if (processedKeys.size > 0) {
   console.log(
-    `Resuming from cache: ${processedShas.size} commits already processed.`,
+    `Resuming from cache: ${processedKeys.size} commits already processed.`,
   );
 }
 
@@ -231,7 +285,7 @@ if (!parsedArgs.values["force-refresh"]) {
 // ============================================================================
 
 function extractJiraTicketLinks(text) {
-  const regex = /\/browse\/([A-Z]{2,10}-\d+)/g;
+  const regex = /\/browse\/([A-Z][A-Z0-9]{1,9}-\d+)/g;
   const matches = [];
   let match;
   while ((match = regex.exec(text)) !== null) {
@@ -252,122 +306,185 @@ function mergeTicketIds(...arrays) {
   return Array.from(merged);
 }
 
+// Ticket IDs keyed by where they were found, e.g. {"SD-431": ["branch",
+// "pr_title"]}; `parts` are [source, text] pairs, earliest sources first
+function findTicketSources(parts, repoId) {
+  const sources = {};
+  for (const [source, text] of parts) {
+    const ids = mergeTicketIds(
+      extractTickets(text, { repo: repoId }),
+      extractJiraTicketLinks(text || ""),
+    );
+    for (const id of ids) {
+      sources[id] = [...(sources[id] ?? []), source];
+    }
+  }
+  return sources;
+}
+
+// Module mappers read the repo's workspace layout, so build each one once
+const moduleMappers = new Map(); // repo id → module mapper
+
+// Commits summarized concurrently share one load per repository
+function getModuleMapper(repoId) {
+  if (!moduleMappers.has(repoId)) {
+    moduleMappers.set(
+      repoId,
+      loadModuleMapper(repositoriesById.get(repoId), adapters.get(repoId)),
+    );
+  }
+  return moduleMappers.get(repoId);
+}
+
+// Trimmed diff of a commit for its summary prompt; null when diffs are off or
+// the host cannot provide one (the summary then falls back to file names)
+async function fetchCommitDiff(repoId, sha) {
+  if (!config.github.include_diffs) return null;
+  try {
+    const patches = (await adapters.get(repoId).getCommitPatches(sha)).filter(
+      (p) => !commitFilter.isIgnoredPath(p.filename),
+    );
+    const diff = trimDiff(
+      patches,
+      config.github.diff_max_chars ?? DEFAULT_DIFF_MAX_CHARS,
+    );
+    return diff || null;
+  } catch (error) {
+    console.warn(
+      `\nWarning: Could not fetch diff for ${commitKey(repoId, sha)}: ${error.message}`,
+    );
+    return null;
+  }
+}
+
 // ============================================================================
 // Section 9 — PR Fetching (Script Phase)
 // ============================================================================
 
-async function fetchAllPRs(octokit, config) {
-  const allPRs = [];
+async function fetchAllPRs(repo, config) {
+  if (repo.source === "local") {
+    console.log(`Reading merged PRs from local clone: ${repo.local_path}`);
+  }
 
+  let prs;
   try {
-    const q = `repo:${config.github.repo_owner}/${config.github.repo_name} is:pr is:merged merged:${config.github.date_from}..${config.github.date_to}`;
-
-    // Use the Search API to reliably find PRs in the date range
-    const searchResults = await octokit.paginate(
-      octokit.search.issuesAndPullRequests,
-      { q, per_page: GITHUB_PR_PAGE_SIZE },
+    prs = await adapters.get(repo.id).listMergedPRs(
+      {
+        branch: repo.main_branch,
+        since: config.github.date_from,
+        until: config.github.date_to,
+      },
+      (count) =>
+        process.stdout.write(`\rFetching PRs from ${repo.id}... ${count}`),
     );
+  } catch (error) {
+    const message = describeSourceError(error, repo);
+    if (!message) throw error;
+    console.error(`\n${message}`);
+    process.exit(1);
+  }
 
-    // searchResults contains issue/PR-like items; fetch full PR details for each
-    let prCount = 0;
-    for (let i = 0; i < searchResults.length; i++) {
-      const item = searchResults[i];
-      const prNumber = item.number;
-
-      try {
-        const { data: pr } = await octokit.pulls.get({
-          owner: config.github.repo_owner,
-          repo: config.github.repo_name,
-          pull_number: prNumber,
-        });
+  console.log(`\nFound ${prs.length} merged PRs in ${repo.id}`);
+  return prs.map((pr) => ({ ...pr, repo: repo.id }));
+}
 
-        // Only consider merged PRs (search already filtered, but double-check)
-        if (!pr.merged_at) continue;
+// ============================================================================
+// Section 10 — PR Detail Fetching (Script Phase)
+// ============================================================================
 
-        allPRs.push(pr);
-        prCount++;
-        process.stdout.write(`\rFetching PRs... ${prCount}`);
-      } catch (err) {
-        throw err;
-      }
-    }
+async function fetchPRDetails(pr, developerEmails = []) {
+  const repo = repositoriesById.get(pr.repo);
+  try {
+    return await adapters.get(repo.id).getPRDetails(pr, developerEmails);
   } catch (error) {
-    if (error.status === 401 || error.status === 403) {
-      if (
-        error.status === 403 &&
-        error.response?.headers?.["x-ratelimit-remaining"] === "0"
-      ) {
-        console.error(
-          "\nGitHub rate limit exceeded. Wait and retry, or use --force-refresh to restart.",
-        );
-      } else {
-        console.error(
-          "\nGitHub authentication failed. Check personal_access_token in config.",
-        );
-      }
-    } else {
-      throw error;
-    }
+    const message = describeSourceError(error, repo);
+    if (!message) throw error;
+    console.error(`\n${message}`);
     process.exit(1);
   }
-
-  console.log("");
-  return allPRs;
 }
 
 // ============================================================================
-// Section 10 — PR Detail Fetching (Script Phase)
+// Section 11 — Code Review Collection (Script Phase)
 // ============================================================================
 
-async function fetchPRDetails(octokit, config, prNumber, developerEmails = []) {
-  const commits = await octokit.paginate(octokit.pulls.listCommits, {
-    owner: config.github.repo_owner,
-    repo: config.github.repo_name,
-    pull_number: prNumber,
-    per_page: 100,
-  });
+async function fetchReviews(repo, config) {
+  try {
+    const adapter = adapters.get(repo.id);
+    const reviewed = await adapter.listReviews(
+      { since: config.github.date_from, until: config.github.date_to },
+      (count) =>
+        process.stdout.write(`\rFetching reviews from ${repo.id}... ${count}`),
+    );
+    if (reviewed.length > 0) console.log("");
+    return reviewed;
+  } catch (error) {
+    // Reviews are supplementary; commits and PRs are still usable without them
+    console.warn(
+      `\nWarning: Failed to fetch code reviews from ${repo.id}: ${describeSourceError(error, repo) ?? error.message}`,
+    );
+    return [];
+  }
+}
 
-  const files = await octokit.paginate(octokit.pulls.listFiles, {
-    owner: config.github.repo_owner,
-    repo: config.github.repo_name,
-    pull_number: prNumber,
-    per_page: 100,
-  });
+/**
+ * One activity record per reviewed PR per local day, so a day's "code review"
+ * Clockify entry can be matched against the reviews done that day
+ */
+function buildReviewRecords(repoId, reviewedPRs) {
+  const records = [];
+  for (const pr of reviewedPRs) {
+    const activities = [
+      ...pr.reviews.map((r) => ({ at: r.submitted_at, review: r })),
+      ...pr.comments.map((c) => ({ at: c.created_at, comment: c })),
+    ];
+
+    const byDay = new Map();
+    for (const activity of activities) {
+      const day = format(parseISOToLocal(activity.at), "yyyy-MM-dd");
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(activity);
+    }
 
-  const reviews = await octokit.paginate(octokit.pulls.listReviews, {
-    owner: config.github.repo_owner,
-    repo: config.github.repo_name,
-    pull_number: prNumber,
-    per_page: 100,
-  });
+    const ticket_ids = mergeTicketIds(
+      extractTickets(`${pr.title}\n${pr.body}`, { repo: repoId }),
+      extractJiraTicketLinks(pr.body),
+    );
 
-  const commit_details = {};
-  for (const commit of commits) {
-    const isDevCommit =
-      developerEmails.length === 0 ||
-      (!!commit.commit?.author?.email &&
-        developerEmails.includes(commit.commit.author.email.toLowerCase()));
-    if (isDevCommit) {
-      const { data } = await octokit.repos.getCommit({
-        owner: config.github.repo_owner,
-        repo: config.github.repo_name,
-        ref: commit.sha,
-      });
-      commit_details[commit.sha] = {
-        files: data.files ?? [],
-        lines_added: (data.files ?? []).reduce(
-          (sum, f) => sum + f.additions,
-          0,
+    for (const [date, dayActivities] of byDay) {
+      const timestamps = dayActivities.map((a) => a.at).sort();
+      const comments = dayActivities
+        .filter((a) => a.comment)
+        .map((a) => ({
+          created_at: a.comment.created_at,
+          path: a.comment.path,
+          body: a.comment.body.slice(0, REVIEW_COMMENT_MAX_CHARS),
+        }));
+
+      records.push({
+        type: "review",
+        repo: repoId,
+        pr_number: pr.number,
+        pr_title: pr.title,
+        pr_author: pr.author,
+        date,
+        first_activity_at: timestamps[0],
+        last_activity_at: timestamps[timestamps.length - 1],
+        review_states: Array.from(
+          new Set(
+            dayActivities.filter((a) => a.review).map((a) => a.review.state),
+          ),
         ),
-        lines_removed: (data.files ?? []).reduce(
-          (sum, f) => sum + f.deletions,
-          0,
+        comment_count: comments.length,
+        files_discussed: Array.from(
+          new Set(comments.map((c) => c.path).filter(Boolean)),
         ),
-      };
+        comments,
+        ticket_ids,
+      });
     }
   }
-
-  return { commits, files, reviewCount: reviews.length, commit_details };
+  return records;
 }
 
 // ============================================================================
@@ -378,13 +495,16 @@ async function summarizePRContext(pr, details, selectedProvider) {
   const commitMessages = (details.commits || [])
     .map((c) => c.commit.message)
     .join("\n---\n");
-  const filesChanged = (details.files || []).map((f) => f.filename).join(", ");
-  const modulesTouched = extractModules(
-    (details.files || []).map((f) => f.filename),
-  ).join(", ");
+  const files = commitFilter.filterDetail(details).files;
+  const filesChanged = files.map((f) => f.filename).join(", ");
+  const moduleMapper = await getModuleMapper(pr.repo);
+  const modulesTouched = moduleMapper
+    .extractModules(files.map((f) => f.filename))
+    .join(", ");
 
-  const prompt = `Analyze the following GitHub PR and provide a short paragraph describing what was built across the whole PR. Focus on WHAT WAS BUILT based on the code changes.
+  const prompt = `Analyze the following pull request and provide a short paragraph describing what was built across the whole PR. Focus on WHAT WAS BUILT based on the code changes.
 
+Repository: ${pr.repo}
 PR #${pr.number}: ${pr.title}
 
 Commit messages:
@@ -412,14 +532,26 @@ Respond ONLY with valid JSON, no markdown fences.`;
   return parsed.pr_ai_description;
 }
 
+// Diff section for commit prompts; empty when no diff was fetched
+function formatDiffSection(diff) {
+  if (!diff) return "";
+  return `
+Diff (trimmed to the most relevant hunks; lockfiles, generated and vendored files skipped):
+${diff}
+
+Describe the behaviour the diff adds or changes, not just which files it touches.
+`;
+}
+
 async function summarizeCommit(
   commitData,
   prContext,
   selectedProvider,
   projectKeys = [],
 ) {
-  const prompt = `Summarize the following GitHub commit for time-tracking enrichment. Focus on WHAT WAS BUILT based on the code changes.
+  const prompt = `Summarize the following commit for time-tracking enrichment. Focus on WHAT WAS BUILT based on the code changes.
 
+Repository: ${commitData.repo}
 Commit: ${commitData.sha}
 Date: ${commitData.committed_at}
 Message: ${commitData.message}
@@ -432,7 +564,7 @@ ${commitData.modules_touched.join(", ")}
 
 Lines added: ${commitData.lines_added}
 Lines removed: ${commitData.lines_removed}
-
+${formatDiffSection(commitData.diff)}
 PR Context (PR #${prContext.pr_number}: ${prContext.pr_title}):
 ${prContext.pr_ai_description}
 
@@ -459,6 +591,7 @@ async function summarizeOrphanCommit(
 ) {
   const prompt = `Summarize the following direct commit for time-tracking enrichment. Focus on WHAT WAS BUILT based on the code changes.
 
+Repository: ${commitData.repo}
 Commit: ${commitData.sha}
 Date: ${commitData.committed_at}
 Message: ${commitData.message}
@@ -471,7 +604,7 @@ ${commitData.modules_touched.join(", ")}
 
 Lines added: ${commitData.lines_added}
 Lines removed: ${commitData.lines_removed}
-
+${formatDiffSection(commitData.diff)}
 Provide a concise JSON response:
 {
   "ai_description": "Brief description of what was built in this commit"
@@ -510,14 +643,16 @@ Respond ONLY with valid JSON, no markdown fences.`;
         ? rawCacheFile.developer_emails
         : [];
       allPRs = rawCacheData.map((entry) => ({
+        repo: entry.repo ?? defaultRepoId,
         number: entry.pr_number,
         title: entry.pr_title,
         merged_at: entry.merged_at,
         merge_commit_sha: entry.merge_commit_sha,
         body: entry.body,
+        head: { ref: entry.head_ref ?? null },
       }));
       for (const entry of rawCacheData) {
-        allPRDetails[entry.pr_number] = {
+        allPRDetails[prKey(entry.repo ?? defaultRepoId, entry.pr_number)] = {
           commits: entry.commits,
           files: entry.files,
           reviewCount: entry.reviewCount,
@@ -526,7 +661,10 @@ Respond ONLY with valid JSON, no markdown fences.`;
       }
       console.log(`Loaded ${allPRs.length} PRs from raw cache.`);
     } else {
-      allPRs = await fetchAllPRs(octokit, config);
+      allPRs = [];
+      for (const repo of repositories) {
+        allPRs.push(...(await fetchAllPRs(repo, config)));
+      }
     }
 
     // Resolve developerEmails: use config.github.developer_emails if present,
@@ -539,19 +677,21 @@ Respond ONLY with valid JSON, no markdown fences.`;
       developerEmails = config.github.developer_emails.map((e) =>
         e.toLowerCase(),
       );
+    } else if (useRawCache) {
+      // In cache mode, restore emails persisted during the original fetch
+      developerEmails = cachedDeveloperEmails;
     } else {
-      if (!useRawCache) {
+      // The first repository whose token (or local git config) names an email
+      for (const repo of repositories) {
         try {
-          const auth = await octokit.users.getAuthenticated();
-          const email = auth?.data?.email;
-          if (email) developerEmails = [email.toLowerCase()];
+          const email = await adapters.get(repo.id).getAuthenticatedEmail();
+          if (email) {
+            developerEmails = [email.toLowerCase()];
+            break;
+          }
         } catch (err) {
-          // Unable to determine authenticated user's email; leave developerEmails empty
-          developerEmails = [];
+          // Unable to determine this user's email; try the next repository
         }
-      } else {
-        // In cache mode, restore emails persisted during the original fetch
-        developerEmails = cachedDeveloperEmails;
       }
     }
 
@@ -563,12 +703,12 @@ Respond ONLY with valid JSON, no markdown fences.`;
 
       let answer;
       if (parsedArgs.values.yes) {
-        console.log("No GitHub PRs found in date range. Continue anyway? (y/n) y (auto)");
+        console.log(`No merged PRs/MRs found in ${sourcesLabel} in date range. Continue anyway? (y/n) y (auto)`);
         answer = "y";
       } else {
         answer = await new Promise((resolve) => {
           rl.question(
-            "No GitHub PRs found in date range. Continue anyway? (y/n) ",
+            `No merged PRs/MRs found in ${sourcesLabel} in date range. Continue anyway? (y/n) `,
             (a) => { rl.close(); resolve(a); },
           );
         });
@@ -585,7 +725,7 @@ Respond ONLY with valid JSON, no markdown fences.`;
 
     if (useRawCache) {
       for (const pr of allPRs) {
-        const details = allPRDetails[pr.number];
+        const details = allPRDetails[prKey(pr.repo, pr.number)];
         // Ownership filter: include PR only if it has at least one commit authored by developerEmails
         let includePR = true;
         if (Array.isArray(developerEmails) && developerEmails.length > 0) {
@@ -602,13 +742,8 @@ Respond ONLY with valid JSON, no markdown fences.`;
     } else {
       for (let i = 0; i < allPRs.length; i++) {
         const pr = allPRs[i];
-        const details = await fetchPRDetails(
-          octokit,
-          config,
-          pr.number,
-          developerEmails,
-        );
-        allPRDetails[pr.number] = details;
+        const details = await fetchPRDetails(pr, developerEmails);
+        allPRDetails[prKey(pr.repo, pr.number)] = details;
         // Ownership filter: include PR only if it has at least one commit authored by developerEmails
         let includePR = true;
         if (Array.isArray(developerEmails) && developerEmails.length > 0) {
@@ -629,17 +764,22 @@ Respond ONLY with valid JSON, no markdown fences.`;
       console.log("");
 
       // Write raw PR cache after fresh fetch
-      const rawCacheEntries = allPRs.map((pr) => ({
-        pr_number: pr.number,
-        pr_title: pr.title,
-        merged_at: pr.merged_at,
-        merge_commit_sha: pr.merge_commit_sha,
-        body: pr.body,
-        commits: allPRDetails[pr.number]?.commits ?? [],
-        files: allPRDetails[pr.number]?.files ?? [],
-        reviewCount: allPRDetails[pr.number]?.reviewCount ?? 0,
-        commit_details: allPRDetails[pr.number]?.commit_details ?? {},
-      }));
+      const rawCacheEntries = allPRs.map((pr) => {
+        const details = allPRDetails[prKey(pr.repo, pr.number)];
+        return {
+          repo: pr.repo,
+          pr_number: pr.number,
+          pr_title: pr.title,
+          merged_at: pr.merged_at,
+          merge_commit_sha: pr.merge_commit_sha,
+          body: pr.body,
+          head_ref: pr.head?.ref ?? null,
+          commits: details?.commits ?? [],
+          files: details?.files ?? [],
+          reviewCount: details?.reviewCount ?? 0,
+          commit_details: details?.commit_details ?? {},
+        };
+      });
       fs.writeFileSync(
         RAW_PR_CACHE_PATH,
         JSON.stringify(
@@ -661,139 +801,243 @@ Respond ONLY with valid JSON, no markdown fences.`;
 
     const prShaSet = new Set();
     for (const pr of allPRs) {
-      const details = allPRDetails[pr.number];
+      const details = allPRDetails[prKey(pr.repo, pr.number)];
       if (details && details.commits) {
         for (const commit of details.commits) {
-          prShaSet.add(commit.sha);
+          prShaSet.add(commitKey(pr.repo, commit.sha));
         }
       }
       if (pr.merge_commit_sha) {
-        prShaSet.add(pr.merge_commit_sha);
+        prShaSet.add(commitKey(pr.repo, pr.merge_commit_sha));
       }
     }
 
     const directCommitCandidates = allDirectCommits.filter(
-      (c) => !prShaSet.has(c.sha),
+      (c) => !prShaSet.has(commitKey(c.repo ?? defaultRepoId, c.sha)),
     );
 
     console.log(
       `Identified ${directCommitCandidates.length} direct commit candidates after subtracting PR-associated SHAs`,
     );
 
+    // Step D — Code reviews on other people's PRs
+    let reviewRecords;
+    if (useRawCache && fs.existsSync(REVIEWS_PATH)) {
+      reviewRecords = JSON.parse(fs.readFileSync(REVIEWS_PATH, "utf-8"));
+      console.log(
+        `Loaded ${reviewRecords.length} code review records from cache`,
+      );
+    } else {
+      reviewRecords = [];
+      for (const repo of repositories) {
+        reviewRecords.push(
+          ...buildReviewRecords(repo.id, await fetchReviews(repo, config)),
+        );
+      }
+      reviewRecords.sort((a, b) =>
+        a.first_activity_at.localeCompare(b.first_activity_at),
+      );
+      fs.writeFileSync(REVIEWS_PATH, JSON.stringify(reviewRecords, null, 2));
+    }
+
     // Step E — Build PR-level context map
+    const concurrency = getProviderConcurrency();
     const prContextMap = {};
-    for (const pr of enrichedPRs) {
+    await mapWithConcurrency(enrichedPRs, concurrency, async (pr) => {
       try {
-        prContextMap[pr.number] = await summarizePRContext(
+        prContextMap[prKey(pr.repo, pr.number)] = await summarizePRContext(
           pr,
-          allPRDetails[pr.number],
+          allPRDetails[prKey(pr.repo, pr.number)],
           selectedProvider,
         );
       } catch (error) {
-        console.warn(
-          `\nWarning: Failed to summarize PR #${pr.number} context: ${error.message}`,
-        );
-        prContextMap[pr.number] = pr.title;
+        if (!error.budgetExceeded) {
+          console.warn(
+            `\nWarning: Failed to summarize ${pr.repo} PR #${pr.number} context: ${error.message}`,
+          );
+        }
+        prContextMap[prKey(pr.repo, pr.number)] = pr.title;
       }
-    }
+    });
+    // Commit summaries need the PR contexts; stop before any is written
+    exitIfBudgetReached();
 
     // Step F — Per-commit summaries for PR commits
+    let botCommitCount = 0;
     const totalPRCommits = enrichedPRs.reduce((sum, pr) => {
-      const details = allPRDetails[pr.number];
+      const details = allPRDetails[prKey(pr.repo, pr.number)];
       const devCommits = (details.commits || []).filter(
         (c) =>
-          developerEmails.length === 0 ||
-          (!!c.commit?.author?.email &&
-            developerEmails.includes(c.commit.author.email.toLowerCase())),
+          (developerEmails.length === 0 ||
+            (!!c.commit?.author?.email &&
+              developerEmails.includes(c.commit.author.email.toLowerCase()))) &&
+          !commitFilter.isBotCommit(c),
       );
+      botCommitCount += (details.commits || []).filter((c) =>
+        commitFilter.isBotCommit(c),
+      ).length;
       return sum + devCommits.length;
     }, 0);
 
     const totalCommits = totalPRCommits + directCommitCandidates.length;
     let processedCount = 0;
+    const commitTasks = [];
 
     for (const pr of enrichedPRs) {
-      const details = allPRDetails[pr.number];
+      const details = allPRDetails[prKey(pr.repo, pr.number)];
       const projectKeys = config.jira?.project_keys ?? [];
+      // The team's convention puts the key in the branch and PR title, so
+      // every commit in the PR carries the PR's tickets
+      const prTicketSources = findTicketSources(
+        [
+          ["branch", pr.head?.ref],
+          ["pr_title", pr.title],
+          ["pr_body", pr.body],
+        ],
+        pr.repo,
+      );
 
       for (const commit of details.commits) {
         const isDevCommit =
           developerEmails.length === 0 ||
           (!!commit.commit?.author?.email &&
             developerEmails.includes(commit.commit.author.email.toLowerCase()));
-        if (!isDevCommit) continue;
-
-        if (processedShas.has(commit.sha)) continue;
-
-        let commitDetail = details.commit_details?.[commit.sha];
-        if (!commitDetail) {
-          // Fetch on-the-fly (old cache fallback)
-          const { data } = await octokit.repos.getCommit({
-            owner: config.github.repo_owner,
-            repo: config.github.repo_name,
-            ref: commit.sha,
-          });
-          commitDetail = {
-            files: data.files ?? [],
-            lines_added: (data.files ?? []).reduce(
-              (sum, f) => sum + f.additions,
-              0,
-            ),
-            lines_removed: (data.files ?? []).reduce(
-              (sum, f) => sum + f.deletions,
-              0,
-            ),
+        if (!isDevCommit || commitFilter.isBotCommit(commit)) continue;
+
+        if (processedKeys.has(commitKey(pr.repo, commit.sha))) continue;
+
+        // Summaries run concurrently once every commit is queued
+        commitTasks.push(async () => {
+          let commitDetail = details.commit_details?.[commit.sha];
+          if (!commitDetail) {
+            // Fetch on-the-fly (old cache fallback)
+            commitDetail = await adapters
+              .get(pr.repo)
+              .getCommitDetail(commit.sha);
+          }
+          commitDetail = commitFilter.filterDetail(commitDetail);
+
+          const ticket_sources = findTicketSources(
+            [["commit_message", commit.commit.message]],
+            pr.repo,
+          );
+          for (const [id, sources] of Object.entries(prTicketSources)) {
+            ticket_sources[id] = [...(ticket_sources[id] ?? []), ...sources];
+          }
+          const ticket_ids = Object.keys(ticket_sources);
+          const moduleMapper = await getModuleMapper(pr.repo);
+          const modules_touched = moduleMapper.extractModules(
+            commitDetail.files.map((f) => f.filename),
+          );
+
+          const commitData = {
+            repo: pr.repo,
+            sha: commit.sha,
+            committed_at: commit.commit.author.date,
+            message: commit.commit.message,
+            files_changed: commitDetail.files.map((f) => f.filename),
+            modules_touched,
+            lines_added: commitDetail.lines_added,
+            lines_removed: commitDetail.lines_removed,
+            diff: await fetchCommitDiff(pr.repo, commit.sha),
           };
-        }
 
-        const ticket_ids = mergeTicketIds(
-          extractTicketIds(commit.commit.message, projectKeys),
-          extractJiraTicketLinks(commit.commit.message),
-        );
-        const modules_touched = extractModules(
-          commitDetail.files.map((f) => f.filename),
+          const prAiDescription = prContextMap[prKey(pr.repo, pr.number)];
+          const prContext = {
+            pr_number: pr.number,
+            pr_title: pr.title,
+            pr_ai_description: prAiDescription,
+          };
+
+          try {
+            const ai_description = await summarizeCommit(
+              commitData,
+              prContext,
+              selectedProvider,
+              projectKeys,
+            );
+
+            const record = {
+              repo: pr.repo,
+              sha: commit.sha,
+              committed_at: commitData.committed_at,
+              message: commitData.message,
+              files_changed: commitData.files_changed,
+              modules_touched,
+              lines_added: commitDetail.lines_added,
+              lines_removed: commitDetail.lines_removed,
+              excluded: commitDetail.excluded,
+              ticket_ids,
+              ticket_sources,
+              ai_description,
+              pr_context: {
+                pr_number: pr.number,
+                pr_title: pr.title,
+                pr_ai_description: prAiDescription,
+              },
+            };
+
+            await appendToCache(CACHE_PATH, record);
+            processedCount++;
+            process.stdout.write(
+              `\rSummarizing commits... ${processedCount}/${totalCommits}`,
+            );
+          } catch (error) {
+            if (error.budgetExceeded) return;
+            console.warn(
+              `\nWarning: Failed to process commit ${commitKey(pr.repo, commit.sha)}: ${error.message}`,
+            );
+          }
+        });
+      }
+    }
+
+    // Step G — Per-commit summaries for orphan commits
+    for (const commit of directCommitCandidates) {
+      const repoId = commit.repo ?? defaultRepoId;
+      if (processedKeys.has(commitKey(repoId, commit.sha))) continue;
+
+      commitTasks.push(async () => {
+        const projectKeys = config.jira?.project_keys ?? [];
+        const ticket_sources = findTicketSources(
+          [["commit_message", commit.message]],
+          repoId,
         );
+        const ticket_ids = Object.keys(ticket_sources);
 
         const commitData = {
+          repo: repoId,
           sha: commit.sha,
-          committed_at: commit.commit.author.date,
-          message: commit.commit.message,
-          files_changed: commitDetail.files.map((f) => f.filename),
-          modules_touched,
-          lines_added: commitDetail.lines_added,
-          lines_removed: commitDetail.lines_removed,
-        };
-
-        const prAiDescription = prContextMap[pr.number];
-        const prContext = {
-          pr_number: pr.number,
-          pr_title: pr.title,
-          pr_ai_description: prAiDescription,
+          committed_at: commit.date,
+          message: commit.message,
+          files_changed: commit.files_changed ?? [],
+          modules_touched: commit.modules_touched ?? [],
+          lines_added: commit.lines_added ?? 0,
+          lines_removed: commit.lines_removed ?? 0,
+          diff: await fetchCommitDiff(repoId, commit.sha),
         };
 
         try {
-          const ai_description = await summarizeCommit(
+          const ai_description = await summarizeOrphanCommit(
             commitData,
-            prContext,
             selectedProvider,
             projectKeys,
           );
 
           const record = {
+            repo: repoId,
             sha: commit.sha,
-            committed_at: commitData.committed_at,
-            message: commitData.message,
-            files_changed: commitData.files_changed,
-            modules_touched,
-            lines_added: commitDetail.lines_added,
-            lines_removed: commitDetail.lines_removed,
+            committed_at: commit.date,
+            message: commit.message,
+            files_changed: commit.files_changed ?? [],
+            modules_touched: commit.modules_touched ?? [],
+            lines_added: commit.lines_added ?? 0,
+            lines_removed: commit.lines_removed ?? 0,
+            excluded: commit.excluded ?? null,
             ticket_ids,
+            ticket_sources,
             ai_description,
-            pr_context: {
-              pr_number: pr.number,
-              pr_title: pr.title,
-              pr_ai_description: prAiDescription,
-            },
+            pr_context: null,
           };
 
           await appendToCache(CACHE_PATH, record);
@@ -802,64 +1046,17 @@ Respond ONLY with valid JSON, no markdown fences.`;
             `\rSummarizing commits... ${processedCount}/${totalCommits}`,
           );
         } catch (error) {
+          if (error.budgetExceeded) return;
           console.warn(
-            `\nWarning: Failed to process commit ${commit.sha}: ${error.message}`,
+            `\nWarning: Failed to process commit ${commitKey(repoId, commit.sha)}: ${error.message}`,
           );
         }
-      }
+      });
     }
 
-    // Step G — Per-commit summaries for orphan commits
-    for (const commit of directCommitCandidates) {
-      if (processedShas.has(commit.sha)) continue;
-
-      const projectKeys = config.jira?.project_keys ?? [];
-      const ticket_ids = mergeTicketIds(
-        extractTicketIds(commit.message, projectKeys),
-        extractJiraTicketLinks(commit.message),
-      );
-
-      const commitData = {
-        sha: commit.sha,
-        committed_at: commit.date,
-        message: commit.message,
-        files_changed: commit.files_changed ?? [],
-        modules_touched: commit.modules_touched ?? [],
-        lines_added: commit.lines_added ?? 0,
-        lines_removed: commit.lines_removed ?? 0,
-      };
-
-      try {
-        const ai_description = await summarizeOrphanCommit(
-          commitData,
-          selectedProvider,
-          projectKeys,
-        );
-
-        const record = {
-          sha: commit.sha,
-          committed_at: commit.date,
-          message: commit.message,
-          files_changed: commit.files_changed ?? [],
-          modules_touched: commit.modules_touched ?? [],
-          lines_added: commit.lines_added ?? 0,
-          lines_removed: commit.lines_removed ?? 0,
-          ticket_ids,
-          ai_description,
-          pr_context: null,
-        };
-
-        await appendToCache(CACHE_PATH, record);
-        processedCount++;
-        process.stdout.write(
-          `\rSummarizing commits... ${processedCount}/${totalCommits}`,
-        );
-      } catch (error) {
-        console.warn(
-          `\nWarning: Failed to process commit ${commit.sha}: ${error.message}`,
-        );
-      }
-    }
+    await mapWithConcurrency(commitTasks, concurrency, (task) => task());
+    // Summarized commits are in the NDJSON cache; a re-run skips them
+    exitIfBudgetReached();
 
     // Step H — Consolidated cache write & summary
     console.log("");
@@ -870,12 +1067,20 @@ Respond ONLY with valid JSON, no markdown fences.`;
     await writeConsolidatedCache(CACHE_PATH, allItems);
 
     if (allItems.length === 0) {
-      console.log("No GitHub data found. Check config.");
+      console.log(`No commit data found in ${sourcesLabel}. Check config.`);
     } else {
       console.log(
         `Processed ${allItems.length} commits (${totalPRCommits} from PRs, ${directCommitCandidates.length} orphan). Output: cache/github-summary.json`,
       );
     }
+    if (botCommitCount > 0) {
+      console.log(
+        `Skipped ${botCommitCount} bot commits in PRs (github.bot_authors).`,
+      );
+    }
+    console.log(
+      `Collected ${reviewRecords.length} code review records. Output: cache/code-reviews.json`,
+    );
   } catch (error) {
     console.error(error.message);
     process.exit(1);
@@ -14,7 +14,11 @@ import {
   listProviders,
   promptProviderSelection,
   executeProvider,
+  getProviderConcurrency,
+  setCostBudget,
+  exitIfBudgetReached,
 } from "../shared/cli-provider.js";
+import { mapWithConcurrency } from "../shared/concurrency.js";
 import {
   initCache,
   appendToCache,
@@ -22,6 +26,9 @@ import {
   clearCache,
   readCache,
 } from "../shared/cache.js";
+import { renderAdf } from "../shared/adf-renderer.js";
+import { analyzeStatusTransitions } from "../shared/status-analysis.js";
+import { createTracker } from "../shared/trackers/index.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.resolve(__dirname, "../..");
@@ -29,6 +36,21 @@ const projectRoot = path.resolve(__dirname, "../..");
 const CACHE_PATH = path.resolve(projectRoot, "cache", "jira-summary.ndjson");
 const JIRA_PAGE_SIZE = 50;
 
+// Field names Jira uses for story points: "Story Points" on company-managed
+// projects and Data Center, "Story point estimate" on team-managed projects
+const STORY_POINT_FIELD_NAMES = ["story points", "story point estimate"];
+// Jira Software's sprint and (pre-parent) epic link fields, by schema type
+const SPRINT_FIELD_SCHEMA = "com.pyxis.greenhopper.jira:gh-sprint";
+const EPIC_LINK_FIELD_SCHEMA = "com.pyxis.greenhopper.jira:gh-epic-link";
+// Cloud's usual IDs for those fields, used when the field list is unavailable
+const DEFAULT_CUSTOM_FIELDS = {
+  storyPoints: ["customfield_10016", "customfield_10028"],
+  sprint: ["customfield_10020"],
+  epicLink: [],
+};
+const WORKLOG_PAGE_SIZE = 100;
+const COMMENT_PAGE_SIZE = 100;
+
 // ============================================================================
 // Section 2 — CLI Argument Parsing
 // ============================================================================
@@ -36,6 +58,7 @@ const JIRA_PAGE_SIZE = 50;
 const options = {
   "force-refresh": { type: "boolean", short: "f" },
   ai: { type: "string" },
+  "max-cost": { type: "string" },
   yes: { type: "boolean", short: "y" },
   help: { type: "boolean", short: "h" },
 };
@@ -55,7 +78,7 @@ try {
 
 if (parsedArgs.values.help) {
   console.log(`
-jira-summarizer — Fetch Jira tickets and summarize with AI
+jira-summarizer — Fetch tickets (Jira, Linear, GitHub Issues) and summarize with AI
 
 Usage:
   node jira-summarizer.js [options]
@@ -63,6 +86,7 @@ Usage:
 Options:
   --force-refresh, -f     Clear cache and fetch fresh data
   --ai <number>           Auto-select AI provider by number (e.g. --ai 1)
+  --max-cost <usd>        Stop before AI calls cost more than this (e.g. 2.50)
   --yes, -y               Auto-confirm all prompts
   --help, -h              Show this help message
 `);
@@ -83,6 +107,11 @@ try {
 
 const jiraConfig = config.jira;
 
+// Server / Data Center speaks REST API v2 with plain-text or wiki-markup
+// bodies; Cloud speaks v3 with ADF. Both produce the same records.
+const isDataCenter = jiraConfig.deployment === "datacenter";
+const JIRA_API = isDataCenter ? "/rest/api/2" : "/rest/api/3";
+
 // ============================================================================
 // Section 4 — Force Refresh
 // ============================================================================
@@ -105,6 +134,7 @@ if (providers.length === 0) {
 }
 
 const selectedProvider = await promptProviderSelection(providers, parsedArgs.values.ai ?? null);
+setCostBudget(parsedArgs.values["max-cost"]);
 
 // ============================================================================
 // Section 6 — Cache Initialization (Resume Support)
@@ -125,12 +155,21 @@ if (processedIds.size > 0) {
 
 async function fetchJira(path, config, { method = "GET", body } = {}) {
   const url = config.jira.base_url + path;
-  const credentials = Buffer.from(
-    `${config.jira.user_email}:${config.jira.api_token}`,
-  ).toString("base64");
+
+  // Data Center personal access tokens are Bearer tokens; Cloud API tokens
+  // go with the account email
+  let authorization;
+  if (isDataCenter) {
+    authorization = `Bearer ${config.jira.api_token}`;
+  } else {
+    const credentials = Buffer.from(
+      `${config.jira.user_email}:${config.jira.api_token}`,
+    ).toString("base64");
+    authorization = `Basic ${credentials}`;
+  }
 
   const headers = {
-    Authorization: `Basic ${credentials}`,
+    Authorization: authorization,
     Accept: "application/json",
   };
 
@@ -156,9 +195,72 @@ async function fetchJira(path, config, { method = "GET", body } = {}) {
 // Section 8 — Ticket Fetching (Script Phase)
 // ============================================================================
 
-async function fetchAllTickets(config) {
+// Custom field IDs differ per instance, so they are looked up in the field
+// metadata: story points by name (jira.story_points_field wins, otherwise in
+// STORY_POINT_FIELD_NAMES order), sprint and epic link by schema type
+async function resolveCustomFields(config) {
+  let fields;
+  try {
+    fields = await fetchJira(`${JIRA_API}/field`, config);
+  } catch (error) {
+    console.warn(
+      `Warning: Could not read Jira field metadata (${error.message}). Set jira.story_points_field in config.`,
+    );
+    return {
+      ...DEFAULT_CUSTOM_FIELDS,
+      storyPoints: config.jira.story_points_field
+        ? [config.jira.story_points_field]
+        : DEFAULT_CUSTOM_FIELDS.storyPoints,
+    };
+  }
+
+  const bySchema = (type) =>
+    fields.filter((f) => f.schema?.custom === type).map((f) => f.id);
+
+  let storyPoints;
+  if (config.jira.story_points_field) {
+    storyPoints = [config.jira.story_points_field];
+  } else {
+    storyPoints = STORY_POINT_FIELD_NAMES.flatMap((name) =>
+      fields
+        .filter((f) => f.custom && (f.name || "").toLowerCase() === name)
+        .map((f) => f.id),
+    );
+    if (storyPoints.length > 0) {
+      console.log(`Story points field: ${storyPoints.join(", ")}`);
+    } else {
+      console.warn(
+        "Warning: No story points field found in Jira field metadata. Set jira.story_points_field in config.",
+      );
+      storyPoints = DEFAULT_CUSTOM_FIELDS.storyPoints;
+    }
+  }
+
+  return {
+    storyPoints,
+    sprint: bySchema(SPRINT_FIELD_SCHEMA),
+    epicLink: bySchema(EPIC_LINK_FIELD_SCHEMA),
+  };
+}
+
+// First numeric value among the story point fields; Data Center can return
+// numbers as strings
+function getStoryPoints(issue, storyPointFields) {
+  for (const field of storyPointFields) {
+    const value = Number.parseFloat(issue.fields[field]);
+    if (Number.isFinite(value)) return value;
+  }
+  return null;
+}
+
+async function fetchAllTickets(config, customFields) {
   const projectKeys = config.jira.project_keys.join(", ");
-  const jql = `project in (${projectKeys}) AND assignee was "${config.jira.user_email}" AND updated >= "${config.jira.date_from}" AND updated <= "${config.jira.date_to}" ORDER BY created ASC`;
+  // Data Center matches assignee against the username or user key, not the
+  // email; currentUser() is the owner of the personal access token
+  const assignee = isDataCenter
+    ? "currentUser()"
+    : `"${config.jira.user_email}"`;
+  const jql = `project in (${projectKeys}) AND assignee was ${assignee} AND updated >= "${config.jira.date_from}" AND updated <= "${config.jira.date_to}" ORDER BY created ASC`;
 
   let allIssues = [];
   let nextPageToken = undefined;
@@ -174,27 +276,40 @@ async function fetchAllTickets(config) {
         "summary",
         "issuetype",
         "status",
+        "created",
         "description",
         "timetracking",
-        "customfield_10016",
-        "customfield_10028",
+        "parent",
+        "labels",
+        "components",
+        "issuelinks",
+        ...customFields.storyPoints,
+        ...customFields.sprint,
+        ...customFields.epicLink,
       ],
     };
 
-    if (nextPageToken) {
+    // Cloud pages /search/jql with a token; Data Center's /search with startAt
+    if (isDataCenter) {
+      body.startAt = allIssues.length;
+    } else if (nextPageToken) {
       body.nextPageToken = nextPageToken;
     }
 
-    const response = await fetchJira("/rest/api/3/search/jql", config, {
-      method: "POST",
-      body,
-    });
+    const response = await fetchJira(
+      isDataCenter ? `${JIRA_API}/search` : `${JIRA_API}/search/jql`,
+      config,
+      { method: "POST", body },
+    );
 
     const page = response.issues ?? [];
     allIssues = allIssues.concat(page);
     process.stdout.write(`\rFetching tickets... ${allIssues.length}`);
 
-    if (response.isLast || page.length === 0) {
+    const isLast = isDataCenter
+      ? allIssues.length >= (response.total ?? 0)
+      : response.isLast;
+    if (isLast || page.length === 0) {
       break;
     }
 
@@ -210,6 +325,16 @@ async function fetchAllTickets(config) {
 // ============================================================================
 
 async function fetchFullChangelog(issueKey, config) {
+  // Data Center has no paged changelog endpoint but returns the whole
+  // changelog when the issue is expanded
+  if (isDataCenter) {
+    const response = await fetchJira(
+      `${JIRA_API}/issue/${issueKey}?fields=status&expand=changelog`,
+      config,
+    );
+    return response.changelog?.histories ?? [];
+  }
+
   const histories = [];
   let startAt = 0;
   const maxResults = 100;
@@ -221,7 +346,7 @@ async function fetchFullChangelog(issueKey, config) {
     });
 
     const response = await fetchJira(
-      `/rest/api/3/issue/${issueKey}/changelog?${queryParams}`,
+      `${JIRA_API}/issue/${issueKey}/changelog?${queryParams}`,
       config,
     );
 
@@ -240,144 +365,387 @@ async function fetchFullChangelog(issueKey, config) {
 }
 
 // ============================================================================
-// Section 9 — Status History Analysis (Script Phase)
+// Section 8b — Worklog Fetching (Script Phase)
 // ============================================================================
 
-function analyzeStatusHistory(histories) {
-  const statusHistory = [];
-  let backToDevCount = 0;
-
-  if (Array.isArray(histories)) {
-    for (const history of histories) {
-      if (history.items) {
-        for (const item of history.items) {
-          if (item.field === "status") {
-            statusHistory.push({
-              status: item.toString,
-              date: history.created.slice(0, 10),
-            });
-
-            const fromStateLower = (item.fromString || "").toLowerCase();
-            const toStateLower = (item.toString || "").toLowerCase();
-
-            const doneQaStates = [
-              "done",
-              "qa",
-              "in review",
-              "testing",
-              "resolved",
-              "closed",
-            ];
-            const devStates = [
-              "in progress",
-              "to do",
-              "open",
-              "reopened",
-              "in development",
-            ];
-
-            if (
-              doneQaStates.some((state) => fromStateLower.includes(state)) &&
-              devStates.some((state) => toStateLower.includes(state))
-            ) {
-              backToDevCount++;
-            }
-          }
-        }
-      }
+async function fetchCurrentUser(config) {
+  return fetchJira(`${JIRA_API}/myself`, config);
+}
+
+// Cloud identifies users by accountId; Data Center by user key and name
+function isCurrentUser(author, currentUser, config) {
+  if (!author) return false;
+  if (author.accountId) return author.accountId === currentUser.accountId;
+  if (author.key && currentUser.key) return author.key === currentUser.key;
+  if (author.name && currentUser.name) return author.name === currentUser.name;
+  return (
+    !!author.emailAddress &&
+    author.emailAddress.toLowerCase() ===
+      (config.jira.user_email || "").toLowerCase()
+  );
+}
+
+// Only the configured user's worklogs; other people's time is not evidence
+// for this developer's Clockify entries
+async function fetchWorklogs(issueKey, currentUser, config) {
+  const worklogs = [];
+  let startAt = 0;
+
+  while (true) {
+    const queryParams = new URLSearchParams({
+      startAt,
+      maxResults: WORKLOG_PAGE_SIZE,
+    });
+
+    const response = await fetchJira(
+      `${JIRA_API}/issue/${issueKey}/worklog?${queryParams}`,
+      config,
+    );
+
+    const page = response.worklogs ?? [];
+    worklogs.push(...page);
+
+    startAt += page.length;
+    if (page.length === 0 || startAt >= (response.total ?? 0)) {
+      break;
     }
   }
 
-  return { statusHistory, backToDevCount };
+  return worklogs
+    .filter((w) => isCurrentUser(w.author, currentUser, config))
+    .map((w) => ({
+      author:
+        w.author?.displayName ??
+        currentUser.displayName ??
+        config.jira.user_email,
+      started: w.started,
+      time_spent: w.timeSpent,
+      time_spent_seconds: w.timeSpentSeconds ?? 0,
+      comment: extractText(w.comment).trim(),
+    }));
 }
 
 // ============================================================================
-// Section 10 — Conditional Comment Fetching (Script Phase)
+// Section 8c — Epic, Sprint and Link Context (Script Phase)
 // ============================================================================
 
-function extractAdfText(adfNode) {
-  if (!adfNode) return "";
-  if (typeof adfNode === "string") return adfNode;
+const issueBriefs = new Map(); // issue key → Promise of {key, title, type, ...}
+
+// Summary, type and parent of a related issue, fetched once per run
+function fetchIssueBrief(issueKey, customFields, config) {
+  if (!issueBriefs.has(issueKey)) {
+    const fields = ["summary", "issuetype", "parent", ...customFields.epicLink];
+    issueBriefs.set(
+      issueKey,
+      fetchJira(
+        `${JIRA_API}/issue/${issueKey}?fields=${fields.join(",")}`,
+        config,
+      ).then((issue) => ({
+        key: issue.key,
+        title: issue.fields.summary,
+        type: issue.fields.issuetype?.name || "Unknown",
+        parent: issue.fields.parent ?? null,
+        epicKey: firstFieldValue(issue, customFields.epicLink),
+      })),
+    );
+  }
+  return issueBriefs.get(issueKey);
+}
 
-  let text = "";
+function firstFieldValue(issue, fieldIds) {
+  for (const field of fieldIds) {
+    if (issue.fields[field]) return issue.fields[field];
+  }
+  return null;
+}
+
+function isEpic(issueType) {
+  return (issueType || "").toLowerCase() === "epic";
+}
 
-  if (adfNode.text) {
-    text += adfNode.text;
+/**
+ * Epic of a ticket: its parent when that is an epic (Cloud), its epic link
+ * (Data Center and older company-managed projects), or for sub-tasks the
+ * epic of the parent story
+ */
+async function resolveEpic(issue, customFields, config) {
+  const parent = issue.fields.parent;
+  if (parent && isEpic(parent.fields?.issuetype?.name)) {
+    return { ticket_id: parent.key, title: parent.fields.summary };
   }
 
-  if (Array.isArray(adfNode.content)) {
-    const blockTypes = [
-      "paragraph",
-      "heading",
-      "listItem",
-      "codeBlock",
-      "blockquote",
-    ];
-    for (let i = 0; i < adfNode.content.length; i++) {
-      const child = adfNode.content[i];
-      text += extractAdfText(child);
-      // Add newline after block-level elements (but not the last one)
-      if (
-        i < adfNode.content.length - 1 &&
-        child.type &&
-        blockTypes.includes(child.type)
-      ) {
-        text += "\n";
-      }
+  const epicKey = firstFieldValue(issue, customFields.epicLink);
+  if (epicKey) {
+    const epic = await fetchIssueBrief(epicKey, customFields, config);
+    return { ticket_id: epic.key, title: epic.title };
+  }
+
+  if (parent) {
+    const story = await fetchIssueBrief(parent.key, customFields, config);
+    if (story.parent && isEpic(story.parent.fields?.issuetype?.name)) {
+      return {
+        ticket_id: story.parent.key,
+        title: story.parent.fields.summary,
+      };
+    }
+    if (story.epicKey) {
+      const epic = await fetchIssueBrief(story.epicKey, customFields, config);
+      return { ticket_id: epic.key, title: epic.title };
+    }
+  }
+  return null;
+}
+
+// Cloud returns sprint objects; older Data Center versions return strings
+// like "com.atlassian.greenhopper.service.sprint.Sprint@1f[id=3,state=CLOSED,name=Sprint 3,startDate=2024-03-04T09:00:00.000Z,...]"
+function parseSprint(sprint) {
+  if (typeof sprint === "string") {
+    const attributes = Object.fromEntries(
+      [...sprint.matchAll(/([a-zA-Z]+)=([^,\]]*)/g)].map((m) => [m[1], m[2]]),
+    );
+    sprint = attributes;
+  }
+  const toDate = (value) =>
+    value && value !== "<null>" ? value.slice(0, 10) : null;
+  return {
+    name: sprint.name,
+    state: (sprint.state || "").toLowerCase() || null,
+    start_date: toDate(sprint.startDate),
+    end_date: toDate(sprint.completeDate) || toDate(sprint.endDate),
+  };
+}
+
+function getSprints(issue, customFields) {
+  return customFields.sprint
+    .flatMap((field) => issue.fields[field] || [])
+    .map(parseSprint)
+    .filter((s) => s.name);
+}
+
+// "blocks SD-12", "is caused by SD-9": the relation reads from this ticket
+function getIssueLinks(issue) {
+  return (issue.fields.issuelinks || [])
+    .map((link) => {
+      const other = link.outwardIssue || link.inwardIssue;
+      if (!other) return null;
+      return {
+        relation: link.outwardIssue ? link.type?.outward : link.type?.inward,
+        ticket_id: other.key,
+        title: other.fields?.summary || "",
+        status: other.fields?.status?.name || null,
+      };
+    })
+    .filter(Boolean);
+}
+
+// ============================================================================
+// Section 9 — Status History Analysis (Script Phase)
+// ============================================================================
+
+// Jira's status categories: "new" (To Do), "indeterminate" (In Progress,
+// In Review, QA, ...) and "done", keyed by status ID and lowercased name
+async function fetchStatusCategories(config) {
+  const categories = new Map();
+  try {
+    const statuses = await fetchJira(`${JIRA_API}/status`, config);
+    for (const status of statuses) {
+      const key = status.statusCategory?.key;
+      if (!key) continue;
+      categories.set(String(status.id), key);
+      categories.set(status.name.toLowerCase(), key);
     }
+  } catch (error) {
+    console.warn(
+      `Warning: Could not read Jira status categories (${error.message}). Status analysis will only know each ticket's current status.`,
+    );
   }
+  return categories;
+}
 
-  return text;
+function getStatusCategory(categories, id, name) {
+  return (
+    categories.get(String(id)) ??
+    categories.get((name || "").toLowerCase()) ??
+    null
+  );
+}
+
+// End of a YYYY-MM-DD date range, or now while the range is still running:
+// hours in status are counted up to it, so re-runs for a range agree
+function statusAsOf(dateTo) {
+  return Math.min(Date.now(), new Date(`${dateTo}T23:59:59.999`).getTime());
 }
 
+// Status changes from the changelog, classified by status category
+function analyzeStatusHistory(issue, histories, categories, currentUser, asOf) {
+  const current = issue.fields.status;
+  if (current?.statusCategory?.key) {
+    categories.set(String(current.id), current.statusCategory.key);
+  }
+
+  const transitions = (Array.isArray(histories) ? histories : []).flatMap(
+    (history) =>
+      (history.items || [])
+        .filter((item) => item.field === "status")
+        .map((item) => ({
+          at: history.created,
+          from: item.fromString,
+          fromCategory: getStatusCategory(
+            categories,
+            item.from,
+            item.fromString,
+          ),
+          to: item.toString,
+          toCategory: getStatusCategory(categories, item.to, item.toString),
+          byDeveloper: isCurrentUser(history.author, currentUser, config),
+        })),
+  );
+
+  return analyzeStatusTransitions(
+    {
+      transitions,
+      created: issue.fields.created ?? null,
+      current: {
+        status: current?.name,
+        category: getStatusCategory(categories, current?.id, current?.name),
+      },
+    },
+    { asOf },
+  );
+}
+
+// ============================================================================
+// Section 10 — Conditional Comment Fetching (Script Phase)
+// ============================================================================
+
+// Data Center bodies are plain text or wiki markup. Strip the markup that
+// would otherwise read as noise in a prompt: {code}/{noformat}/{quote}/{color}
+// tags, heading and quote prefixes, link targets, emphasis and table pipes.
+function wikiMarkupToText(markup) {
+  return markup
+    .replace(/\{(?:code|noformat|quote|panel|color)(?::[^}]*)?\}/g, "")
+    .replace(/^h[1-6]\.\s*/gm, "")
+    .replace(/^bq\.\s*/gm, "")
+    .replace(/\[([^|\]]+)\|[^\]]+\]/g, "$1")
+    .replace(/\[(~?[^\]]+)\]/g, "$1")
+    .replace(/\{\{([^}]+)\}\}/g, "$1")
+    .replace(/(^|[\s(])([*_+-])(\S(?:.*?\S)?)\2(?=[\s.,;:!?)]|$)/gm, "$1$3")
+    .replace(/^\|\|?|\|\|?$/gm, "")
+    .replace(/\|\|?/g, " | ")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Description, comment and worklog bodies: ADF on Cloud, strings on Data Center
+function extractText(body) {
+  if (!body) return "";
+  return typeof body === "string" ? wikiMarkupToText(body) : renderAdf(body);
+}
+
+// Comments are only worth a prompt for reworked or long-running tickets
+function needsComments(backToDevCount, timeSpentHours) {
+  return backToDevCount >= 1 || timeSpentHours > 10;
+}
+
+// Drop empty comments and, with jira.own_comments_only, other people's
+function selectComments(comments, config) {
+  const selected = comments.filter(
+    (c) => c.text && (!config.jira.own_comments_only || c.own),
+  );
+  return selected.length > 0 ? selected : null;
+}
+
+// All pages of comments, oldest first, with author and timestamp
 async function fetchCommentsIfNeeded(
   issueKey,
   backToDevCount,
   timeSpentHours,
+  currentUser,
   config,
 ) {
-  const shouldFetch = backToDevCount >= 1 || timeSpentHours > 10;
-
-  if (!shouldFetch) {
+  if (!needsComments(backToDevCount, timeSpentHours)) {
     return null;
   }
 
-  const response = await fetchJira(
-    `/rest/api/3/issue/${issueKey}/comment?maxResults=100`,
-    config,
-  );
+  const rawComments = [];
+  let startAt = 0;
+
+  while (true) {
+    const queryParams = new URLSearchParams({
+      startAt,
+      maxResults: COMMENT_PAGE_SIZE,
+      orderBy: "created",
+    });
+
+    const response = await fetchJira(
+      `${JIRA_API}/issue/${issueKey}/comment?${queryParams}`,
+      config,
+    );
+
+    const page = response.comments ?? [];
+    rawComments.push(...page);
 
-  const comments = [];
-  if (response.comments) {
-    for (const comment of response.comments) {
-      const commentText = extractAdfText(comment.body);
-      comments.push(commentText);
+    startAt += page.length;
+    if (page.length === 0 || startAt >= (response.total ?? 0)) {
+      break;
     }
   }
 
-  return comments.length > 0 ? comments : null;
+  const comments = rawComments.map((comment) => ({
+    author: comment.author?.displayName ?? "Unknown",
+    own: isCurrentUser(comment.author, currentUser, config),
+    created: comment.created,
+    text: extractText(comment.body).trim(),
+  }));
+
+  return selectComments(comments, config);
+}
+
+// "[2024-03-05] Ana: ..." so decisions keep who made them and when
+function formatComment(comment) {
+  const author = comment.own ? `${comment.author} (developer)` : comment.author;
+  return `[${(comment.created || "").slice(0, 10)}] ${author}: ${comment.text}`;
 }
 
 // ============================================================================
 // Section 11 — AI Summarization (AI Phase)
 // ============================================================================
 
+// The ticket is tracker-neutral: a Jira issue or a tracker adapter's issue,
+// with the description already as plain text
 async function summarizeTicket(ticket, comments, selectedProvider) {
-  const descriptionText =
-    extractAdfText(ticket.fields.description) || "No description provided.";
+  const descriptionText = ticket.description || "No description provided.";
 
-  let prompt = `Summarize the following Jira ticket for time-tracking enrichment.
+  let prompt = `Summarize the following ticket from ${ticket.tracker} for time-tracking enrichment.
 
-Ticket: ${ticket.key} - ${ticket.fields.summary}
-Type: ${ticket.fields.issuetype?.name || "Unknown"}
-Story Points: ${ticket.fields.story_points ?? ticket.fields.customfield_10016 ?? ticket.fields.customfield_10028 ?? "N/A"}
+Ticket: ${ticket.ticket_id} - ${ticket.title}
+Type: ${ticket.type}
+Story Points: ${ticket.story_points ?? "N/A"}`;
 
-Description:
-${descriptionText}`;
+  if (ticket.epic) {
+    prompt += `\nEpic: ${ticket.epic.ticket_id} - ${ticket.epic.title}`;
+  }
+  if (ticket.parent && ticket.parent.ticket_id !== ticket.epic?.ticket_id) {
+    prompt += `\nParent: ${ticket.parent.ticket_id} - ${ticket.parent.title}`;
+  }
+  if (ticket.sprints.length > 0) {
+    prompt += `\nSprints: ${ticket.sprints.map((s) => s.name).join(", ")}`;
+  }
+  if (ticket.labels.length > 0) {
+    prompt += `\nLabels: ${ticket.labels.join(", ")}`;
+  }
+  if (ticket.components.length > 0) {
+    prompt += `\nComponents: ${ticket.components.join(", ")}`;
+  }
+  if (ticket.links.length > 0) {
+    prompt += `\nLinked issues: ${ticket.links.map((l) => `${l.relation} ${l.ticket_id} (${l.title})`).join("; ")}`;
+  }
+
+  prompt += `\n\nDescription:\n${descriptionText}`;
 
   if (comments && comments.length > 0) {
     prompt += `\n\nComments:\n`;
-    prompt += comments.join("\n---\n");
+    prompt += comments.map(formatComment).join("\n---\n");
   }
 
   prompt += `\n\nProvide a JSON response with:
@@ -403,15 +771,82 @@ ${descriptionText}`;
   };
 }
 
+// One jira-summary.json record, whichever tracker the ticket came from
+function buildRecord(ticket, analysis, worklogs, summaries) {
+  const record = {
+    ticket_id: ticket.ticket_id,
+    title: ticket.title,
+    type: ticket.type,
+    story_points: ticket.story_points,
+    final_status: ticket.final_status,
+    status_category: analysis.statusCategory,
+    epic: ticket.epic,
+    parent: ticket.parent,
+    sprints: ticket.sprints,
+    labels: ticket.labels,
+    components: ticket.components,
+    links: ticket.links,
+    description_summary: summaries.description_summary,
+    back_to_development_count: analysis.backToDevCount,
+    status_history: analysis.statusHistory,
+    status_periods: analysis.statusPeriods,
+    hours_in_status: analysis.hoursInStatus,
+    active_window: analysis.activeWindow,
+    worklogs,
+  };
+
+  if (summaries.comments_summary !== null) {
+    record.comments_summary = summaries.comments_summary;
+  }
+
+  return record;
+}
+
+// Other trackers have no time tracking; hours in progress stand in for it
+function hoursInProgress(analysis) {
+  const statuses = new Set(
+    analysis.statusPeriods
+      .filter((p) => p.category === "indeterminate")
+      .map((p) => p.status),
+  );
+  return [...statuses].reduce(
+    (sum, status) => sum + (analysis.hoursInStatus[status] ?? 0),
+    0,
+  );
+}
+
 // ============================================================================
 // Section 12 — Main Orchestration Loop
 // ============================================================================
 
 (async () => {
   try {
-    const allTickets = await fetchAllTickets(config);
+    const trackers = config.trackers ?? ["jira"];
 
-    if (allTickets.length === 0) {
+    let customFields = null;
+    let allTickets = [];
+    if (trackers.includes("jira")) {
+      customFields = await resolveCustomFields(config);
+      allTickets = await fetchAllTickets(config, customFields);
+    }
+
+    const trackerIssues = [];
+    const trackerAsOf = new Map(); // tracker label → statusAsOf of its range
+    for (const name of trackers.filter((t) => t !== "jira")) {
+      const tracker = createTracker(name, config);
+      trackerAsOf.set(tracker.label, statusAsOf(tracker.dateRange.until));
+      const issues = await tracker.listIssues((count) =>
+        process.stdout.write(
+          `\rFetching tickets from ${tracker.label}... ${count}`,
+        ),
+      );
+      console.log(`\nFound ${issues.length} tickets in ${tracker.label}.`);
+      trackerIssues.push(
+        ...issues.map((issue) => ({ ...issue, tracker: tracker.label })),
+      );
+    }
+
+    if (allTickets.length === 0 && trackerIssues.length === 0) {
       const rl = readline.createInterface({
         input: process.stdin,
         output: process.stdout,
@@ -419,19 +854,19 @@ ${descriptionText}`;
 
       let answer;
       if (parsedArgs.values.yes) {
-        console.log("No Jira tickets found in date range. Continue anyway? (y/n) y (auto)");
+        console.log("No tickets found in date range. Continue anyway? (y/n) y (auto)");
         answer = "y";
       } else {
         answer = await new Promise((resolve) => {
           rl.question(
-            "No Jira tickets found in date range. Continue anyway? (y/n) ",
+            "No tickets found in date range. Continue anyway? (y/n) ",
             (a) => { rl.close(); resolve(a); },
           );
         });
       }
 
       if (answer.toLowerCase() !== "y") {
-        console.log("Check config.json jira settings.");
+        console.log("Check config.json tracker settings.");
         process.exit(1);
       }
 
@@ -444,70 +879,135 @@ ${descriptionText}`;
       (ticket) => !processedIds.has(ticket.key),
     );
 
-    for (let i = 0; i < newTickets.length; i++) {
-      const issue = newTickets[i];
+    const currentUser =
+      newTickets.length > 0 ? await fetchCurrentUser(config) : null;
+    const statusCategories =
+      newTickets.length > 0 ? await fetchStatusCategories(config) : new Map();
 
+    // Tickets are fetched and summarized concurrently; records are appended
+    // as each one finishes
+    const concurrency = getProviderConcurrency();
+    let summarizedCount = 0;
+    await mapWithConcurrency(newTickets, concurrency, async (issue) => {
       try {
         const ticketId = issue.key;
-        const title = issue.fields.summary;
-        const type = issue.fields.issuetype?.name || "Unknown";
-        const storyPoints =
-          issue.fields.story_points ??
-          issue.fields.customfield_10016 ??
-          issue.fields.customfield_10028 ??
-          null;
-        const finalStatus = issue.fields.status?.name || "Unknown";
+        const parent = issue.fields.parent
+          ? {
+              ticket_id: issue.fields.parent.key,
+              title: issue.fields.parent.fields?.summary || "",
+              type: issue.fields.parent.fields?.issuetype?.name || "Unknown",
+            }
+          : null;
+        const ticket = {
+          tracker: "Jira",
+          ticket_id: ticketId,
+          title: issue.fields.summary,
+          type: issue.fields.issuetype?.name || "Unknown",
+          description: extractText(issue.fields.description),
+          story_points: getStoryPoints(issue, customFields.storyPoints),
+          final_status: issue.fields.status?.name || "Unknown",
+          epic: await resolveEpic(issue, customFields, config),
+          parent,
+          sprints: getSprints(issue, customFields),
+          labels: issue.fields.labels || [],
+          components: (issue.fields.components || []).map((c) => c.name),
+          links: getIssueLinks(issue),
+        };
 
         const timeTrackingSeconds =
           issue.fields.timetracking?.timeSpentSeconds || 0;
         const timeSpentHours = timeTrackingSeconds / 3600;
 
         const fullHistories = await fetchFullChangelog(ticketId, config);
-        const { statusHistory, backToDevCount } =
-          analyzeStatusHistory(fullHistories);
+        const analysis = analyzeStatusHistory(
+          issue,
+          fullHistories,
+          statusCategories,
+          currentUser,
+          statusAsOf(config.jira.date_to),
+        );
+
+        const worklogs = await fetchWorklogs(ticketId, currentUser, config);
 
         const comments = await fetchCommentsIfNeeded(
           ticketId,
-          backToDevCount,
+          analysis.backToDevCount,
           timeSpentHours,
+          currentUser,
           config,
         );
 
-        const { description_summary, comments_summary } = await summarizeTicket(
-          issue,
+        const summaries = await summarizeTicket(
+          ticket,
           comments,
           selectedProvider,
         );
 
-        const record = {
-          ticket_id: ticketId,
-          title,
-          type,
-          story_points: storyPoints,
-          final_status: finalStatus,
-          description_summary,
-          back_to_development_count: backToDevCount,
-          status_history: statusHistory,
-        };
-
-        if (comments_summary !== null) {
-          record.comments_summary = comments_summary;
-        }
-
-        await appendToCache(CACHE_PATH, record);
+        await appendToCache(
+          CACHE_PATH,
+          buildRecord(ticket, analysis, worklogs, summaries),
+        );
 
+        summarizedCount++;
         process.stdout.write(
-          `\rSummarizing tickets... ${i + 1}/${newTickets.length}`,
+          `\rSummarizing tickets... ${summarizedCount}/${newTickets.length}`,
         );
       } catch (error) {
+        if (error.budgetExceeded) return;
         console.warn(
           `\nWarning: Failed to process ticket ${issue.key}: ${error.message}`,
         );
-        continue;
       }
-    }
+    });
 
     console.log("");
+    // Summarized tickets are in the NDJSON cache; a re-run skips them
+    exitIfBudgetReached();
+
+    // Linear and GitHub Issues arrive with history and comments already
+    // fetched, so only the AI phase is left for them
+    const newIssues = trackerIssues.filter(
+      (issue) => !processedIds.has(issue.ticket_id),
+    );
+
+    summarizedCount = 0;
+    await mapWithConcurrency(newIssues, concurrency, async (issue) => {
+      try {
+        const analysis = analyzeStatusTransitions(issue, {
+          asOf: trackerAsOf.get(issue.tracker),
+        });
+        const comments = needsComments(
+          analysis.backToDevCount,
+          hoursInProgress(analysis),
+        )
+          ? selectComments(issue.comments, config)
+          : null;
+
+        const summaries = await summarizeTicket(
+          issue,
+          comments,
+          selectedProvider,
+        );
+
+        await appendToCache(
+          CACHE_PATH,
+          buildRecord(issue, analysis, [], summaries),
+        );
+
+        summarizedCount++;
+        process.stdout.write(
+          `\rSummarizing ${issue.tracker} tickets... ${summarizedCount}/${newIssues.length}`,
+        );
+      } catch (error) {
+        if (error.budgetExceeded) return;
+        console.warn(
+          `\nWarning: Failed to process ticket ${issue.ticket_id} from ${issue.tracker}: ${error.message}`,
+        );
+      }
+    });
+
+    if (newIssues.length > 0) console.log("");
+    exitIfBudgetReached();
 
     const allItems = await readCache(CACHE_PATH);
     await writeConsolidatedCache(CACHE_PATH, allItems);
@@ -5,6 +5,8 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import readline from "readline";
+import { BUDGET_EXIT_CODE } from "../shared/cli-provider.js";
+import { formatCost, readLedgerEntries } from "../shared/cost.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.resolve(__dirname, "../..");
@@ -15,6 +17,7 @@ const STEPS = [
   { name: "collect-direct-commits.js", label: "Fetch GitHub commits" },
   { name: "github-summarizer.js", label: "Fetch PRs + AI summaries" },
   { name: "jira-summarizer.js", label: "Fetch Jira tickets + AI summaries" },
+  { name: "calendar-importer.js", label: "Import calendar meetings" },
   { name: "clockify-enricher.js", label: "Detect patterns + enrich entries" },
 ];
 
@@ -64,6 +67,8 @@ if (rawArgs.includes("--default-params")) {
 // Collect flags to forward to each step
 const forwardArgs = [];
 let yesFlag = false;
+// --max-cost covers the whole run; each step gets what is left of it
+let maxCost = null;
 for (let i = 0; i < rawArgs.length; i++) {
   const arg = rawArgs[i];
   if (arg === "--ai" && rawArgs[i + 1]) {
@@ -75,12 +80,18 @@ for (let i = 0; i < rawArgs.length; i++) {
   } else if (arg === "--yes" || arg === "-y") {
     yesFlag = true;
     forwardArgs.push("--yes");
+  } else if (arg === "--max-cost" && rawArgs[i + 1]) {
+    maxCost = Number(rawArgs[++i]);
+    if (!Number.isFinite(maxCost) || maxCost <= 0) {
+      console.error(`--max-cost must be a positive amount in USD (got "${rawArgs[i]}")`);
+      process.exit(1);
+    }
   }
 }
 
-function runStep(script) {
+function runStep(script, args) {
   return new Promise((resolve) => {
-    const child = spawn(process.execPath, [path.join(__dirname, script), ...forwardArgs], {
+    const child = spawn(process.execPath, [path.join(__dirname, script), ...args], {
       stdio: "inherit",
       cwd: __dirname,
     });
@@ -114,13 +125,33 @@ async function main() {
 
   console.log(`\nStarting from step ${startFrom + 1} of ${STEPS.length}.\n`);
 
+  let spent = 0;
+
   for (let i = startFrom; i < STEPS.length; i++) {
     const step = STEPS[i];
     console.log(`\n${"─".repeat(60)}`);
     console.log(`Step ${i + 1}/${STEPS.length}: ${step.label}`);
     console.log(`${"─".repeat(60)}\n`);
 
-    const code = await runStep(step.name);
+    const stepArgs = [...forwardArgs];
+    if (maxCost !== null) stepArgs.push("--max-cost", (maxCost - spent).toFixed(6));
+
+    // Each step that calls a provider appends its costs to the ledger
+    let code = BUDGET_EXIT_CODE;
+    if (maxCost === null || spent < maxCost) {
+      const ledgerLength = readLedgerEntries().length;
+      code = await runStep(step.name, stepArgs);
+      for (const entry of readLedgerEntries().slice(ledgerLength)) {
+        spent += entry.cost_usd ?? 0;
+      }
+    }
+
+    if (code === BUDGET_EXIT_CODE) {
+      writeState({ completed: false, failedStep: i });
+      console.error(`\n[run-all] AI budget reached in step ${i + 1} (${step.label}): ${formatCost(spent)} of ${formatCost(maxCost)} spent.`);
+      console.error(`[run-all] Re-run this script to resume from step ${i + 1}.\n`);
+      process.exit(BUDGET_EXIT_CODE);
+    }
 
     if (code !== 0) {
       writeState({ completed: false, failedStep: i });
@@ -133,6 +164,7 @@ async function main() {
   clearState();
   console.log(`\n${"═".repeat(60)}`);
   console.log("All steps completed successfully.");
+  if (spent > 0) console.log(`AI cost of this run: ${formatCost(spent)}`);
   console.log(`${"═".repeat(60)}\n`);
 }
 
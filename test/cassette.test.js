@@ -0,0 +1,101 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+
+import {
+  cassetteKey,
+  normalizePrompt,
+  readCassette,
+  writeCassette,
+} from "../src/shared/cassette.js";
+import { executeProvider } from "../src/shared/cli-provider.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const cliProviderUrl = new URL("../src/shared/cli-provider.js", import.meta.url)
+  .href;
+
+// Any bundled provider works: replay never loads or calls it
+const PROVIDER = "claude-haiku";
+
+let cassetteDir;
+
+before(() => {
+  cassetteDir = fs.mkdtempSync(path.join(os.tmpdir(), "cassette-test-"));
+  // executeProvider reads these once, on its first call
+  process.env.AI_CASSETTE = "replay";
+  process.env.AI_CASSETTE_DIR = cassetteDir;
+  process.env.AI_RESPONSE_CACHE = "off";
+});
+
+after(() => {
+  fs.rmSync(cassetteDir, { recursive: true, force: true });
+});
+
+test("whitespace-only prompt changes keep the same key", () => {
+  const prompt = "Summarise this ticket:\n  - fix login\n\nThanks";
+  const reformatted =
+    "\n\nSummarise this ticket:   \r\n  - fix login\t\r\n\r\nThanks  \n\n";
+
+  assert.equal(normalizePrompt(reformatted), normalizePrompt(prompt));
+  assert.equal(cassetteKey(reformatted), cassetteKey(prompt));
+  assert.notEqual(cassetteKey("Summarise  this ticket"), cassetteKey(prompt));
+});
+
+test("a recorded response is read back", () => {
+  const prompt = "Describe commit abc123";
+  const result = {
+    response: "Refactored the login form",
+    metadata: { input_tokens: 12, output_tokens: 6 },
+  };
+  writeCassette(cassetteDir, PROVIDER, prompt, result);
+
+  assert.deepEqual(readCassette(cassetteDir, prompt), result);
+  assert.deepEqual(readCassette(cassetteDir, `${prompt}\n`), result);
+  assert.equal(readCassette(cassetteDir, "Describe commit def456"), null);
+});
+
+test("replay mode serves the recording without calling the provider", async () => {
+  const prompt = "Describe commit 789fed";
+  writeCassette(cassetteDir, PROVIDER, prompt, {
+    response: "Added retry logic to the uploader",
+    metadata: { input_tokens: 20, output_tokens: 8 },
+  });
+
+  const result = await executeProvider(PROVIDER, `  ${prompt}  \r\n`);
+
+  assert.equal(result.response, "Added retry logic to the uploader");
+  assert.equal(result.metadata.input_tokens, 20);
+  assert.equal(result.metadata.output_tokens, 8);
+});
+
+test("replay mode exits non-zero for a prompt that was never recorded", () => {
+  const script = `
+    import { executeProvider } from ${JSON.stringify(cliProviderUrl)};
+    await executeProvider(${JSON.stringify(PROVIDER)}, "Never recorded");
+    console.log("provider was called");
+  `;
+  const child = spawnSync(
+    process.execPath,
+    ["--input-type=module", "-e", script],
+    {
+      cwd: path.join(__dirname, ".."),
+      env: {
+        ...process.env,
+        AI_CASSETTE: "replay",
+        AI_CASSETTE_DIR: cassetteDir,
+        AI_RESPONSE_CACHE: "off",
+      },
+      encoding: "utf-8",
+      timeout: 30_000,
+    },
+  );
+
+  assert.notEqual(child.status, 0);
+  assert.match(child.stderr, /No recorded response for prompt/);
+  assert.doesNotMatch(child.stdout, /provider was called/);
+});